@@ -1,46 +1,181 @@
 // app.js
 /**
  * @file Main application file for the Seal Bot TUI.
- * v2.1: Corrected path require typo. Added task repetition per wallet with delay.
  * Orchestrates the TUI, wallet/proxy loading, and bot actions.
  */
 
-// Corrected line: removed duplicate 'path ='
+const fs = require('fs');
 const path = require('path');
-const readline = require('readline').createInterface({ // For initial prompts
-  input: process.stdin,
-  output: process.stdout,
-});
+const { SuiClient } = require('@mysten/sui.js/client');
 const logger = require('./src/bot_logger'); // Central event emitter/logger
 const TerminalUI = require('./src/tui');
+const HeadlessReporter = require('./src/headless_reporter');
 const WalletManager = require('./src/wallet_manager');
 const ProxyManager = require('./src/proxy_manager');
 const SuiActions = require('./src/sui_actions');
+const RunLedger = require('./src/run_ledger');
+const TaskCheckpoint = require('./src/checkpoint');
+const { runStep } = TaskCheckpoint;
+const WorkerPool = require('./src/worker_pool');
+const GasTracker = require('./src/gas_tracker');
+const { formatSui } = GasTracker;
+const PreflightCheck = require('./src/preflight');
+const FaucetClient = require('./src/faucet');
+const { topUpWallets } = FaucetClient;
+const SealInspector = require('./src/inspector');
+const ContentEncryptor = require('./src/encryption');
+const ContentRetriever = require('./src/retrieval');
+const BlobVerifier = require('./src/blob_verification');
+const PublisherPool = require('./src/publisher_pool');
+const ContentCatalogue = require('./src/content_catalogue');
+const BlobCache = require('./src/blob_cache');
+const { listFolderFiles, formatBytes } = require('./src/content_files');
+const { loadReuseTargets, targetsForWallet } = require('./src/reuse_targets');
+const { loadWalletTerms, termsForWallet, formatDuration } = require('./src/terms');
+const { parseSuiAddress, readAddressFile, addMembers, removeMembers, syncMembers } = require('./src/allowlist_members');
+const { PREFLIGHT_STATUS } = PreflightCheck;
+const { createCli } = require('./src/cli');
+const { loadPlan, resolvePlanJobs, executePlanSteps, planEncrypts } = require('./src/plan');
 const {
     DEFAULT_IMAGE_URL,
-    LOCAL_IMAGE_PATH,
-    TASK_REPEAT_DELAY_MS // Import the delay constant
+    TASK_REPEAT_DELAY_MS, // Import the delay constant
+    WORKER_CONCURRENCY,
+    FAUCET_THRESHOLD_MIST,
+    SUI_RPC_URL,
+    SERVICE_FEE,
+    SERVICE_TTL,
+    PUBLISHER_HEALTH_FILE_PATH,
+    MAX_BATCH_CALLS,
 } = require('./src/config');
 
-// --- Helper function for async prompt ---
-function askQuestion(query) {
-    // Simple promise wrapper around readline.question
-    return new Promise(resolve => readline.question(query, resolve));
-}
+// Options that define what a run does; stored in the ledger so `--resume` can restore them
+const RESUMABLE_OPTIONS = ['workflow', 'planFile', 'image', 'repeat', 'wallets', 'address', 'amount', 'duration', 'service', 'batch', 'reuse', 'reuseFile', 'termsFile', 'encrypt', 'checkRetrieval', 'aggregator', 'verifyUploads', 'keepPublisherHealth', 'content', 'contentMode', 'contentTypes', 'maxContentSize', 'blobCache'];
+
+// Highest exit code used to report failed tasks; codes above 125 have special meaning to shells
+const MAX_FAILURE_EXIT_CODE = 125;
 
 // --- Main Application Class ---
 
 class SealBotApp {
-    constructor() {
+    /**
+     * @param {object} [options={}] - Run options, usually parsed by the CLI `run` command.
+     * @param {string} [options.workflow='allowlist'] - Workflow to run ('allowlist' or 'subscription').
+     * @param {string} [options.planFile] - Plan file to run instead of a fixed workflow (see src/plan.js).
+     * @param {string} [options.image] - Image URL, local path, or folder whose files are each uploaded and published.
+     * @param {number} [options.repeat=1] - Task repetitions per wallet.
+     * @param {string} [options.wallets] - Wallet range spec (see WalletManager.selectWallets).
+     * @param {string[]} [options.address=[]] - Extra addresses to add to each allowlist.
+     * @param {string} [options.amount=SERVICE_FEE] - Fee of created services with a unit, or a range (see src/terms.js).
+     * @param {string} [options.duration=SERVICE_TTL] - TTL of created services with a unit, or a range.
+     * @param {string} [options.termsFile] - JSON file with per-wallet `amount`/`duration` values.
+     * @param {boolean} [options.headless] - Skip the TUI and report to stdout. Defaults to true when stdout is not a TTY.
+     * @param {'text'|'json'} [options.output='text'] - Headless output format.
+     * @param {boolean|string} [options.resume] - Resume the latest run (true) or the run with this ID.
+     * @param {number} [options.concurrency=WORKER_CONCURRENCY] - Wallets processed in parallel.
+     * @param {boolean} [options.dryRun=false] - Simulate transactions and skip uploads; nothing is written to the ledger.
+     * @param {number} [options.gasMultiplier] - Safety multiplier for estimated gas budgets.
+     * @param {number} [options.maxGas] - Hard cap for gas budgets, in MIST.
+     * @param {boolean} [options.encrypt=false] - SEAL-encrypt workflow uploads for their allowlist/service.
+     * @param {boolean} [options.checkRetrieval=false] - Read back and decrypt each allowlist workflow's blob after publishing.
+     * @param {boolean} [options.verifyUploads=false] - Verify every upload against the aggregator before accepting it.
+     * @param {string} [options.aggregator] - Aggregator used by `checkRetrieval` and `verifyUploads`.
+     * @param {boolean} [options.keepPublisherHealth=false] - Load publisher health from, and save it to, PUBLISHER_HEALTH_FILE_PATH.
+     * @param {boolean} [options.preflight=true] - Check wallet balances before running (`--no-preflight` disables).
+     * @param {boolean} [options.batch=false] - Batch allowlist adds and publish into programmable transaction blocks.
+     * @param {string} [options.service] - Service to buy subscriptions to (purchase workflow).
+     * @param {boolean} [options.reuse=false] - Publish to the wallet's existing allowlist/service instead of creating one per repetition.
+     * @param {string} [options.reuseFile] - JSON file pinning allowlists/services to wallets (implies `reuse`).
+     * @param {boolean} [options.faucet=false] - Top up wallets from the testnet faucet before running.
+     * @param {number} [options.faucetThreshold] - Balance below which a wallet is topped up, in MIST.
+     * @param {string} [options.faucetUrl] - Faucet endpoint.
+     */
+    constructor(options = {}) {
         this.ui = null;
         this.walletManager = null;
         this.proxyManager = null;
+        this.ledger = null;
+        this.resumeProgress = null; // Checkpoints of the run being resumed, see TaskCheckpoint.loadProgress
         this.isRunning = false;
-        this.repetitionsPerWallet = 1; // Default value for task repetitions
+        this.plan = null; // Loaded from options.planFile during initialize()
+        this.jobs = []; // One entry per wallet: { index, key, repeat, group?, steps? }
+        this.headless = options.headless ?? !process.stdout.isTTY;
+        this.reporter = null;
+        this.concurrency = options.concurrency || WORKER_CONCURRENCY;
+        this.dryRun = Boolean(options.dryRun);
+        this.gasTracker = new GasTracker();
+        this.walletActions = new Map(); // wallet index -> SuiActions, created before the wallet loop (faucet/pre-flight)
+        this.preflightResults = new Map(); // wallet index -> PreflightCheck result
+        this.reuseTargets = null; // From --reuse-file, see src/reuse_targets.js
+        this.walletTerms = null; // From --terms-file, see src/terms.js
+        this.encryptor = null; // Shared by all wallets so key server keys are fetched once
+        this.retriever = null; // Set with --check-retrieval
+        this.verifier = null; // Set with --verify-uploads; remembers the current Walrus epoch across wallets
+        this.publisherPool = null; // Shared by all wallets so a failing publisher is avoided run-wide
+        this.catalogue = null; // From --content, see src/content_catalogue.js; replaces the image source
+        this.blobCache = null; // Shared by all wallets; off with --no-blob-cache and in dry runs (nothing is uploaded)
+        this.faucetResults = undefined; // Set when the faucet top-up ran (see topUpWallets())
+        this.subscriberResults = []; // Per-repetition outcomes of the purchase workflow
+        this.taskStats = { total: 0, succeeded: 0, failed: 0, skipped: 0, unfunded: 0 };
+        this.applyOptions(options);
+    }
+
+    /**
+     * Derives the workflow settings from run options.
+     * @param {object} options - See constructor.
+     */
+    applyOptions(options) {
+        this.options = options;
+        this.actionType = options.planFile ? 'plan' : (options.workflow || 'allowlist');
+        this.imageSource = options.image || DEFAULT_IMAGE_URL;
+        this.additionalAddresses = options.address || [];
+        this.repetitionsPerWallet = options.repeat || 1; // Default value for task repetitions
     }
 
     /**
-     * Initializes managers, gets user input for repetitions, and starts the TUI.
+     * Opens the run ledger: a fresh run, or the run named by `--resume` with its original options
+     * and checkpoints restored.
+     * @throws {Error} If the run to resume can't be found or was started with a different workflow.
+     */
+    openLedger() {
+        if (this.dryRun && this.options.resume) {
+            throw new Error('--resume cannot be combined with --dry-run: dry runs write no checkpoints.');
+        }
+        if (!this.options.resume) {
+            this.ledger = new RunLedger({ persist: !this.dryRun });
+            const runOptions = {};
+            for (const key of RESUMABLE_OPTIONS) {
+                if (this.options[key] !== undefined) runOptions[key] = this.options[key];
+            }
+            if (runOptions.planFile) runOptions.planFile = path.resolve(runOptions.planFile);
+            if (runOptions.reuseFile) runOptions.reuseFile = path.resolve(runOptions.reuseFile);
+            if (runOptions.termsFile) runOptions.termsFile = path.resolve(runOptions.termsFile);
+            this.ledger.record('run', null, { options: runOptions });
+            return;
+        }
+
+        const runs = new RunLedger().read({ type: 'run' });
+        const runRecord = this.options.resume === true
+            ? runs[runs.length - 1]
+            : runs.find(run => run.runId === this.options.resume);
+        if (!runRecord) {
+            throw new Error(this.options.resume === true ? 'No previous run found in the ledger to resume.' : `Run ${this.options.resume} not found in the ledger.`);
+        }
+
+        const previous = runRecord.options || {};
+        const requestedPlan = this.options.planFile && path.resolve(this.options.planFile);
+        if ((previous.planFile || null) !== (requestedPlan || null) || (!previous.planFile && previous.workflow !== this.options.workflow)) {
+            const describe = (opts) => (opts.planFile ? `plan ${opts.planFile}` : `${opts.workflow} workflow`);
+            throw new Error(`Run ${runRecord.runId} used the ${describe(previous)}, not the ${describe({ ...this.options, planFile: requestedPlan })}.`);
+        }
+
+        // The original settings win over CLI defaults so the resumed run does exactly the remaining work
+        this.applyOptions({ ...this.options, ...previous });
+        this.ledger = new RunLedger({ runId: runRecord.runId });
+        this.resumeProgress = TaskCheckpoint.loadProgress(this.ledger, runRecord.runId);
+    }
+
+    /**
+     * Initializes managers, resolves the wallet selection, and starts the TUI (or the headless reporter).
      */
     async initialize() {
         // Initialize managers first (logging will go to console initially)
@@ -50,52 +185,78 @@ class SealBotApp {
         // Check if wallets were loaded successfully
         if (!this.walletManager.hasWallets()) {
             console.error("Initialization failed: No wallets loaded. Please check wallets.txt.");
-            readline.close(); // Ensure readline is closed before exiting
             process.exit(1); // Exit if no wallets are found
         }
 
-        // --- Get User Input Before Starting TUI ---
+        // Resolve the --wallets range (or the plan) before the TUI takes over the terminal, so errors stay readable
         try {
-            // Ask user how many times to repeat tasks for each wallet
-            const repeatInput = await askQuestion(`How many times do you want to repeat the tasks per wallet? (Default: 1): `);
-            const repeatNum = parseInt(repeatInput.trim(), 10); // Parse input as integer
-
-            // Validate the input number
-            if (!isNaN(repeatNum) && repeatNum > 0) {
-                this.repetitionsPerWallet = repeatNum; // Use valid user input
-            } else if (repeatInput.trim() !== '') {
-                // Warn if input was provided but invalid, then use default
-                console.warn(`Invalid input "${repeatInput}". Using default: 1 repetition.`);
-                this.repetitionsPerWallet = 1;
+            this.openLedger();
+            if (this.actionType === 'purchase' && !this.options.service) {
+                throw new Error('The purchase workflow needs --service <serviceId>.');
+            }
+            if (this.options.reuseFile) {
+                this.reuseTargets = loadReuseTargets(this.options.reuseFile);
+            }
+            if (this.options.encrypt) {
+                // Throws when no key servers are configured, before any wallet runs
+                this.encryptor = new ContentEncryptor();
+            }
+            if (this.options.checkRetrieval) {
+                if (!this.encryptor) {
+                    throw new Error('--check-retrieval needs encrypted uploads; add --encrypt.');
+                }
+                this.retriever = new ContentRetriever({ aggregatorUrl: this.options.aggregator });
+            }
+            if (this.options.verifyUploads) {
+                this.verifier = new BlobVerifier({ aggregatorUrl: this.options.aggregator });
+            }
+            this.publisherPool = new PublisherPool({
+                stateFile: this.options.keepPublisherHealth && !this.dryRun ? PUBLISHER_HEALTH_FILE_PATH : null,
+            });
+            if (this.options.blobCache !== false && !this.dryRun) {
+                this.blobCache = new BlobCache();
+            }
+            if (this.options.termsFile) {
+                this.walletTerms = loadWalletTerms(this.options.termsFile);
+            }
+            if (this.options.content) {
+                if (this.options.planFile || this.actionType === 'purchase') {
+                    throw new Error('--content applies to the allowlist and subscription workflows; plan steps name their own sources.');
+                }
+                this.catalogue = await ContentCatalogue.load(this.options.content, {
+                    mode: this.options.contentMode,
+                    mimeTypes: this.options.contentTypes,
+                    maxBytes: this.options.maxContentSize,
+                    proxyManager: this.proxyManager,
+                });
+            }
+            if (this.options.planFile) {
+                this.plan = loadPlan(this.options.planFile);
+                this.jobs = resolvePlanJobs(this.plan, this.walletManager);
+                if (!this.encryptor && planEncrypts(this.plan)) {
+                    // Steps with encryptFor opt in to encryption themselves
+                    this.encryptor = new ContentEncryptor();
+                }
             } else {
-                 this.repetitionsPerWallet = 1; // Use default if input was empty
+                this.jobs = this.walletManager.selectWallets(this.options.wallets)
+                    .map(wallet => ({ ...wallet, repeat: this.repetitionsPerWallet }));
             }
-            console.log(`Okay, will perform tasks ${this.repetitionsPerWallet} time(s) per wallet.`);
-
-            // --- Placeholder for more pre-TUI prompts ---
-            // Example: Ask for action type (allowlist/subscription)
-            // const actionTypeInput = await askQuestion('Enter action type (allowlist/subscription): ');
-            // Example: Ask for image source
-            // const imageSourceInput = await askQuestion('Enter image URL or local path (leave blank for default): ');
-            // --- End Placeholder ---
-
-        } catch (e) {
-             // Handle potential errors during user input phase
-             console.error("Error getting user input:", e);
-             this.repetitionsPerWallet = 1; // Fallback to default on error
-        } finally {
-             // IMPORTANT: Close the readline interface *after* getting all inputs
-             readline.close();
+        } catch (setupError) {
+            console.error(`Initialization failed: ${setupError.message}`);
+            process.exit(1);
         }
-        // --- End User Input ---
-
 
         // Now initialize TUI - subsequent logs will appear in the UI
-        this.ui = new TerminalUI();
-        logger.info('Terminal UI Initialized.');
+        if (this.headless) {
+            this.reporter = new HeadlessReporter({ format: this.options.output || 'text' });
+            logger.info('Headless mode: writing output to stdout.');
+        } else {
+            this.ui = new TerminalUI();
+            logger.info('Terminal UI Initialized.');
+        }
 
         // Re-log manager status to TUI for visibility
-        logger.success(`Loaded ${this.walletManager.getWalletCount()} wallet(s).`);
+        logger.success(`Loaded ${this.walletManager.getWalletCount()} wallet(s), ${this.jobs.length} selected.`);
         if (this.proxyManager.hasProxies()) {
              logger.success(`Loaded ${this.proxyManager.proxies.length} proxies.`);
         } else {
@@ -103,11 +264,24 @@ class SealBotApp {
         }
 
         // Log the repetition setting to the TUI
-        logger.info(`Task repetitions per wallet set to: ${this.repetitionsPerWallet}`);
+        if (this.plan) {
+            logger.info(`Plan loaded from ${this.options.planFile}: ${this.plan.groups.length} group(s).`);
+        } else {
+            logger.info(`Task repetitions per wallet set to: ${this.repetitionsPerWallet}`);
+        }
+        if (this.dryRun) {
+            logger.warn('DRY RUN: transactions are simulated, blob uploads are skipped and nothing is written to the ledger.');
+        } else {
+            logger.info(`Run ID: ${this.ledger.runId} (ledger: ${this.ledger.filePath})`);
+        }
+        if (this.resumeProgress) {
+            const finished = [...this.resumeProgress.values()].filter(progress => progress.done).length;
+            logger.info(`Resuming run ${this.ledger.runId}: ${finished} task repetition(s) already finished, ${this.resumeProgress.size - finished} partially done.`);
+        }
         logger.info('Application Initialized Successfully.');
         logger.updateOverallStatus('Ready'); // Update TUI status
         logger.updateActiveBots(0); // Initial active bot count
-        logger.updateStatus({ totalWallets: this.walletManager.getWalletCount() }); // Update total wallet count in TUI
+        logger.updateStatus({ totalWallets: this.jobs.length }); // Update total wallet count in TUI
     }
 
     /**
@@ -117,95 +291,353 @@ class SealBotApp {
         this.isRunning = true;
         logger.updateOverallStatus('Running'); // Update TUI status
 
-        const wallets = this.walletManager.getWallets();
+        const wallets = this.jobs;
         const totalWallets = wallets.length;
         logger.updateActiveBots(totalWallets); // Update TUI with initial number of active wallets
 
-        // --- Workflow Setup (Example - replace/expand with user choices if prompted earlier) ---
-        const actionType = 'allowlist'; // Hardcoded example: 'allowlist' or 'subscription'
-        const imageSource = DEFAULT_IMAGE_URL; // Hardcoded example: Use default image URL
-        const additionalAddresses = []; // Hardcoded example: No additional addresses for allowlist
+        // --- Workflow Setup (from CLI options) ---
+        const { actionType, imageSource, additionalAddresses } = this;
 
         // Log workflow parameters
         logger.info(`Starting ${actionType} workflow for ${totalWallets} wallet(s)...`);
-        logger.info(`Using image source: ${imageSource}`);
-        logger.info(`Tasks per wallet: ${this.repetitionsPerWallet} repetition(s)`);
-        if (TASK_REPEAT_DELAY_MS > 0 && this.repetitionsPerWallet > 1) { // Only log delay if relevant
+        if (!this.plan) {
+            logger.info(this.catalogue ? `Using content catalogue ${this.options.content}: ${this.catalogue.describe()}` : `Using image source: ${imageSource}`);
+            logger.info(`Tasks per wallet: ${this.repetitionsPerWallet} repetition(s)`);
+        }
+        if (actionType === 'purchase') {
+            logger.info(`Buying subscriptions to service ${this.options.service}`);
+        }
+        if (actionType === 'allowlist' && additionalAddresses.length > 0) {
+            logger.info(`Additional allowlist addresses: ${additionalAddresses.length}`);
+        }
+        if (TASK_REPEAT_DELAY_MS > 0 && wallets.some(job => job.repeat > 1)) { // Only log delay if relevant
             logger.info(`Delay between repetitions: ${TASK_REPEAT_DELAY_MS / 1000} seconds`);
         }
 
-        // --- Wallet Loop ---
-        for (let i = 0; i < totalWallets; i++) {
-            const walletKey = wallets[i];
-            const walletLogPrefix = `Wallet ${i + 1}/${totalWallets}`; // For clearer logs
-            logger.info(`--- Processing ${walletLogPrefix} ---`);
+        if (this.options.faucet) {
+            await this.runFaucet();
+        }
+        if (this.options.preflight !== false) {
+            await this.runPreflight();
+        }
+
+        // --- Wallet Loop (worker pool) ---
+        const pool = new WorkerPool(this.concurrency);
+        if (this.concurrency > 1) {
+            logger.info(`Processing up to ${this.concurrency} wallets concurrently.`);
+        }
+        let walletsRemaining = totalWallets;
+        await pool.run(wallets, async (job, worker, position) => {
+            await this.processWallet(job, position, worker);
+            // Update the count of remaining active bots in the TUI
+            walletsRemaining--;
+            logger.updateActiveBots(walletsRemaining);
+        });
+
+        this.taskStats.total = wallets.reduce((sum, job) => sum + job.repeat, 0);
+        logger.success('--- All Wallet Processing Finished ---');
+        logger.info(`Tasks: ${this.taskStats.succeeded} succeeded, ${this.taskStats.failed} failed, ${this.taskStats.skipped} skipped as already done, ${this.taskStats.unfunded} skipped for empty wallets (of ${this.taskStats.total}).`);
+        if (this.preflightResults.size > 0) {
+            const counts = PreflightCheck.countByStatus([...this.preflightResults.values()]);
+            logger.info(`Pre-flight: ${counts.ready} ready, ${counts.low} low, ${counts.empty} empty, ${counts.error} unchecked.`);
+        }
+        if (actionType === 'purchase') {
+            this.logSubscriberSummary();
+        }
+        this.gasTracker.logSummary(this.dryRun ? 'Estimated gas (dry run)' : 'Gas spent');
+        this.publisherPool.logSummary();
+        logger.updateOverallStatus('Completed'); // Final status update
+        this.isRunning = false;
+    }
+
+    /**
+     * Reads every selected wallet's SUI balance and classifies it as ready, low or empty for the
+     * planned work. Results are logged as a table and used by processWallet() to skip empty wallets.
+     */
+    async runPreflight() {
+        logger.updateOverallStatus('Pre-flight check');
+        const results = [];
+        const feePerTask = await this.subscriptionFee();
+        // A folder is checked here only to count its files; the upload reports a missing or empty one
+        const folderFiles = this.catalogue || this.plan ? null : await listFolderFiles(this.imageSource).catch(() => null);
+        const publishes = folderFiles ? folderFiles.length : 1;
+        for (const job of this.jobs) {
+            const suiActions = this.walletActionsFor(job);
+            if (!suiActions) continue;
+
+            const checker = new PreflightCheck(suiActions.client);
+            const result = await checker.checkWallet(suiActions.getAddress(), this.plannedTransactionsPerTask(job, publishes) * job.repeat, feePerTask * BigInt(job.repeat));
+            result.index = job.index;
+            this.preflightResults.set(job.index, result);
+            results.push(result);
+        }
+        PreflightCheck.report(results);
+    }
 
-            let suiActions; // Declare outside try block for access in finally/catch
+    /**
+     * Fee each purchase-workflow task pays, for the pre-flight estimate.
+     * @returns {Promise<bigint>} The service fee in MIST, or 0n for other workflows or if it can't be read.
+     */
+    async subscriptionFee() {
+        if (this.actionType !== 'purchase') return 0n;
+        try {
+            const { fee } = await createInspector().getService(this.options.service);
+            return BigInt(fee);
+        } catch (error) {
+            logger.warn(`Could not read the service fee for the pre-flight check: ${error.message}`);
+            return 0n;
+        }
+    }
+
+    /**
+     * Logs one line per subscriber and repetition of the purchase workflow.
+     */
+    logSubscriberSummary() {
+        const subscribed = this.subscriberResults.filter(result => result.status === 'subscribed').length;
+        logger.info(`Subscribers: ${subscribed} subscribed, ${this.subscriberResults.length - subscribed} not (of ${this.subscriberResults.length}).`);
+        for (const { index, address, repetition, status, subscriptionId, error } of this.subscriberResults) {
+            const line = `  #${index} ${address.substring(0, 6)}...${address.substring(address.length - 4)} rep ${repetition}: ${status}${subscriptionId ? ` ${subscriptionId}` : ''}${error ? ` (${error})` : ''}`;
+            if (status === 'subscribed') logger.info(line);
+            else logger.warn(line);
+        }
+    }
+
+    /**
+     * Requests testnet SUI for the selected wallets whose balance is below the faucet threshold.
+     * Faucet failures are logged and don't stop the run; the pre-flight check then sees the new balances.
+     */
+    async runFaucet() {
+        if (this.dryRun) {
+            logger.info('[Dry run] Skipping faucet top-up.');
+            return;
+        }
+        logger.updateOverallStatus('Faucet top-up');
+        try {
+            FaucetClient.assertTestNetwork();
+        } catch (error) {
+            logger.error(`Faucet top-up skipped: ${error.message}`);
+            return;
+        }
+        const wallets = this.jobs
+            .map(job => ({ index: job.index, suiActions: this.walletActionsFor(job) }))
+            .filter(wallet => wallet.suiActions);
+        const faucet = new FaucetClient({ url: this.options.faucetUrl });
+        this.faucetResults = await topUpWallets(wallets, faucet, this.options.faucetThreshold ?? FAUCET_THRESHOLD_MIST);
+    }
+
+    /**
+     * SuiActions for a job, created once and reused by the faucet, pre-flight and wallet loop.
+     * @param {object} job - The wallet job.
+     * @returns {SuiActions|null} null if the wallet key is invalid (processWallet() reports it).
+     */
+    walletActionsFor(job) {
+        if (!this.walletActions.has(job.index)) {
             try {
-                // Create a new SuiActions instance for each wallet to manage its keypair/state
-                suiActions = new SuiActions(walletKey, this.proxyManager);
-                const address = suiActions.getAddress();
-                const maskedAddress = `${address.substring(0, 6)}...${address.substring(address.length - 4)}`;
+                this.walletActions.set(job.index, this.createSuiActions(job));
+            } catch (error) {
+                return null;
+            }
+        }
+        return this.walletActions.get(job.index);
+    }
+
+    /**
+     * Number of transactions one task repetition sends for a job, used to estimate its cost.
+     * Follows the run's options: `--batch` packs adds and publishes into blocks of MAX_BATCH_CALLS calls,
+     * and `--reuse` publishes to an allowlist/service that exists already (and has the wallet as a member).
+     * @param {object} job - The wallet job.
+     * @param {number} [publishes=1] - Blobs each task publishes: the files of an `--image` folder, else one.
+     * @returns {number}
+     */
+    plannedTransactionsPerTask(job, publishes = 1) {
+        const batch = Boolean(this.options.batch);
+        const blocks = calls => Math.ceil(calls / MAX_BATCH_CALLS);
+        if (job.steps) {
+            return job.steps.reduce((count, step) => {
+                if (step.action === 'uploadBlob') return count;
+                if (step.action === 'addAddresses') {
+                    const adds = Array.isArray(step.addresses) ? step.addresses.length : 1;
+                    return count + (batch ? blocks(adds) : adds);
+                }
+                return count + 1;
+            }, 0);
+        }
+        if (this.actionType === 'purchase') {
+            return 1; // split + subscribe + transfer in one block
+        }
+        const creates = this.options.reuse || this.options.reuseFile ? 0 : 1;
+        if (this.actionType === 'allowlist') {
+            const adds = creates + this.additionalAddresses.length; // A new allowlist gets the wallet itself added first
+            return creates + (batch ? blocks(adds + publishes) : adds + publishes);
+        }
+        return creates + publishes; // create service, publish each blob
+    }
+
+    /**
+     * Creates the SuiActions for a job, with the reuse targets pinned to its wallet.
+     * @param {object} job - The wallet job.
+     * @returns {SuiActions}
+     * @throws {Error} If the wallet key is invalid.
+     */
+    createSuiActions(job) {
+        const suiActions = new SuiActions(job.key, this.proxyManager, this.ledger, this.suiActionOptions());
+        suiActions.reuseTargets = targetsForWallet(this.reuseTargets, job.index, suiActions.getAddress());
+        return suiActions;
+    }
+
+    /**
+     * Options shared by every SuiActions instance of this run.
+     * @returns {object} See the SuiActions constructor.
+     */
+    suiActionOptions() {
+        return {
+            dryRun: this.dryRun,
+            gasTracker: this.gasTracker,
+            gasMultiplier: this.options.gasMultiplier,
+            maxGasBudget: this.options.maxGas,
+            batch: Boolean(this.options.batch),
+            reuse: Boolean(this.options.reuse || this.options.reuseFile),
+            encryptor: this.encryptor,
+            retriever: this.retriever,
+            verifier: this.verifier,
+            publisherPool: this.publisherPool,
+            blobCache: this.blobCache,
+        };
+    }
+
+    /**
+     * Processes all repetitions for one wallet. Runs inside a pool worker, so every wallet keeps
+     * its own delays and retries.
+     * @param {object} job - The wallet job (see initialize()).
+     * @param {number} position - 0-based position of the job in this run.
+     * @param {{id: number, setActivity: (text: string) => void}} worker - The pool worker running the job.
+     */
+    async processWallet(job, position, worker) {
+        const totalWallets = this.jobs.length;
+        const { index: walletIndex, repeat: repetitions } = job;
+        const walletLogPrefix = `Wallet ${position + 1}/${totalWallets} (#${walletIndex}${job.group ? `, ${job.group}` : ''})`; // For clearer logs
+        logger.info(`--- Processing ${walletLogPrefix} on worker ${worker.id} ---`);
+        worker.setActivity(`#${walletIndex} starting`);
+
+        let suiActions; // Declare outside try block for access in finally/catch
+        let repetitionsAttempted = 0; // Used to count repetitions skipped by a wallet-level failure
+        try {
+            // Create a new SuiActions instance for each wallet to manage its keypair/state (reusing the pre-flight one)
+            suiActions = this.walletActions.get(walletIndex) || this.createSuiActions(job);
+            const address = suiActions.getAddress();
+            const maskedAddress = `${address.substring(0, 6)}...${address.substring(address.length - 4)}`;
 
-                // Update TUI status for the currently processing wallet
-                logger.walletLoaded(address, maskedAddress, i + 1, totalWallets);
+            const preflight = this.preflightResults.get(walletIndex);
+            if (preflight?.status === PREFLIGHT_STATUS.EMPTY) {
+                logger.warn(`Skipping ${walletLogPrefix} (${maskedAddress}): wallet is empty (${preflight.reason}).`);
+                this.taskStats.unfunded += repetitions;
+                for (let rep = 1; rep <= repetitions; rep++) {
+                    this.recordSubscriber(job, address, rep, 'unfunded', { error: preflight.reason });
+                }
+                return;
+            }
+
+            // Update TUI status for the currently processing wallet
+            logger.walletLoaded(address, maskedAddress, position + 1, totalWallets);
+            if (this.concurrency === 1) {
                 logger.updateOverallStatus(`Processing ${walletLogPrefix}`);
+            }
+
+            // --- Repetition Loop (Inner Loop) ---
+            for (let rep = 1; rep <= repetitions; rep++) {
+                const taskLogPrefix = `Task Repetition ${rep}/${repetitions}`;
+                repetitionsAttempted++;
+                const progress = this.resumeProgress?.get(TaskCheckpoint.key(address, rep));
+                if (progress?.done) {
+                    logger.info(`Skipping ${taskLogPrefix} for ${walletLogPrefix}: already completed in run ${this.ledger.runId}.`);
+                    this.taskStats.skipped++;
+                    this.recordSubscriber(job, address, rep, 'done_earlier');
+                    continue;
+                }
+                logger.info(`Starting ${taskLogPrefix} for ${walletLogPrefix}`);
+                worker.setActivity(`#${walletIndex} ${maskedAddress} rep ${rep}/${repetitions}`);
+                try {
+                    // Execute the chosen action based on workflow setup, checkpointing each step
+                    const checkpoint = new TaskCheckpoint(this.ledger, address, rep, progress?.steps);
+                    checkpoint.onStepStart = (step) => worker.setActivity(`#${walletIndex} ${maskedAddress} rep ${rep}/${repetitions}: ${step}`);
+                    const outcome = await this.runTask(suiActions, job, checkpoint);
+                    checkpoint.complete();
+                    this.recordSubscriber(job, address, rep, 'subscribed', { subscriptionId: outcome?.subscriptionId, digest: outcome?.digest });
+                    logger.success(`${taskLogPrefix} completed for ${walletLogPrefix}`);
+                    this.taskStats.succeeded++;
 
-                // --- Repetition Loop (Inner Loop) ---
-                for (let rep = 1; rep <= this.repetitionsPerWallet; rep++) {
-                    const taskLogPrefix = `Task Repetition ${rep}/${this.repetitionsPerWallet}`;
-                    logger.info(`Starting ${taskLogPrefix} for ${walletLogPrefix}`);
-                    try {
-                        // Execute the chosen action based on workflow setup
-                        if (actionType === 'allowlist') {
-                            await suiActions.runCompleteAllowlistWorkflow(imageSource, additionalAddresses);
-                        } else if (actionType === 'subscription') {
-                            await suiActions.runCompleteSubscriptionWorkflow(imageSource); // Pass amount/duration if needed
-                        } else {
-                             logger.error(`Unknown action type configured: ${actionType}`);
-                             break; // Exit repetition loop for this wallet if action is invalid
-                        }
-                        logger.success(`${taskLogPrefix} completed for ${walletLogPrefix}`);
-
-                        // --- Delay Logic ---
-                        // Add delay only if it's not the last repetition and delay is configured
-                        if (rep < this.repetitionsPerWallet && TASK_REPEAT_DELAY_MS > 0) {
-                            logger.wait(`Waiting ${TASK_REPEAT_DELAY_MS / 1000}s before next repetition for ${walletLogPrefix}...`);
-                            // Use async/await with setTimeout wrapped in a Promise for delay
-                            await new Promise(resolve => setTimeout(resolve, TASK_REPEAT_DELAY_MS));
-                        }
-                        // --- End Delay ---
-
-                    } catch (taskError) {
-                        // Log errors specific to a task repetition
-                        logger.error(`${taskLogPrefix} failed for ${walletLogPrefix}`, taskError);
-                        // Optional: Decide whether to stop all repetitions for this wallet on failure
-                        // break; // Uncomment to stop further repetitions for this wallet after an error
+                    // --- Delay Logic ---
+                    // Add delay only if it's not the last repetition and delay is configured
+                    if (rep < repetitions && TASK_REPEAT_DELAY_MS > 0) {
+                        logger.wait(`Waiting ${TASK_REPEAT_DELAY_MS / 1000}s before next repetition for ${walletLogPrefix}...`);
+                        worker.setActivity(`#${walletIndex} ${maskedAddress} waiting ${TASK_REPEAT_DELAY_MS / 1000}s`);
+                        // Use async/await with setTimeout wrapped in a Promise for delay
+                        await new Promise(resolve => setTimeout(resolve, TASK_REPEAT_DELAY_MS));
                     }
-                } // --- End Repetition Loop ---
+                    // --- End Delay ---
 
-            } catch (walletError) {
-                // Log errors related to wallet initialization or fatal errors for a wallet
-                logger.error(`Failed to initialize or process ${walletLogPrefix}`, walletError);
-                // Optional: Decide whether to continue with the next wallet or stop entirely
-            } finally {
-                 // Log completion for the current wallet
-                 logger.info(`--- Finished Processing ${walletLogPrefix} ---`);
-                 // Update the count of remaining active bots in the TUI
-                 logger.updateActiveBots(totalWallets - (i + 1));
-            }
+                } catch (taskError) {
+                    // Log errors specific to a task repetition
+                    logger.error(`${taskLogPrefix} failed for ${walletLogPrefix}`, taskError);
+                    this.taskStats.failed++;
+                    this.recordSubscriber(job, address, rep, 'failed', { error: taskError.message });
+                    // Optional: Decide whether to stop all repetitions for this wallet on failure
+                    // break; // Uncomment to stop further repetitions for this wallet after an error
+                }
+            } // --- End Repetition Loop ---
 
-            // Optional: Add a small delay between processing *different* wallets
-             // if (i < totalWallets - 1) {
-             //    logger.wait(`Waiting briefly before starting next wallet...`);
-             //    await new Promise(resolve => setTimeout(resolve, 2000)); // e.g., 2 second delay
-             // }
+        } catch (walletError) {
+            // Log errors related to wallet initialization or fatal errors for a wallet
+            logger.error(`Failed to initialize or process ${walletLogPrefix}`, walletError);
+            // Repetitions that never ran count as failed tasks
+            this.taskStats.failed += repetitions - repetitionsAttempted;
+        } finally {
+            // Log completion for the current wallet
+            logger.info(`--- Finished Processing ${walletLogPrefix} ---`);
+        }
+    }
 
-        } // --- End Wallet Loop ---
+    /**
+     * Keeps the outcome of one purchase-workflow repetition for the per-subscriber summary.
+     * Does nothing for other workflows.
+     * @param {object} job - The wallet job.
+     * @param {string} address - Subscriber address.
+     * @param {number} repetition - 1-based repetition.
+     * @param {'subscribed'|'failed'|'unfunded'|'done_earlier'} status - Outcome.
+     * @param {object} [details={}] - `subscriptionId`, `digest` or `error`.
+     */
+    recordSubscriber(job, address, repetition, status, details = {}) {
+        if (this.actionType === 'purchase') {
+            this.subscriberResults.push({ index: job.index, address, repetition, status, ...details });
+        }
+    }
 
-        logger.success('--- All Wallet Processing Finished ---');
-        logger.updateOverallStatus('Completed'); // Final status update
-        this.isRunning = false;
+    /**
+     * Runs one task repetition for a wallet: its plan steps, or the configured fixed workflow.
+     * @param {SuiActions} suiActions - Actions bound to the job's wallet.
+     * @param {object} job - The wallet job (see initialize()).
+     * @param {TaskCheckpoint} checkpoint - Step checkpoint for this repetition.
+     * @returns {Promise<object|undefined>} The workflow result, where the summary uses it (purchase).
+     */
+    async runTask(suiActions, job, checkpoint) {
+        // The pick is checkpointed, so a resumed task uploads the item it started with
+        const content = this.catalogue
+            ? await runStep(checkpoint, 'content', () => this.catalogue.select(job.index, suiActions.getAddress()))
+            : this.imageSource;
+        if (job.steps) {
+            await executePlanSteps(suiActions, job.steps, this.plan.defaults, checkpoint);
+        } else if (this.actionType === 'allowlist') {
+            await suiActions.runCompleteAllowlistWorkflow(content, this.additionalAddresses, checkpoint);
+        } else if (this.actionType === 'subscription') {
+            const terms = termsForWallet(this.walletTerms, job.index, suiActions.getAddress());
+            const amount = terms.amount || this.options.amount || SERVICE_FEE;
+            const duration = terms.duration || this.options.duration || SERVICE_TTL;
+            await suiActions.runCompleteSubscriptionWorkflow(content, amount, duration, checkpoint);
+        } else if (this.actionType === 'purchase') {
+            return suiActions.runSubscriptionPurchaseWorkflow(this.options.service, checkpoint);
+        } else {
+            throw new Error(`Unknown action type configured: ${this.actionType}`);
+        }
     }
 
     /**
@@ -215,12 +647,12 @@ class SealBotApp {
         logger.info("Shutting down application...");
         if (this.ui) {
             this.ui.destroy(); // Clean up blessed screen resources
+            console.log("Application exited."); // Final message to console after TUI is gone
         }
-        if (readline && !readline.closed) { // Ensure readline is closed if shutdown happens early
-             readline.close();
+        if (this.reporter) {
+            this.reporter.detach();
         }
         this.isRunning = false;
-        console.log("Application exited."); // Final message to console after TUI is gone
     }
 
     /**
@@ -228,7 +660,7 @@ class SealBotApp {
      */
     async start() {
         try {
-            await this.initialize(); // Includes user prompts now
+            await this.initialize();
 
             // Run the main bot logic within a try...finally block
             // to ensure shutdown occurs even if runBotLogic throws an error
@@ -236,7 +668,12 @@ class SealBotApp {
                  await this.runBotLogic();
             } finally {
                  // After logic completes (or fails), check if exit wasn't already triggered
-                 if (!process.exitCode) {
+                 if (this.headless) {
+                     // No one is around to press Ctrl+C: report, set the exit code and let the process end
+                     this.reporter.writeSummary({ runId: this.ledger.runId, dryRun: this.dryRun, workflow: this.actionType, wallets: this.jobs.length, tasks: this.taskStats, subscribers: this.actionType === 'purchase' ? this.subscriberResults : undefined, gas: this.gasTracker.summary(), faucet: this.faucetResults, preflight: [...this.preflightResults.values()], skippedWallets: PreflightCheck.skippedWallets([...this.preflightResults.values()]), publishers: this.publisherPool?.summary() });
+                     process.exitCode = process.exitCode || Math.min(this.taskStats.failed, MAX_FAILURE_EXIT_CODE);
+                     this.shutdown();
+                 } else if (!process.exitCode) {
                      logger.info("Processing complete. Press Ctrl+C to exit.");
                      // Keep the TUI alive until user manually exits (Ctrl+C is handled by TUI)
                  } else {
@@ -259,11 +696,367 @@ class SealBotApp {
     }
 }
 
+// --- Standalone Commands (no TUI) ---
+
+/**
+ * Mirrors logger output to stderr for the short-lived commands that don't start the TUI,
+ * keeping stdout free for the command's result.
+ */
+function echoLogsToStderr() {
+    return new HeadlessReporter({ stream: process.stderr, showStatus: false });
+}
+
+/**
+ * Creates a SuiActions instance for one wallet picked by its 1-based index.
+ * @param {number} walletIndex - 1-based wallet index in wallets.txt.
+ * @param {object} [actionOptions={}] - SuiActions options (e.g. `dryRun`).
+ * @returns {SuiActions} Actions bound to the selected wallet.
+ */
+function createWalletActions(walletIndex, actionOptions = {}) {
+    const walletManager = new WalletManager();
+    const [wallet] = walletManager.selectWallets(String(walletIndex));
+    return new SuiActions(wallet.key, new ProxyManager(), new RunLedger(), actionOptions);
+}
+
+async function uploadCommand(source, options) {
+    echoLogsToStderr();
+    const encryptor = options.encryptFor ? new ContentEncryptor() : null;
+    const verifier = options.verify ? new BlobVerifier({ aggregatorUrl: options.aggregator }) : null;
+    const blobCache = options.blobCache !== false ? new BlobCache() : null;
+    const suiActions = createWalletActions(options.wallet, { encryptor, verifier, blobCache });
+    const files = await listFolderFiles(source);
+    if (!files) {
+        console.log(await suiActions.uploadBlob(source, options.epochs, options.encryptFor || null));
+        return;
+    }
+    for (const file of files) {
+        const blobId = await suiActions.uploadBlob(file.path, options.epochs, options.encryptFor || null);
+        console.log(`${blobId}\t${file.name}`);
+    }
+}
+
+async function publishCommand(target, objectId, capId, blobId, options) {
+    echoLogsToStderr();
+    const suiActions = createWalletActions(options.wallet, { dryRun: options.dryRun });
+    if (target === 'allowlist') {
+        await suiActions.publishBlobToAllowlist(objectId, capId, blobId);
+    } else {
+        await suiActions.publishBlobToSubscription(objectId, capId, blobId);
+    }
+}
+
+async function retrieveCommand(target, objectId, blobId, options) {
+    echoLogsToStderr();
+    const suiActions = createWalletActions(options.wallet);
+    const retriever = new ContentRetriever({ aggregatorUrl: options.aggregator });
+    const { data, sha256 } = await retriever.retrieve(suiActions, target, objectId, blobId);
+    if (options.out) {
+        fs.writeFileSync(path.resolve(options.out), data);
+        logger.info(`Wrote ${data.length} bytes to ${path.resolve(options.out)}`);
+    }
+    console.log(`${sha256}\t${data.length}`);
+
+    const expected = options.sha256 || suiActions.findUploadedBlob(blobId)?.encryption?.plaintextSha256;
+    if (!expected) {
+        logger.info('No expected hash given or recorded for this blob; nothing to compare.');
+    } else if (expected.toLowerCase() !== sha256) {
+        throw new Error(`Content does not match: SHA-256 ${sha256}, expected ${expected}.`);
+    } else {
+        logger.success('Content matches the expected SHA-256.');
+    }
+}
+
+async function listWalletsCommand(options) {
+    const walletManager = new WalletManager();
+    if (!walletManager.hasWallets()) {
+        throw new Error('No wallets loaded. Please check wallets.txt.');
+    }
+    for (const { index, key } of walletManager.selectWallets(options.wallets)) {
+        let address;
+        try {
+            address = new SuiActions(key).getAddress();
+        } catch (error) {
+            address = `<invalid: ${error.message}>`;
+        }
+        console.log(`${index}\t${address}`);
+    }
+}
+
+async function fundWalletsCommand(options) {
+    echoLogsToStderr();
+    FaucetClient.assertTestNetwork();
+    const walletManager = new WalletManager();
+    if (!walletManager.hasWallets()) {
+        throw new Error('No wallets loaded. Please check wallets.txt.');
+    }
+    const ledger = new RunLedger();
+    const wallets = walletManager.selectWallets(options.wallets)
+        .map(({ index, key }) => ({ index, suiActions: new SuiActions(key, null, ledger) }));
+    const faucet = new FaucetClient({ url: options.faucetUrl });
+    const results = await topUpWallets(wallets, faucet, options.threshold);
+    for (const { index, address, status, amountMist, reason } of results) {
+        console.log(`${index}\t${address}\t${status}\t${amountMist}${reason ? `\t${reason}` : ''}`);
+    }
+    if (results.some(result => result.status === 'failed' || result.status === 'not_attempted')) {
+        process.exitCode = 1;
+    }
+}
+
+async function addMembersCommand(allowlistId, capId, file, options) {
+    echoLogsToStderr();
+    const { addresses, invalid, duplicates } = readAddressFile(file);
+    logger.info(`Read ${addresses.length} unique address(es) from ${file} (${invalid.length} invalid, ${duplicates.length} duplicate).`);
+
+    const suiActions = createWalletActions(options.wallet, { dryRun: options.dryRun, maxBatchCalls: options.batchSize });
+    const report = [
+        ...invalid.map(({ line, value }) => ({ address: value, status: 'failed', reason: `line ${line}: not a valid Sui address` })),
+        ...duplicates.map(address => ({ address, status: 'skipped', reason: 'duplicate in file' })),
+        ...await addMembers(suiActions, allowlistId, capId, addresses),
+    ];
+    printMemberReport(report, options.output);
+    if (report.some(entry => entry.status === 'failed')) {
+        process.exitCode = 1;
+    }
+}
+
+async function removeMembersCommand(allowlistId, capId, addresses, options) {
+    echoLogsToStderr();
+    const invalid = addresses.filter(address => !parseSuiAddress(address));
+    if (invalid.length > 0) {
+        throw new Error(`Not valid Sui addresses: ${invalid.join(', ')}`);
+    }
+    const unique = [...new Set(addresses.map(parseSuiAddress))];
+
+    const suiActions = createWalletActions(options.wallet, { dryRun: options.dryRun, maxBatchCalls: options.batchSize });
+    const report = await removeMembers(suiActions, allowlistId, capId, unique);
+    printMemberReport(report, options.output);
+    if (report.some(entry => entry.status === 'failed')) {
+        process.exitCode = 1;
+    }
+}
+
+async function syncMembersCommand(allowlistId, capId, file, options) {
+    echoLogsToStderr();
+    const { addresses, invalid } = readAddressFile(file);
+    if (invalid.length > 0) {
+        // Syncing an incomplete list would remove members by mistake
+        throw new Error(`${file} has invalid addresses (${invalid.map(({ line, value }) => `line ${line}: "${value}"`).join(', ')}); fix them before syncing.`);
+    }
+
+    const suiActions = createWalletActions(options.wallet, { dryRun: options.dryRun, maxBatchCalls: options.batchSize });
+    const report = await syncMembers(suiActions, allowlistId, capId, addresses);
+    printMemberReport(report, options.output);
+    if (report.some(entry => entry.status === 'failed')) {
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Creates an inspector on a plain client; the inspect commands need no wallet key.
+ * @returns {SealInspector}
+ */
+function createInspector() {
+    return new SealInspector(new SuiClient({ url: SUI_RPC_URL }));
+}
+
+async function inspectCapsCommand(address, options) {
+    let owner = address;
+    if (!owner) {
+        const [wallet] = new WalletManager().selectWallets(String(options.wallet));
+        owner = new SuiActions(wallet.key).getAddress();
+    } else if (!parseSuiAddress(owner)) {
+        throw new Error(`Not a valid Sui address: ${owner}`);
+    }
+
+    const caps = await createInspector().listCaps(owner);
+    if (options.output === 'json') {
+        console.log(JSON.stringify({ owner, caps }, null, 2));
+        return;
+    }
+    console.log(`Caps owned by ${owner}:`);
+    console.log(`${'Kind'.padEnd(13)} ${'Cap ID'.padEnd(66)} Controls`);
+    for (const { kind, capId, objectId } of caps) {
+        console.log(`${kind.padEnd(13)} ${capId.padEnd(66)} ${objectId}`);
+    }
+    console.error(`${caps.length} cap(s).`);
+}
+
+async function inspectAllowlistCommand(allowlistId, options) {
+    const allowlist = await createInspector().getAllowlist(allowlistId);
+    if (options.output === 'json') {
+        console.log(JSON.stringify(allowlist, null, 2));
+        return;
+    }
+    console.log(`Allowlist ${allowlist.allowlistId}`);
+    console.log(`  Name:    ${allowlist.name}`);
+    console.log(`  Members (${allowlist.members.length}):`);
+    allowlist.members.forEach(member => console.log(`    ${member}`));
+    console.log(`  Published blobs (${allowlist.blobs.length}):`);
+    allowlist.blobs.forEach(blobId => console.log(`    ${blobId}`));
+}
+
+async function inspectServiceCommand(serviceId, options) {
+    const service = await createInspector().getService(serviceId);
+    if (options.output === 'json') {
+        console.log(JSON.stringify(service, null, 2));
+        return;
+    }
+    console.log(`Service ${service.serviceId}`);
+    console.log(`  Name:    ${service.name}`);
+    console.log(`  Owner:   ${service.owner}`);
+    console.log(`  Fee:     ${formatSui(BigInt(service.fee))} SUI (${service.fee} MIST)`);
+    console.log(`  TTL:     ${service.ttl} ms (${formatDuration(service.ttl)})`);
+    console.log(`  Published blobs (${service.blobs.length}):`);
+    service.blobs.forEach(blobId => console.log(`    ${blobId}`));
+}
+
+/**
+ * Prints a membership report as tab-separated lines or JSON lines, with a count per status on stderr.
+ * @param {{address: string, status: string, reason: string}[]} report - Report entries.
+ * @param {'text'|'json'} format - Output format.
+ */
+function printMemberReport(report, format) {
+    for (const entry of report) {
+        console.log(format === 'json' ? JSON.stringify(entry) : `${entry.status}\t${entry.address}${entry.reason ? `\t${entry.reason}` : ''}`);
+    }
+    const counts = {};
+    report.forEach(({ status }) => { counts[status] = (counts[status] || 0) + 1; });
+    console.error(Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ') || 'Nothing to do.');
+}
+
+async function validatePlanCommand(file) {
+    const plan = loadPlan(file);
+    const stepCount = plan.groups.reduce((sum, group) => sum + group.steps.length, 0);
+    console.log(`Plan OK: ${plan.groups.length} group(s), ${stepCount} step(s).`);
+
+    const walletManager = new WalletManager();
+    if (walletManager.hasWallets()) {
+        const jobs = resolvePlanJobs(plan, walletManager);
+        console.log(`Wallets assigned: ${jobs.map(job => `#${job.index}`).join(', ')}`);
+    } else {
+        console.log('No wallets loaded; wallet ranges were not checked.');
+    }
+}
+
+async function checkContentCommand(source, options) {
+    echoLogsToStderr();
+    const catalogue = await ContentCatalogue.load(source, { mimeTypes: options.contentTypes, maxBytes: options.maxContentSize, proxyManager: new ProxyManager() });
+    const results = await catalogue.checkItems();
+    if (options.output === 'json') {
+        console.log(JSON.stringify(results, null, 2));
+    } else {
+        for (const { id, mimeType, size, ok, reason } of results) {
+            console.log(`${ok ? 'ok' : 'rejected'}\t${id}\t${mimeType || '-'}\t${size ?? '-'}${reason ? `\t${reason}` : ''}`);
+        }
+    }
+    const rejected = results.filter(result => !result.ok).length;
+    console.error(`${results.length - rejected} of ${results.length} item(s) pass the checks (${catalogue.mimeTypes.join(',')}, up to ${formatBytes(catalogue.maxBytes)}).`);
+    if (rejected > 0) {
+        process.exitCode = 1;
+    }
+}
+
+async function cacheListCommand(options) {
+    const cache = new BlobCache();
+    const entries = cache.list().filter(entry => !options.status || entry.status === options.status);
+    const currentEpoch = cache.currentEpoch();
+    if (options.output === 'json') {
+        console.log(JSON.stringify({ currentEpoch, entries }, null, 2));
+        return;
+    }
+    for (const { blobId, epochs, endEpoch, status, size, sha256, encryptedFor, sources } of entries) {
+        const encrypted = encryptedFor ? `  encryptedFor=${encryptedFor.substring(0, 10)}...` : '';
+        console.log(`${status.padEnd(7)} ${blobId}  epochs=${epochs} endEpoch=${endEpoch ?? '-'} ${formatBytes(size)}  sha256=${sha256.substring(0, 16)}...${encrypted}  ${sources.join(', ')}`);
+    }
+    console.error(`${entries.length} cached blob(s); current epoch ${currentEpoch === null ? 'unknown (no upload has reported one yet)' : `~${currentEpoch}`} (${cache.filePath}).`);
+}
+
+async function cachePruneCommand(options) {
+    const cache = new BlobCache();
+    if (!options.all && cache.currentEpoch() === null) {
+        console.error('The current epoch is unknown (no upload has reported one yet), so no entry counts as expired.');
+    }
+    const removed = cache.prune({ all: Boolean(options.all), dryRun: Boolean(options.dryRun) });
+    for (const { blobId, endEpoch, status } of removed) {
+        console.log(`${blobId}\t${status}\tendEpoch=${endEpoch ?? '-'}`);
+    }
+    console.error(`${options.dryRun ? 'Would remove' : 'Removed'} ${removed.length} cached blob(s); ${cache.list().length - (options.dryRun ? removed.length : 0)} left.`);
+}
+
+/**
+ * Builds ledger filters from CLI options.
+ * @param {object} options - Parsed `ledger list/export` options.
+ * @returns {object} Filters for RunLedger.read().
+ */
+function ledgerFilters(options) {
+    const since = options.since ? new Date(options.since) : undefined;
+    if (since && isNaN(since.getTime())) {
+        throw new Error(`Invalid --since date: ${options.since}`);
+    }
+    return { wallet: options.wallet, runId: options.run, type: options.type, since };
+}
+
+async function ledgerListCommand(options) {
+    const records = new RunLedger().read(ledgerFilters(options));
+    if (options.output === 'json') {
+        process.stdout.write(RunLedger.format(records, 'jsonl'));
+        return;
+    }
+    for (const record of records) {
+        const { runId, timestamp, wallet, type, ...data } = record;
+        const details = Object.entries(data).map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`).join(' ');
+        console.log(`${timestamp}  ${runId}  ${wallet}  ${type.padEnd(16)} ${details}`);
+    }
+    console.error(`${records.length} record(s).`);
+}
+
+async function ledgerExportCommand(options) {
+    const records = new RunLedger().read(ledgerFilters(options));
+    const content = RunLedger.format(records, options.format);
+    if (options.out) {
+        fs.writeFileSync(options.out, content);
+        console.error(`Exported ${records.length} record(s) to ${options.out}.`);
+    } else {
+        process.stdout.write(content);
+    }
+}
+
 // --- Application Entry Point ---
 // Ensures the code runs only when the script is executed directly
 if (require.main === module) {
-    const app = new SealBotApp();
-    app.start(); // Start the application lifecycle
+    let app = null; // Set by the `run` command; other commands don't start the TUI
+
+    const startApp = (options) => {
+        app = new SealBotApp(options);
+        return app.start(); // Start the application lifecycle
+    };
+
+    const cli = createCli({
+        run: startApp,
+        runPlan: startApp,
+        validatePlan: validatePlanCommand,
+        upload: uploadCommand,
+        publish: publishCommand,
+        retrieve: retrieveCommand,
+        listWallets: listWalletsCommand,
+        fundWallets: fundWalletsCommand,
+        addMembers: addMembersCommand,
+        removeMembers: removeMembersCommand,
+        syncMembers: syncMembersCommand,
+        inspectCaps: inspectCapsCommand,
+        inspectAllowlist: inspectAllowlistCommand,
+        inspectService: inspectServiceCommand,
+        checkContent: checkContentCommand,
+        cacheList: cacheListCommand,
+        cachePrune: cachePruneCommand,
+        ledgerList: ledgerListCommand,
+        ledgerExport: ledgerExportCommand,
+    });
+
+    cli.parseAsync(process.argv).catch((error) => {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    });
 
     // --- Global Error Handlers (Optional but Recommended) ---
     // Catch unhandled promise rejections
@@ -280,7 +1073,7 @@ if (require.main === module) {
         console.error('Uncaught Exception:', error);
         if (logger) logger.error('Uncaught Exception:', error);
         // Mandatory exit after uncaught exception according to Node.js best practices
-        app.shutdown(); // Attempt to clean up TUI
+        if (app) app.shutdown(); // Attempt to clean up TUI
         process.exit(1); // Exit immediately
     });
     // --- End Global Error Handlers ---
@@ -0,0 +1,66 @@
+// src/aggregator.js
+/**
+ * @file Reads published blobs back from a Walrus aggregator.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { AGGREGATOR_URL } = require('./config');
+
+/**
+ * Downloads a blob's bytes.
+ * @param {string} blobId - Walrus blob ID.
+ * @param {object} [options={}]
+ * @param {string} [options.aggregatorUrl=AGGREGATOR_URL] - Aggregator base URL.
+ * @param {number} [options.timeout=60000] - Request timeout in milliseconds.
+ * @returns {Promise<Buffer>} The blob content exactly as uploaded.
+ * @throws {Error} If the aggregator doesn't have the blob or can't be reached; `status` holds the HTTP
+ *   status if it answered.
+ */
+async function readBlob(blobId, { aggregatorUrl = AGGREGATOR_URL, timeout = 60000 } = {}) {
+    try {
+        const response = await axios.get(blobUrl(aggregatorUrl, blobId), { responseType: 'arraybuffer', timeout });
+        return Buffer.from(response.data);
+    } catch (error) {
+        throw readError(error, aggregatorUrl, blobId);
+    }
+}
+
+/**
+ * Downloads a blob as a stream and returns only its size and SHA-256, so large blobs can be
+ * checked without holding them in memory.
+ * @param {string} blobId - Walrus blob ID.
+ * @param {object} [options={}] - Same as readBlob().
+ * @returns {Promise<{size: number, sha256: string}>}
+ * @throws {Error} If the aggregator doesn't have the blob, can't be reached or the download breaks off;
+ *   `status` holds the HTTP status if it answered.
+ */
+async function readBlobDigest(blobId, { aggregatorUrl = AGGREGATOR_URL, timeout = 60000 } = {}) {
+    try {
+        const response = await axios.get(blobUrl(aggregatorUrl, blobId), { responseType: 'stream', timeout });
+        const hash = crypto.createHash('sha256');
+        let size = 0;
+        for await (const chunk of response.data) {
+            hash.update(chunk);
+            size += chunk.length;
+        }
+        return { size, sha256: hash.digest('hex') };
+    } catch (error) {
+        throw readError(error, aggregatorUrl, blobId);
+    }
+}
+
+function blobUrl(aggregatorUrl, blobId) {
+    return `${aggregatorUrl.replace(/\/+$/, '')}/v1/blobs/${encodeURIComponent(blobId)}`;
+}
+
+function readError(error, aggregatorUrl, blobId) {
+    const status = error.response?.status;
+    const readFailure = status === 404
+        ? new Error(`Blob ${blobId} not found on aggregator ${aggregatorUrl}.`)
+        : new Error(`Failed to read blob ${blobId} from ${aggregatorUrl}: ${status ? `Status ${status}` : error.message}`);
+    readFailure.status = status ?? null;
+    return readFailure;
+}
+
+module.exports = { readBlob, readBlobDigest };
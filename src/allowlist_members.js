@@ -0,0 +1,183 @@
+// src/allowlist_members.js
+/**
+ * @file Bulk allowlist membership: reads address lists from CSV/text files, validates and
+ * de-duplicates them, and adds missing members to (or syncs) an existing allowlist in batches.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isValidSuiAddress, normalizeSuiAddress } = require('@mysten/sui.js/utils');
+const logger = require('./bot_logger');
+
+// Header names recognised as the address column in CSV files
+const ADDRESS_COLUMNS = ['address', 'addr', 'wallet', 'member', 'recipient'];
+
+/**
+ * Normalizes a full-length Sui address (0x + 64 hex digits). Short forms such as "0x2" are
+ * rejected so a truncated address in a list is reported instead of being zero-padded.
+ * @param {string} value - Raw address.
+ * @returns {string|null} Lower-case address, or null if it isn't a valid Sui address.
+ */
+function parseSuiAddress(value) {
+    const trimmed = String(value).trim();
+    const prefixed = trimmed.startsWith('0x') || trimmed.startsWith('0X') ? `0x${trimmed.slice(2)}` : `0x${trimmed}`;
+    if (!/^0x[0-9a-fA-F]{64}$/.test(prefixed) || !isValidSuiAddress(prefixed)) {
+        return null;
+    }
+    return normalizeSuiAddress(prefixed);
+}
+
+/**
+ * Reads addresses from a text file (one per line) or a CSV file. In a CSV with a header row the
+ * address column is found by name (address, wallet, member, ...); otherwise the first column is used.
+ * Blank lines and lines starting with # are ignored.
+ * @param {string} filePath - File to read.
+ * @returns {{addresses: string[], invalid: {line: number, value: string}[], duplicates: string[]}}
+ *   Valid unique addresses in file order, rejected values, and addresses listed more than once.
+ */
+function readAddressFile(filePath) {
+    const absolutePath = path.resolve(filePath);
+    if (!fs.existsSync(absolutePath)) {
+        throw new Error(`Address file not found: ${absolutePath}`);
+    }
+
+    const rows = fs.readFileSync(absolutePath, 'utf8')
+        .split(/\r?\n/)
+        .map((text, i) => ({ line: i + 1, cells: text.split(/[,;\t]/).map(cell => cell.trim().replace(/^"(.*)"$/, '$1')) }))
+        .filter(row => row.cells.some(Boolean) && !row.cells[0].startsWith('#'));
+
+    let column = 0;
+    if (rows.length > 0 && !parseSuiAddress(rows[0].cells[0])) {
+        const headerIndex = rows[0].cells.findIndex(cell => ADDRESS_COLUMNS.includes(cell.toLowerCase()));
+        if (headerIndex !== -1) {
+            column = headerIndex;
+            rows.shift();
+        }
+    }
+
+    const seen = new Set();
+    const result = { addresses: [], invalid: [], duplicates: [] };
+    for (const { line, cells } of rows) {
+        const value = cells[column] || '';
+        const address = parseSuiAddress(value);
+        if (!address) {
+            result.invalid.push({ line, value });
+        } else if (seen.has(address)) {
+            result.duplicates.push(address);
+        } else {
+            seen.add(address);
+            result.addresses.push(address);
+        }
+    }
+    return result;
+}
+
+/**
+ * Splits addresses into those that still have to be added to an allowlist and its current members,
+ * since adding a member twice aborts the whole transaction.
+ * @param {import('./sui_actions')} suiActions - Actions used to read the allowlist.
+ * @param {string} allowlistId - The shared allowlist object ID.
+ * @param {string[]} addresses - Normalized addresses.
+ * @returns {Promise<{missing: string[], members: string[], memberCount: number}>} Addresses in their
+ *   original order, and how many members the allowlist has.
+ */
+async function splitMembers(suiActions, allowlistId, addresses) {
+    const existing = new Set(await suiActions.getAllowlistMembers(allowlistId));
+    return {
+        missing: addresses.filter(address => !existing.has(address)),
+        members: addresses.filter(address => existing.has(address)),
+        memberCount: existing.size,
+    };
+}
+
+/**
+ * Adds every address that isn't a member yet, in batched transactions.
+ * @param {import('./sui_actions')} suiActions - Actions for the wallet that owns the entry cap.
+ * @param {string} allowlistId - The shared allowlist object ID.
+ * @param {string} entryObjectId - The entry cap object ID.
+ * @param {string[]} addresses - Valid, de-duplicated addresses.
+ * @returns {Promise<{address: string, status: 'added'|'skipped'|'failed', reason: string}[]>} One entry per address.
+ */
+async function addMembers(suiActions, allowlistId, entryObjectId, addresses) {
+    const { missing, members, memberCount } = await splitMembers(suiActions, allowlistId, addresses);
+    logger.info(`Allowlist ${allowlistId.substring(0, 10)}... has ${memberCount} member(s).`);
+
+    const report = members.map(address => ({ address, status: 'skipped', reason: 'already a member' }));
+    await applyBatches(suiActions, allowlistId, entryObjectId, suiActions.planAllowlistBatches(missing), report);
+    return report;
+}
+
+/**
+ * Removes every listed address that is currently a member, in batched transactions.
+ * @param {import('./sui_actions')} suiActions - Actions for the wallet that owns the entry cap.
+ * @param {string} allowlistId - The shared allowlist object ID.
+ * @param {string} entryObjectId - The entry cap object ID.
+ * @param {string[]} addresses - Valid, de-duplicated addresses.
+ * @returns {Promise<{address: string, status: 'removed'|'skipped'|'failed', reason: string}[]>} One entry per address.
+ */
+async function removeMembers(suiActions, allowlistId, entryObjectId, addresses) {
+    const existing = new Set(await suiActions.getAllowlistMembers(allowlistId));
+    const report = addresses
+        .filter(address => !existing.has(address))
+        .map(address => ({ address, status: 'skipped', reason: 'not a member' }));
+    const toRemove = addresses.filter(address => existing.has(address));
+
+    await applyBatches(suiActions, allowlistId, entryObjectId, suiActions.planAllowlistBatches([], null, toRemove), report);
+    return report;
+}
+
+/**
+ * Makes the allowlist's members exactly `targetAddresses`: removes members that aren't listed and
+ * adds listed addresses that aren't members, in batched transactions (removes first).
+ * @param {import('./sui_actions')} suiActions - Actions for the wallet that owns the entry cap.
+ * @param {string} allowlistId - The shared allowlist object ID.
+ * @param {string} entryObjectId - The entry cap object ID.
+ * @param {string[]} targetAddresses - Valid, de-duplicated addresses that should be members.
+ * @returns {Promise<{address: string, status: 'added'|'removed'|'unchanged'|'failed', reason: string}[]>} One entry per address.
+ */
+async function syncMembers(suiActions, allowlistId, entryObjectId, targetAddresses) {
+    const current = await suiActions.getAllowlistMembers(allowlistId);
+    const currentSet = new Set(current);
+    const targetSet = new Set(targetAddresses);
+
+    const toRemove = current.filter(address => !targetSet.has(address));
+    const toAdd = targetAddresses.filter(address => !currentSet.has(address));
+    const report = current
+        .filter(address => targetSet.has(address))
+        .map(address => ({ address, status: 'unchanged', reason: '' }));
+
+    logger.info(`Allowlist ${allowlistId.substring(0, 10)}...: ${current.length} member(s) now, ${targetAddresses.length} wanted; ${toRemove.length} to remove, ${toAdd.length} to add.`);
+    if (toRemove.includes(suiActions.getAddress())) {
+        logger.warn('The wallet that owns the cap is not in the target list and will be removed from the allowlist.');
+    }
+
+    await applyBatches(suiActions, allowlistId, entryObjectId, suiActions.planAllowlistBatches(toAdd, null, toRemove), report);
+    return report;
+}
+
+/**
+ * Executes batches from planAllowlistBatches(), recording each address's outcome. A failed batch
+ * marks its addresses as failed and the remaining batches still run.
+ */
+async function applyBatches(suiActions, allowlistId, entryObjectId, batches, report) {
+    for (let i = 0; i < batches.length; i++) {
+        try {
+            await suiActions.executeAllowlistBatch(allowlistId, entryObjectId, batches[i], `Allowlist Batch ${i + 1}/${batches.length}`);
+            batches[i].forEach(call => {
+                if (call.add) report.push({ address: call.add, status: 'added', reason: '' });
+                if (call.remove) report.push({ address: call.remove, status: 'removed', reason: '' });
+            });
+        } catch (error) {
+            batches[i].forEach(call => report.push({ address: call.add || call.remove, status: 'failed', reason: `${call.add ? 'add' : 'remove'} failed: ${error.message}` }));
+        }
+    }
+}
+
+module.exports = {
+    parseSuiAddress,
+    readAddressFile,
+    splitMembers,
+    addMembers,
+    removeMembers,
+    syncMembers,
+};
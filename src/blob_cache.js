@@ -0,0 +1,212 @@
+// src/blob_cache.js
+/**
+ * @file Local cache of uploaded blobs, keyed by the SHA-256 of the content, the storage epochs and,
+ * for SEAL-encrypted content, the allowlist or service it was encrypted for.
+ *
+ * Uploading the same bytes again only earns an `alreadyCertified` answer, so while a cached blob is
+ * still stored its ID is reused and the upload is skipped. URL sources also remember the hash of
+ * what they served last (with its ETag/Last-Modified), so a known URL isn't downloaded again either:
+ * with validators the server is asked whether the content changed (304 Not Modified), without them
+ * the URL is trusted to serve the same content for as long as its blob is stored.
+ *
+ * SEAL ciphertext differs on every encryption, so encrypted blobs are found by the plaintext's hash
+ * and their policy object: the same content encrypted for the same allowlist or service reuses the
+ * blob (members can decrypt it either way), with the encryption metadata it was uploaded with.
+ *
+ * Walrus doesn't report the current epoch outside of upload answers, so the cache keeps the latest
+ * start epoch it has seen and counts `WALRUS_EPOCH_DURATION_MS` per epoch since then. A blob is
+ * valid while its end epoch is past that estimate; without any epoch seen yet nothing is reused.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./bot_logger');
+const { BLOB_CACHE_FILE_PATH, WALRUS_EPOCH_DURATION_MS } = require('./config');
+
+const ENTRY_STATUSES = ['valid', 'expired', 'unknown'];
+
+class BlobCache {
+    /**
+     * @param {object} [options={}]
+     * @param {string} [options.filePath=BLOB_CACHE_FILE_PATH] - Cache file, relative to the project root.
+     * @param {number} [options.epochDurationMs=WALRUS_EPOCH_DURATION_MS] - Length of a Walrus epoch.
+     */
+    constructor({ filePath = BLOB_CACHE_FILE_PATH, epochDurationMs = WALRUS_EPOCH_DURATION_MS } = {}) {
+        this.filePath = path.resolve(__dirname, '..', filePath);
+        this.epochDurationMs = epochDurationMs;
+        this.epoch = null; // { number, seenAt }: latest start epoch seen in an upload answer, and when
+        this.blobs = new Map(); // `${sha256}:${epochs}` (plus `:${encryptedFor}` when encrypted) -> entry
+        this.sources = new Map(); // URL -> { sha256, etag, lastModified, checkedAt }
+        this.load();
+    }
+
+    static key(sha256, epochs, encryptedFor = null) {
+        return encryptedFor ? `${sha256}:${epochs}:${encryptedFor}` : `${sha256}:${epochs}`;
+    }
+
+    /**
+     * Current Walrus epoch, estimated from the latest epoch seen.
+     * @returns {number|null} Null until an upload answer has named an epoch.
+     */
+    currentEpoch() {
+        if (!this.epoch) return null;
+        return this.epoch.number + Math.floor((Date.now() - Date.parse(this.epoch.seenAt)) / this.epochDurationMs);
+    }
+
+    /**
+     * Notes an epoch named by a publisher (the start epoch of a newly created blob).
+     * @param {number|null} number
+     */
+    observeEpoch(number) {
+        if (number === null || number === undefined) return;
+        // Keep the first sighting of the newest epoch: the estimate then moves on no later than the network
+        if (!this.epoch || number > this.epoch.number) {
+            this.epoch = { number, seenAt: new Date().toISOString() };
+        }
+    }
+
+    /**
+     * Whether a cached blob is still stored.
+     * @param {object} entry - Cache entry.
+     * @returns {'valid'|'expired'|'unknown'} Unknown when its end epoch or the current epoch isn't known.
+     */
+    status(entry) {
+        const current = this.currentEpoch();
+        if (entry.endEpoch === null || current === null) return 'unknown';
+        return entry.endEpoch > current ? 'valid' : 'expired';
+    }
+
+    /**
+     * The cached blob for some content, if it is still stored.
+     * @param {string} sha256 - Hex SHA-256 of the content (the plaintext, for encrypted blobs).
+     * @param {number} epochs - Storage epochs requested.
+     * @param {string|null} [encryptedFor=null] - Allowlist or service object ID the content is encrypted for.
+     * @returns {object|null} `{ blobId, sha256, epochs, size, startEpoch, endEpoch, publisher, storedAt, sources }`,
+     *   plus `encryptedFor`, `encryption` (metadata) and `blobSha256` (of the ciphertext) for encrypted blobs.
+     */
+    find(sha256, epochs, encryptedFor = null) {
+        const entry = this.blobs.get(BlobCache.key(sha256, epochs, encryptedFor));
+        return entry && this.status(entry) === 'valid' ? entry : null;
+    }
+
+    /**
+     * What a URL served when it was last downloaded.
+     * @param {string} url
+     * @returns {{sha256: string, etag: string|null, lastModified: string|null, checkedAt: string}|null}
+     */
+    sourceFor(url) {
+        return this.sources.get(url) || null;
+    }
+
+    /**
+     * Remembers the hash and validators of a URL's content.
+     * @param {string} url
+     * @param {{sha256: string, etag?: string|null, lastModified?: string|null}} revision
+     */
+    rememberSource(url, { sha256, etag = null, lastModified = null }) {
+        this.sources.set(url, { sha256, etag, lastModified, checkedAt: new Date().toISOString() });
+        this.save();
+    }
+
+    /**
+     * Adds or refreshes the entry for an uploaded blob.
+     * @param {object} blob
+     * @param {string} blob.sha256 - Hex SHA-256 of the content (the plaintext, for encrypted blobs).
+     * @param {number} blob.epochs - Storage epochs requested.
+     * @param {string} blob.blobId
+     * @param {number} blob.size - Bytes.
+     * @param {string|null} blob.publisher - Publisher that stored it.
+     * @param {number|null} blob.startEpoch - From the publisher's answer (see storageEpochs()).
+     * @param {number|null} blob.endEpoch
+     * @param {string|null} blob.source - URL or path the content came from.
+     * @param {string|null} [blob.encryptedFor=null] - Allowlist or service object ID the content was encrypted for.
+     * @param {object|null} [blob.encryption=null] - Encryption metadata (see ContentEncryptor#encrypt()).
+     * @param {string|null} [blob.blobSha256=null] - Hex SHA-256 of the ciphertext, what the aggregator serves.
+     */
+    record({ sha256, epochs, blobId, size, publisher, startEpoch, endEpoch, source, encryptedFor = null, encryption = null, blobSha256 = null }) {
+        const key = BlobCache.key(sha256, epochs, encryptedFor);
+        const previous = this.blobs.get(key);
+        const sources = previous?.blobId === blobId ? previous.sources : [];
+        this.blobs.set(key, {
+            blobId, sha256, epochs, size, publisher, startEpoch, endEpoch,
+            ...(encryptedFor ? { encryptedFor, encryption, blobSha256 } : {}),
+            storedAt: new Date().toISOString(),
+            sources: source && !sources.includes(source) ? [...sources, source] : sources,
+        });
+        this.observeEpoch(startEpoch);
+        this.save();
+    }
+
+    /**
+     * Drops an entry, e.g. after its blob failed verification.
+     * @param {string} sha256
+     * @param {number} epochs
+     * @param {string|null} [encryptedFor=null]
+     */
+    forget(sha256, epochs, encryptedFor = null) {
+        if (this.blobs.delete(BlobCache.key(sha256, epochs, encryptedFor))) {
+            this.save();
+        }
+    }
+
+    /**
+     * Every entry with its status, oldest first.
+     * @returns {object[]} Entries plus `status`.
+     */
+    list() {
+        return [...this.blobs.values()]
+            .map(entry => ({ ...entry, status: this.status(entry) }))
+            .sort((a, b) => a.storedAt.localeCompare(b.storedAt));
+    }
+
+    /**
+     * Removes expired entries (or all of them), and URL records whose content has no entry left.
+     * @param {object} [options={}]
+     * @param {boolean} [options.all=false] - Also remove valid and unknown entries.
+     * @param {boolean} [options.dryRun=false] - Only report what would be removed.
+     * @returns {object[]} The removed entries, with their status.
+     */
+    prune({ all = false, dryRun = false } = {}) {
+        const removed = this.list().filter(entry => all || entry.status === 'expired');
+        if (dryRun || removed.length === 0) {
+            return removed;
+        }
+        for (const entry of removed) {
+            this.blobs.delete(BlobCache.key(entry.sha256, entry.epochs, entry.encryptedFor));
+        }
+        const hashes = new Set([...this.blobs.values()].map(entry => entry.sha256));
+        for (const [url, revision] of this.sources) {
+            if (!hashes.has(revision.sha256)) this.sources.delete(url);
+        }
+        this.save();
+        return removed;
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return;
+        }
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.epoch = saved.epoch || null;
+            this.blobs = new Map((saved.blobs || []).map(entry => [BlobCache.key(entry.sha256, entry.epochs, entry.encryptedFor), entry]));
+            this.sources = new Map(Object.entries(saved.sources || {}));
+        } catch (error) {
+            // A lost cache only costs uploads that would have been skipped; start fresh
+            logger.warn(`Ignoring blob cache file ${this.filePath}: ${error.message}`);
+        }
+    }
+
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const data = { updatedAt: new Date().toISOString(), epoch: this.epoch, blobs: [...this.blobs.values()], sources: Object.fromEntries(this.sources) };
+            fs.writeFileSync(this.filePath, `${JSON.stringify(data, null, 2)}\n`);
+        } catch (error) {
+            logger.error(`Failed to save the blob cache to ${this.filePath}`, error);
+        }
+    }
+}
+
+module.exports = BlobCache;
+module.exports.ENTRY_STATUSES = ENTRY_STATUSES;
@@ -0,0 +1,128 @@
+// src/blob_verification.js
+/**
+ * @file Post-upload verification: a blob is only accepted once an aggregator serves exactly the
+ * bytes that were uploaded and the publisher's storage period covers the requested epochs.
+ * Aggregators may lag behind the publisher, so a blob they don't serve yet (404) is read again
+ * a few times, with a doubling delay, before verification fails.
+ */
+
+const crypto = require('crypto');
+const logger = require('./bot_logger');
+const { readBlobDigest } = require('./aggregator');
+const { transferTimeoutMs } = require('./content_files');
+const { AGGREGATOR_URL, AGGREGATOR_READ_RETRIES, AGGREGATOR_READ_RETRY_DELAY_MS } = require('./config');
+
+/**
+ * Thrown when an uploaded blob fails verification. Uploads treat it like a failed attempt and
+ * retry on another publisher.
+ */
+class BlobVerificationError extends Error {
+    constructor(message, blobId) {
+        super(message);
+        this.name = 'BlobVerificationError';
+        this.blobId = blobId;
+    }
+}
+
+/**
+ * Reads the storage period from a publisher response.
+ * @param {object} responseData - Publisher response body.
+ * @returns {{startEpoch: number|null, endEpoch: number|null}} Null where the response doesn't say.
+ */
+function storageEpochs(responseData) {
+    const created = responseData?.newlyCreated?.blobObject;
+    if (created) {
+        return { startEpoch: numberOrNull(created.storage?.startEpoch ?? created.registeredEpoch), endEpoch: numberOrNull(created.storage?.endEpoch) };
+    }
+    return { startEpoch: null, endEpoch: numberOrNull(responseData?.alreadyCertified?.endEpoch) };
+}
+
+function numberOrNull(value) {
+    const number = Number(value);
+    return value !== undefined && value !== null && Number.isFinite(number) ? number : null;
+}
+
+class BlobVerifier {
+    /**
+     * @param {object} [options={}]
+     * @param {string} [options.aggregatorUrl=AGGREGATOR_URL] - Aggregator to read blobs back from.
+     * @param {number} [options.readRetries=AGGREGATOR_READ_RETRIES] - Reads repeated while the aggregator answers 404.
+     * @param {number} [options.readRetryDelayMs=AGGREGATOR_READ_RETRY_DELAY_MS] - Delay before the first repeat; doubles after each.
+     */
+    constructor({ aggregatorUrl = AGGREGATOR_URL, readRetries = AGGREGATOR_READ_RETRIES, readRetryDelayMs = AGGREGATOR_READ_RETRY_DELAY_MS } = {}) {
+        this.aggregatorUrl = aggregatorUrl;
+        this.readRetries = readRetries;
+        this.readRetryDelayMs = readRetryDelayMs;
+        this.currentEpoch = null; // Latest start epoch seen in a newlyCreated response
+    }
+
+    /**
+     * Verifies one upload.
+     * @param {string} blobId - Blob ID returned by the publisher.
+     * @param {Buffer|{size: number, sha256: string}} uploaded - The bytes that were sent, or their size
+     *   and SHA-256 when they were streamed from disk.
+     * @param {number} epochs - Storage epochs requested.
+     * @param {object} responseData - Publisher response body.
+     * @returns {Promise<{endEpoch: number|null, epochsChecked: boolean}>}
+     * @throws {BlobVerificationError} If the aggregator can't serve the blob (still answering 404 after
+     *   `readRetries` repeats), serves different bytes, or the storage ends before the requested epochs.
+     */
+    async verify(blobId, uploaded, epochs, responseData) {
+        const { startEpoch, endEpoch } = storageEpochs(responseData);
+        if (startEpoch !== null) {
+            this.currentEpoch = Math.max(this.currentEpoch ?? startEpoch, startEpoch);
+        }
+        // An alreadyCertified answer has no start epoch; the latest epoch seen in this run stands in
+        const fromEpoch = startEpoch ?? this.currentEpoch;
+        const epochsChecked = endEpoch !== null && fromEpoch !== null;
+        if (epochsChecked && endEpoch < fromEpoch + epochs) {
+            throw new BlobVerificationError(`Blob ${blobId} is stored until epoch ${endEpoch}, but ${epochs} epoch(s) from epoch ${fromEpoch} were requested.`, blobId);
+        }
+
+        const expected = Buffer.isBuffer(uploaded) ? { size: uploaded.length, sha256: sha256(uploaded) } : uploaded;
+        let stored;
+        try {
+            stored = await this.readBack(blobId, transferTimeoutMs(expected.size));
+        } catch (error) {
+            throw new BlobVerificationError(`Blob ${blobId} could not be read back: ${error.message}`, blobId);
+        }
+        if (stored.size !== expected.size) {
+            throw new BlobVerificationError(`Blob ${blobId} has ${stored.size} bytes on the aggregator, ${expected.size} were uploaded.`, blobId);
+        }
+        if (stored.sha256 !== expected.sha256) {
+            throw new BlobVerificationError(`Blob ${blobId} on the aggregator differs from the uploaded content.`, blobId);
+        }
+        return { endEpoch, epochsChecked };
+    }
+
+    /**
+     * Reads a blob's size and SHA-256 from the aggregator, waiting for it while the aggregator answers 404.
+     * @param {string} blobId
+     * @param {number} timeout - Per read, in milliseconds.
+     * @returns {Promise<{size: number, sha256: string}>}
+     * @throws {Error} The last read error; errors other than 404 are not retried.
+     */
+    async readBack(blobId, timeout) {
+        let delay = this.readRetryDelayMs;
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await readBlobDigest(blobId, { aggregatorUrl: this.aggregatorUrl, timeout });
+            } catch (error) {
+                if (error.status !== 404 || attempt > this.readRetries) {
+                    throw error;
+                }
+                logger.wait(`Blob ${blobId.substring(0,10)}... is not on the aggregator yet; reading it again in ${(delay / 1000).toFixed(1)}s (${attempt}/${this.readRetries}).`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+                delay *= 2;
+            }
+        }
+    }
+}
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+module.exports = BlobVerifier;
+module.exports.BlobVerificationError = BlobVerificationError;
+module.exports.storageEpochs = storageEpochs;
@@ -0,0 +1,94 @@
+// src/checkpoint.js
+/**
+ * @file Step-level checkpoints stored in the run ledger, used to resume interrupted runs.
+ * Each finished workflow step writes a 'checkpoint' record with its outputs; a resumed run
+ * replays those outputs instead of repeating the on-chain action.
+ */
+
+const logger = require('./bot_logger');
+
+// Step name written once every step of a repetition has finished
+const DONE_STEP = '__done__';
+
+class TaskCheckpoint {
+    /**
+     * @param {import('./run_ledger')} ledger - Ledger the checkpoints are written to.
+     * @param {string} wallet - Wallet address the task runs for.
+     * @param {number} repetition - 1-based repetition number.
+     * @param {object} [completedSteps={}] - Outputs of steps finished by an earlier attempt, keyed by step name.
+     */
+    constructor(ledger, wallet, repetition, completedSteps = {}) {
+        this.ledger = ledger;
+        this.wallet = wallet;
+        this.repetition = repetition;
+        this.completedSteps = { ...completedSteps };
+        this.onStepStart = null; // Optional (stepName) => void, called before a step runs
+    }
+
+    /**
+     * Runs a step unless an earlier attempt already finished it.
+     * @param {string} name - Step name, unique within the repetition.
+     * @param {() => Promise<object|void>} fn - Performs the step; resolves to JSON-serializable outputs.
+     * @returns {Promise<object>} The step outputs (replayed from the checkpoint when skipped).
+     */
+    async step(name, fn) {
+        if (Object.prototype.hasOwnProperty.call(this.completedSteps, name)) {
+            logger.info(`Resume: step "${name}" already completed, reusing its results.`);
+            return this.completedSteps[name];
+        }
+        if (this.onStepStart) this.onStepStart(name);
+        const outputs = (await fn()) || {};
+        this.completedSteps[name] = outputs;
+        this.ledger.record('checkpoint', this.wallet, { repetition: this.repetition, step: name, outputs });
+        return outputs;
+    }
+
+    /**
+     * Marks the whole repetition as finished.
+     */
+    complete() {
+        this.ledger.record('checkpoint', this.wallet, { repetition: this.repetition, step: DONE_STEP });
+    }
+
+    /**
+     * Rebuilds per-task progress from a run's checkpoint records.
+     * @param {import('./run_ledger')} ledger - Ledger to read.
+     * @param {string} runId - Run to resume.
+     * @returns {Map<string, {steps: object, done: boolean}>} Progress keyed by TaskCheckpoint.key().
+     */
+    static loadProgress(ledger, runId) {
+        const progress = new Map();
+        for (const record of ledger.read({ runId, type: 'checkpoint' })) {
+            const key = TaskCheckpoint.key(record.wallet, record.repetition);
+            if (!progress.has(key)) progress.set(key, { steps: {}, done: false });
+            const entry = progress.get(key);
+            if (record.step === DONE_STEP) {
+                entry.done = true;
+            } else {
+                entry.steps[record.step] = record.outputs || {};
+            }
+        }
+        return progress;
+    }
+
+    static key(wallet, repetition) {
+        return `${wallet.toLowerCase()}#${repetition}`;
+    }
+}
+
+/**
+ * Runs `fn` as a checkpointed step when a checkpoint is given, or directly otherwise.
+ * @param {TaskCheckpoint|null} checkpoint
+ * @param {string} name - Step name.
+ * @param {() => Promise<object|void>} fn - The step.
+ * @returns {Promise<object>} Step outputs.
+ */
+async function runStep(checkpoint, name, fn) {
+    if (checkpoint) {
+        return checkpoint.step(name, fn);
+    }
+    return (await fn()) || {};
+}
+
+module.exports = TaskCheckpoint;
+module.exports.runStep = runStep;
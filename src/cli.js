@@ -0,0 +1,365 @@
+// src/cli.js
+/**
+ * @file Command-line interface definition for the Seal Bot.
+ * Builds the commander program; the actual command handlers live in app.js.
+ */
+
+const { Command, InvalidArgumentError } = require('commander');
+const {
+    DEFAULT_IMAGE_URL,
+    DEFAULT_BLOB_EPOCHS,
+    WORKER_CONCURRENCY,
+    GAS_BUDGET_MULTIPLIER,
+    MAX_GAS_BUDGET,
+    MAX_BATCH_CALLS,
+    FAUCET_URL,
+    FAUCET_THRESHOLD_MIST,
+    SERVICE_FEE,
+    SERVICE_TTL,
+    AGGREGATOR_URL,
+    CONTENT_MIME_TYPES,
+    CONTENT_MAX_BYTES,
+} = require('./config');
+const { OUTPUT_FORMATS } = require('./headless_reporter');
+const { RECORD_TYPES } = require('./run_ledger');
+const { parseAmountSpec, parseDurationSpec } = require('./terms');
+const { parseByteSize, formatBytes } = require('./content_files');
+const { SELECTION_MODES } = require('./content_catalogue');
+const { ENTRY_STATUSES } = require('./blob_cache');
+
+const WORKFLOWS = ['allowlist', 'subscription'];
+// `run` also accepts the consumer-side workflow, which isn't a publish target
+const RUN_WORKFLOWS = [...WORKFLOWS, 'purchase'];
+
+// --- Option parsers ---
+
+function parsePositiveInt(value) {
+    const parsed = parseInt(value, 10);
+    if (isNaN(parsed) || parsed < 1 || String(parsed) !== value.trim()) {
+        throw new InvalidArgumentError('Must be a positive integer.');
+    }
+    return parsed;
+}
+
+function parsePositiveNumber(value) {
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || parsed <= 0) {
+        throw new InvalidArgumentError('Must be a positive number.');
+    }
+    return parsed;
+}
+
+function parseChoice(choices) {
+    return (value) => {
+        if (!choices.includes(value)) {
+            throw new InvalidArgumentError(`Must be one of: ${choices.join(', ')}.`);
+        }
+        return value;
+    };
+}
+
+// Validates a unit-bearing value (see src/terms.js) but keeps the text, so a resumed run re-reads the same spec
+function parseSpec(parse) {
+    return (value) => {
+        try {
+            parse(value);
+        } catch (error) {
+            throw new InvalidArgumentError(`${error.message[0].toUpperCase()}${error.message.slice(1)}.`);
+        }
+        return value;
+    };
+}
+
+function parseSize(value) {
+    try {
+        return parseByteSize(value);
+    } catch (error) {
+        throw new InvalidArgumentError(`${error.message[0].toUpperCase()}${error.message.slice(1)}.`);
+    }
+}
+
+function parseList(value) {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+const parseWorkflow = parseChoice(WORKFLOWS);
+const parseRunWorkflow = parseChoice(RUN_WORKFLOWS);
+const parseOutputFormat = parseChoice(OUTPUT_FORMATS);
+
+// Accepts repeated flags as well as comma-separated lists: -a 0x1,0x2 -a 0x3
+function collectAddresses(value, previous = []) {
+    return previous.concat(value.split(',').map(a => a.trim()).filter(Boolean));
+}
+
+// Shared by the commands that read a content catalogue
+function addContentCheckOptions(command) {
+    return command
+        .option('--content-types <types>', `allowed MIME types of catalogue items, comma-separated; "image/*" matches any image (default: ${CONTENT_MIME_TYPES.join(',')})`, parseList)
+        .option('--max-content-size <size>', `size limit per catalogue item, e.g. 512KB or 10MB (default: ${formatBytes(CONTENT_MAX_BYTES)})`, parseSize);
+}
+
+// Shared by the ledger query commands
+function addLedgerFilterOptions(command) {
+    return command
+        .option('--wallet <address>', 'only records for this wallet address')
+        .option('--run <runId>', 'only records from this run')
+        .option('--type <type>', `only records of this type (${RECORD_TYPES.join(' | ')})`, parseChoice(RECORD_TYPES))
+        .option('--since <date>', 'only records at or after this date/time (ISO 8601)');
+}
+
+// Shared by every command that runs wallet tasks (output mode, resume, concurrency, dry run, gas, batching, pre-flight, faucet)
+function addOutputOptions(command) {
+    return command
+        .option('--headless', 'skip the TUI and write logs to stdout (default when stdout is not a terminal)')
+        .option('-o, --output <format>', `headless output format (${OUTPUT_FORMATS.join(' | ')})`, parseOutputFormat, 'text')
+        .option('--resume [runId]', 'resume the latest run (or the given run ID) from its ledger checkpoints')
+        .option('-c, --concurrency <count>', 'number of wallets processed in parallel', parsePositiveInt, WORKER_CONCURRENCY)
+        .option('--dry-run', 'simulate transactions (estimated gas, Move aborts) without submitting; skips blob uploads')
+        .option('--gas-multiplier <factor>', 'safety multiplier applied to each estimated gas budget', parsePositiveNumber, GAS_BUDGET_MULTIPLIER)
+        .option('--max-gas <mist>', 'hard cap for any gas budget, in MIST', parsePositiveInt, MAX_GAS_BUDGET)
+        .option('--batch', 'send allowlist adds and the publish as programmable transaction blocks instead of one transaction each')
+        .option('--verify-uploads', 'read every uploaded blob back from the aggregator and check its content and storage epochs before publishing it')
+        .option('--aggregator <url>', 'Walrus aggregator to read blobs from', AGGREGATOR_URL)
+        .option('--keep-publisher-health', 'load publisher health from the previous run and save it for the next one')
+        .option('--no-blob-cache', 'upload content again even when the blob cache holds a stored blob of it')
+        .option('--encrypt', 'SEAL-encrypt workflow content for its allowlist/service before uploading (needs SEAL_KEY_SERVER_IDS)')
+        .option('--no-preflight', 'skip the pre-flight balance check (empty wallets are then not skipped)')
+        .option('--faucet', 'request testnet SUI for wallets below the faucet threshold before running')
+        .option('--faucet-threshold <mist>', 'top up wallets with less than this balance, in MIST', parsePositiveInt, FAUCET_THRESHOLD_MIST)
+        .option('--faucet-url <url>', 'faucet gas endpoint', FAUCET_URL);
+}
+
+// Shared by the allowlist membership commands
+function addMembershipOptions(command) {
+    return command
+        .option('-W, --wallet <index>', 'wallet that owns the cap (1-based)', parsePositiveInt, 1)
+        .option('--batch-size <count>', 'calls per transaction block', parsePositiveInt, MAX_BATCH_CALLS)
+        .option('--dry-run', 'simulate the transactions without submitting them')
+        .option('-o, --output <format>', `report format (${OUTPUT_FORMATS.join(' | ')})`, parseOutputFormat, 'text');
+}
+
+/**
+ * Builds the CLI program.
+ * @param {object} handlers - Command handlers supplied by the application.
+ * @param {(options: object) => Promise<void>} handlers.run - Runs a workflow over the selected wallets.
+ * @param {(source: string, options: object) => Promise<void>} handlers.upload - Uploads a blob, or one per file of a folder.
+ * @param {(target: string, objectId: string, capId: string, blobId: string, options: object) => Promise<void>} handlers.publish - Publishes an existing blob.
+ * @param {(target: string, objectId: string, blobId: string, options: object) => Promise<void>} handlers.retrieve - Downloads and decrypts a published blob.
+ * @param {(options: object) => Promise<void>} handlers.listWallets - Lists the loaded wallets.
+ * @param {(options: object) => Promise<void>} handlers.fundWallets - Tops up wallets from the testnet faucet.
+ * @param {(allowlistId: string, capId: string, file: string, options: object) => Promise<void>} handlers.addMembers - Adds the addresses in a file to an allowlist.
+ * @param {(allowlistId: string, capId: string, addresses: string[], options: object) => Promise<void>} handlers.removeMembers - Removes addresses from an allowlist.
+ * @param {(allowlistId: string, capId: string, file: string, options: object) => Promise<void>} handlers.syncMembers - Makes an allowlist's members match a file.
+ * @param {(address: string|undefined, options: object) => Promise<void>} handlers.inspectCaps - Lists a wallet's entry caps.
+ * @param {(allowlistId: string, options: object) => Promise<void>} handlers.inspectAllowlist - Shows an allowlist.
+ * @param {(serviceId: string, options: object) => Promise<void>} handlers.inspectService - Shows a subscription service.
+ * @param {(options: object) => Promise<void>} handlers.runPlan - Runs a plan file (`options.planFile`).
+ * @param {(file: string) => Promise<void>} handlers.validatePlan - Validates a plan file without running it.
+ * @param {(source: string, options: object) => Promise<void>} handlers.checkContent - Checks the items of a content catalogue.
+ * @param {(options: object) => Promise<void>} handlers.cacheList - Lists the blob cache.
+ * @param {(options: object) => Promise<void>} handlers.cachePrune - Removes expired blob cache entries.
+ * @param {(options: object) => Promise<void>} handlers.ledgerList - Prints run ledger records.
+ * @param {(options: object) => Promise<void>} handlers.ledgerExport - Exports run ledger records.
+ * @returns {Command} The configured commander program.
+ */
+function createCli(handlers) {
+    const program = new Command();
+
+    program
+        .name('seal-bot')
+        .description('Automates allowlist/subscription workflows on the Sui SEAL protocol.')
+        .showHelpAfterError();
+
+    const run = program
+        .command('run')
+        .description('Run a complete workflow for each selected wallet.')
+        .argument('<workflow>', `workflow to run (${RUN_WORKFLOWS.join(' | ')})`, parseRunWorkflow)
+        .option('-i, --image <source>', 'image URL, local file, or folder whose files are each uploaded and published', DEFAULT_IMAGE_URL)
+        .option('-r, --repeat <count>', 'repetitions per wallet', parsePositiveInt, 1)
+        .option('-w, --wallets <range>', 'wallets to use, 1-based (e.g. 1-5,8,10-)')
+        .option('-a, --address <addresses>', 'extra address(es) to add to each allowlist; repeatable or comma-separated', collectAddresses, [])
+        .option('--amount <amount>', 'fee of created services in SUI or MIST, or a range drawn from per service (e.g. 0.5sui, 0.1-0.5sui)', parseSpec(parseAmountSpec), SERVICE_FEE)
+        .option('--duration <duration>', 'TTL of created services (e.g. 90m, 7d, 1d12h) or a range (e.g. 1h-2d)', parseSpec(parseDurationSpec), SERVICE_TTL)
+        .option('--terms-file <file>', 'JSON file with per-wallet --amount/--duration values (see README)')
+        .option('--service <serviceId>', 'service to buy subscriptions to (`run purchase`)')
+        .option('--reuse', 'publish to the wallet\'s existing allowlist/service (found on chain) instead of creating one per repetition')
+        .option('--reuse-file <file>', 'JSON file pinning allowlists/services and caps to wallets; implies --reuse')
+        .option('--check-retrieval', 'after each allowlist publish, read the blob back from the aggregator, decrypt it and compare it with the upload')
+        .option('--content <source>', 'content catalogue to pick each task\'s upload from instead of --image: folder, .txt list, .json/.yaml manifest or comma-separated URLs')
+        .option('--content-mode <mode>', `how catalogue items are picked per wallet task (${SELECTION_MODES.join(' | ')})`, parseChoice(SELECTION_MODES), 'round-robin');
+    addOutputOptions(addContentCheckOptions(run))
+        .action((workflow, options) => handlers.run({ ...options, workflow }));
+
+    const plan = program
+        .command('plan')
+        .description('Declarative task plans (YAML or JSON).');
+
+    addOutputOptions(plan
+        .command('run')
+        .description('Run the per-wallet steps described in a plan file.')
+        .argument('<file>', 'plan file (.yaml, .yml or .json)'))
+        .action((file, options) => handlers.runPlan({ ...options, planFile: file }));
+
+    plan
+        .command('validate')
+        .description('Check a plan file against the schema and the loaded wallets without running it.')
+        .argument('<file>', 'plan file (.yaml, .yml or .json)')
+        .action(file => handlers.validatePlan(file));
+
+    program
+        .command('upload')
+        .description('Upload a blob and print its blob ID; for a folder, upload every file and print "<blobId>\t<file>" per file.')
+        .argument('[source]', 'image URL, local file or folder path', DEFAULT_IMAGE_URL)
+        .option('-e, --epochs <count>', 'storage epochs for the blob', parsePositiveInt, DEFAULT_BLOB_EPOCHS)
+        .option('-W, --wallet <index>', 'wallet to use (1-based)', parsePositiveInt, 1)
+        .option('--encrypt-for <objectId>', 'SEAL-encrypt the content for this allowlist or service before uploading')
+        .option('--verify', 'read the blob back from the aggregator and check it before printing its ID')
+        .option('--aggregator <url>', 'Walrus aggregator used by --verify', AGGREGATOR_URL)
+        .option('--no-blob-cache', 'upload even when the blob cache holds a stored blob of the same content')
+        .action((source, options) => handlers.upload(source, options));
+
+    program
+        .command('publish')
+        .description('Publish an existing blob to an allowlist or subscription service.')
+        .argument('<target>', `publish target (${WORKFLOWS.join(' | ')})`, parseWorkflow)
+        .argument('<objectId>', 'shared allowlist or service object ID')
+        .argument('<capId>', 'entry cap object ID owned by the wallet')
+        .argument('<blobId>', 'blob ID to publish')
+        .option('-W, --wallet <index>', 'wallet that owns the cap (1-based)', parsePositiveInt, 1)
+        .option('--dry-run', 'simulate the publish transaction without submitting it')
+        .action((target, objectId, capId, blobId, options) => handlers.publish(target, objectId, capId, blobId, options));
+
+    program
+        .command('retrieve')
+        .description('Download a published blob, decrypt it as a member/subscriber and print its SHA-256 and size.')
+        .argument('<target>', `kind of object the blob was published to (${WORKFLOWS.join(' | ')})`, parseWorkflow)
+        .argument('<objectId>', 'shared allowlist or service object ID')
+        .argument('<blobId>', 'blob ID to retrieve')
+        .option('-W, --wallet <index>', 'member or subscriber wallet that requests the keys (1-based)', parsePositiveInt, 1)
+        .option('--out <file>', 'write the decrypted content to this file')
+        .option('--sha256 <hash>', 'expected SHA-256 of the content (default: the hash recorded at upload, if in the ledger)')
+        .option('--aggregator <url>', 'Walrus aggregator to read the blob from', AGGREGATOR_URL)
+        .action((target, objectId, blobId, options) => handlers.retrieve(target, objectId, blobId, options));
+
+    const wallets = program
+        .command('wallets')
+        .description('Wallet utilities.');
+
+    wallets
+        .command('list')
+        .description('List the wallets loaded from wallets.txt with their addresses.')
+        .option('-w, --wallets <range>', 'wallets to list, 1-based (e.g. 1-5,8)')
+        .action(options => handlers.listWallets(options));
+
+    wallets
+        .command('fund')
+        .description('Request testnet SUI from the faucet for wallets below a balance threshold.')
+        .option('-w, --wallets <range>', 'wallets to fund, 1-based (e.g. 1-5,8)')
+        .option('--threshold <mist>', 'top up wallets with less than this balance, in MIST', parsePositiveInt, FAUCET_THRESHOLD_MIST)
+        .option('--faucet-url <url>', 'faucet gas endpoint', FAUCET_URL)
+        .action(options => handlers.fundWallets(options));
+
+    const allowlist = program
+        .command('allowlist')
+        .description('Manage the members of an existing allowlist.');
+
+    addMembershipOptions(allowlist
+        .command('add-members')
+        .description('Add the addresses in a CSV or text file to an allowlist, skipping invalid, duplicate and existing ones.')
+        .argument('<allowlistId>', 'shared allowlist object ID')
+        .argument('<capId>', 'entry cap object ID owned by the wallet')
+        .argument('<file>', 'CSV (address column or first column) or text file, one address per line'))
+        .action((allowlistId, capId, file, options) => handlers.addMembers(allowlistId, capId, file, options));
+
+    addMembershipOptions(allowlist
+        .command('remove')
+        .description('Remove addresses from an allowlist, revoking their access.')
+        .argument('<allowlistId>', 'shared allowlist object ID')
+        .argument('<capId>', 'entry cap object ID owned by the wallet')
+        .argument('<addresses...>', 'addresses to remove'))
+        .action((allowlistId, capId, addresses, options) => handlers.removeMembers(allowlistId, capId, addresses, options));
+
+    addMembershipOptions(allowlist
+        .command('sync')
+        .description('Make an allowlist\'s members exactly the addresses in a file: adds the missing ones and removes the rest.')
+        .argument('<allowlistId>', 'shared allowlist object ID')
+        .argument('<capId>', 'entry cap object ID owned by the wallet')
+        .argument('<file>', 'CSV (address column or first column) or text file, one address per line'))
+        .action((allowlistId, capId, file, options) => handlers.syncMembers(allowlistId, capId, file, options));
+
+    const inspect = program
+        .command('inspect')
+        .description('Read-only views of on-chain allowlists, services and entry caps.');
+
+    inspect
+        .command('caps')
+        .description('List the allowlist and service entry caps owned by a wallet.')
+        .argument('[address]', 'owner address (default: the wallet selected with -W)')
+        .option('-W, --wallet <index>', 'wallet whose caps to list (1-based)', parsePositiveInt, 1)
+        .option('-o, --output <format>', `output format (${OUTPUT_FORMATS.join(' | ')})`, parseOutputFormat, 'text')
+        .action((address, options) => handlers.inspectCaps(address, options));
+
+    inspect
+        .command('allowlist')
+        .description('Show an allowlist\'s name, members and published blob IDs.')
+        .argument('<allowlistId>', 'shared allowlist object ID')
+        .option('-o, --output <format>', `output format (${OUTPUT_FORMATS.join(' | ')})`, parseOutputFormat, 'text')
+        .action((allowlistId, options) => handlers.inspectAllowlist(allowlistId, options));
+
+    inspect
+        .command('service')
+        .description('Show a subscription service\'s fee, TTL, owner and published blob IDs.')
+        .argument('<serviceId>', 'shared service object ID')
+        .option('-o, --output <format>', `output format (${OUTPUT_FORMATS.join(' | ')})`, parseOutputFormat, 'text')
+        .action((serviceId, options) => handlers.inspectService(serviceId, options));
+
+    const content = program
+        .command('content')
+        .description('Content catalogues used with `run --content`.');
+
+    addContentCheckOptions(content
+        .command('check')
+        .description('Check every item of a content catalogue against the MIME type and size limits and print its type and size.')
+        .argument('<source>', 'folder, .txt list, .json/.yaml manifest or comma-separated URLs'))
+        .option('-o, --output <format>', `output format (${OUTPUT_FORMATS.join(' | ')})`, parseOutputFormat, 'text')
+        .action((source, options) => handlers.checkContent(source, options));
+
+    const cache = program
+        .command('cache')
+        .description('The blob cache of uploaded content, keyed by content hash and storage epochs.');
+
+    cache
+        .command('list')
+        .description('List cached blobs with their expiry epoch and whether they are still stored.')
+        .option('--status <status>', `only entries with this status (${ENTRY_STATUSES.join(' | ')})`, parseChoice(ENTRY_STATUSES))
+        .option('-o, --output <format>', `output format (${OUTPUT_FORMATS.join(' | ')})`, parseOutputFormat, 'text')
+        .action(options => handlers.cacheList(options));
+
+    cache
+        .command('prune')
+        .description('Remove cached blobs that have expired.')
+        .option('--all', 'remove every entry, stored or not')
+        .option('--dry-run', 'only list what would be removed')
+        .action(options => handlers.cachePrune(options));
+
+    const ledger = program
+        .command('ledger')
+        .description('Query the run ledger of created allowlists, services, blobs and digests.');
+
+    addLedgerFilterOptions(ledger
+        .command('list')
+        .description('Print ledger records.'))
+        .option('-o, --output <format>', `output format (${OUTPUT_FORMATS.join(' | ')})`, parseOutputFormat, 'text')
+        .action(options => handlers.ledgerList(options));
+
+    addLedgerFilterOptions(ledger
+        .command('export')
+        .description('Export ledger records to a file or stdout.'))
+        .option('-f, --format <format>', 'export format (jsonl | json | csv)', parseChoice(['jsonl', 'json', 'csv']), 'jsonl')
+        .option('--out <file>', 'write to this file instead of stdout')
+        .action(options => handlers.ledgerExport(options));
+
+    return program;
+}
+
+module.exports = { createCli, WORKFLOWS, RUN_WORKFLOWS };
@@ -1,8 +1,6 @@
 // src/config.js
 /**
  * @file Configuration constants for the Seal Bot TUI application.
- * v2: Added TASK_REPEAT_DELAY_MS
- * v3: Increased default delays and added MAX_BACKOFF_DELAY_MS for blob uploads
  */
 
 require('dotenv').config();
@@ -11,9 +9,38 @@ const { getFullnodeUrl } = require('@mysten/sui.js/client');
 // --- Core Protocol Configuration ---
 const SEAL_PACKAGE_ID = process.env.SEAL_PACKAGE_ID || '0x4cb081457b1e098d566a277f605ba48410e26e66eaab5b3be4f6c560e9501800'; // Example ID, verify this
 
+// Key servers content is encrypted for, and how many of them are needed to decrypt (see src/encryption.js)
+const SEAL_KEY_SERVER_IDS = process.env.SEAL_KEY_SERVER_IDS
+    ? process.env.SEAL_KEY_SERVER_IDS.split(',').map(id => id.trim()).filter(Boolean)
+    : [
+        '0x73d05d62c18d9374e3ea529e8e0ed6161da1a141a94d3f76ae3fe4e99356db75', // mysten-testnet-1
+        '0xf5d14a81a982144ae441cd7d64b09027f116a468bd36e7eca494f750591623c8', // mysten-testnet-2
+      ];
+const SEAL_THRESHOLD = parseInt(process.env.SEAL_THRESHOLD, 10) || 2;
+
+// Lifetime of the session key a wallet signs to request decryption keys (minutes)
+const SESSION_KEY_TTL_MIN = parseInt(process.env.SESSION_KEY_TTL_MIN, 10) || 10;
+
 // --- Network Configuration ---
 const SUI_RPC_URL = process.env.SUI_RPC_URL || getFullnodeUrl('testnet');
 
+// --- Faucet Configuration (testnet top-ups, see src/faucet.js) ---
+const FAUCET_URL = process.env.FAUCET_URL || 'https://faucet.testnet.sui.io/v2/gas';
+// Wallets with less than this balance are topped up (MIST)
+const FAUCET_THRESHOLD_MIST = parseInt(process.env.FAUCET_THRESHOLD_MIST, 10) || 500000000; // 0.5 SUI
+// Minimum time between two faucet requests (milliseconds)
+const FAUCET_REQUEST_DELAY_MS = parseInt(process.env.FAUCET_REQUEST_DELAY_MS, 10) || 10000;
+const FAUCET_MAX_RETRIES = parseInt(process.env.FAUCET_MAX_RETRIES, 10) || 3;
+// First backoff delay after a failed request when the faucet gives no Retry-After (milliseconds)
+const FAUCET_RETRY_DELAY_MS = parseInt(process.env.FAUCET_RETRY_DELAY_MS, 10) || 30000;
+
+// --- Aggregator Configuration ---
+// Walrus aggregator that published blobs are read back from (GET <url>/v1/blobs/<blobId>)
+const AGGREGATOR_URL = process.env.AGGREGATOR_URL || 'https://aggregator.walrus-testnet.walrus.space';
+// A blob the aggregator answers 404 for right after its upload is read again this often, the delay doubling each time
+const AGGREGATOR_READ_RETRIES = parseInt(process.env.AGGREGATOR_READ_RETRIES, 10) || 4;
+const AGGREGATOR_READ_RETRY_DELAY_MS = parseInt(process.env.AGGREGATOR_READ_RETRY_DELAY_MS, 10) || 2000; // 2+4+8+16s at most
+
 // --- Publisher Configuration ---
 // Ensure these are valid and working publisher endpoints
 const PUBLISHER_URLS = process.env.PUBLISHER_URLS
@@ -26,11 +53,37 @@ const PUBLISHER_URLS = process.env.PUBLISHER_URLS
         'https://seal-example.vercel.app/publisher5/v1/blobs',
         'https://seal-example.vercel.app/publisher6/v1/blobs',
       ];
+// A publisher that fails with 429, 5xx or a network error is skipped for this long, doubling per failure in a row (milliseconds)
+const PUBLISHER_COOLDOWN_MS = parseInt(process.env.PUBLISHER_COOLDOWN_MS, 10) || 30000;
+const MAX_PUBLISHER_COOLDOWN_MS = parseInt(process.env.MAX_PUBLISHER_COOLDOWN_MS, 10) || 600000; // 10 minutes
+// Recent upload outcomes per publisher that the success rate is computed from
+const PUBLISHER_HEALTH_WINDOW = parseInt(process.env.PUBLISHER_HEALTH_WINDOW, 10) || 20;
+// Where publisher health is kept between runs with --keep-publisher-health (see src/publisher_pool.js)
+const PUBLISHER_HEALTH_FILE_PATH = process.env.PUBLISHER_HEALTH_FILE_PATH || 'data/publisher_health.json';
 
 // --- Bot Operation Settings ---
-const DEFAULT_GAS_BUDGET = 10000000; // 0.01 SUI
+const DEFAULT_GAS_BUDGET = 10000000; // 0.01 SUI, used only when gas estimation fails
+// Estimated gas (from a dry run) is multiplied by this factor and capped at MAX_GAS_BUDGET (MIST)
+const GAS_BUDGET_MULTIPLIER = parseFloat(process.env.GAS_BUDGET_MULTIPLIER) || 1.3;
+const MAX_GAS_BUDGET = parseInt(process.env.MAX_GAS_BUDGET, 10) || 50000000; // 0.05 SUI
+// Expected gas per transaction, used by the pre-flight check to judge whether a wallet is funded (MIST)
+const ESTIMATED_TX_COST_MIST = parseInt(process.env.ESTIMATED_TX_COST_MIST, 10) || 5000000; // 0.005 SUI
+// Most Move calls put in one programmable transaction block when batching (Sui allows 1024 commands)
+const MAX_BATCH_CALLS = parseInt(process.env.MAX_BATCH_CALLS, 10) || 200;
+// Default terms of created subscription services; units are required (see src/terms.js), ranges are rolled per service
+const SERVICE_FEE = process.env.SERVICE_FEE || '10mist';
+const SERVICE_TTL = process.env.SERVICE_TTL || '1000m'; // 60000000 ms
 const DEFAULT_BLOB_EPOCHS = 1;
 const MAX_BLOB_UPLOAD_RETRIES = 5; // Keep retries, but increase delays
+// Blob uploads and read-backs time out after this base time plus the size at the slowest acceptable speed
+const BLOB_TRANSFER_TIMEOUT_MS = parseInt(process.env.BLOB_TRANSFER_TIMEOUT_MS, 10) || 60000;
+const BLOB_TRANSFER_MIN_BYTES_PER_SEC = parseInt(process.env.BLOB_TRANSFER_MIN_BYTES_PER_SEC, 10) || 256 * 1024; // 256 KB/s
+// SEAL encrypts whole buffers, so encrypted content is held in memory (twice, with its ciphertext); larger content is refused before it is read
+const ENCRYPTED_UPLOAD_MAX_BYTES = parseInt(process.env.ENCRYPTED_UPLOAD_MAX_BYTES, 10) || 100 * 1024 * 1024; // 100 MB
+// Uploaded blobs by content hash and epochs, reused while they are stored (see src/blob_cache.js)
+const BLOB_CACHE_FILE_PATH = process.env.BLOB_CACHE_FILE_PATH || 'data/blob_cache.json';
+// Length of a Walrus epoch, used to estimate the current epoch between uploads (testnet: 1 day, mainnet: 2 weeks)
+const WALRUS_EPOCH_DURATION_MS = parseInt(process.env.WALRUS_EPOCH_DURATION_MS, 10) || 24 * 60 * 60 * 1000;
 
 // --- Increased Delays ---
 // Initial delay before retrying a failed blob upload (milliseconds)
@@ -45,9 +98,16 @@ const MAX_BACKOFF_DELAY_MS = 60000; // Max wait 60 seconds between retries
 // Increased from 10000ms
 const TASK_REPEAT_DELAY_MS = 15000; // 15 seconds
 
+// Number of wallets processed in parallel (overridable per run with --concurrency)
+const WORKER_CONCURRENCY = parseInt(process.env.WORKER_CONCURRENCY, 10) || 1;
+
 // --- Image Settings ---
 const DEFAULT_IMAGE_URL = 'https://picsum.photos/seed/sui-seal-bot/800/600';
 const LOCAL_IMAGE_PATH = 'image.jpg';
+// Content catalogue items (see src/content_catalogue.js) must have one of these MIME types ("type/*" wildcards allowed) and fit the size limit
+const CONTENT_MIME_TYPES = (process.env.CONTENT_MIME_TYPES || 'image/*,video/*,audio/*,application/pdf,text/plain')
+    .split(',').map(type => type.trim()).filter(Boolean);
+const CONTENT_MAX_BYTES = parseInt(process.env.CONTENT_MAX_BYTES, 10) || 10 * 1024 * 1024; // 10 MB
 
 // --- TUI Configuration ---
 const TUI_TITLE = 'SEAL BOT -- BY CRYPTO WITH SHASHI | CWS';
@@ -58,24 +118,56 @@ const TUI_STATUS_LABEL = ' Status ';
 // --- File Paths ---
 const WALLET_FILE_PATH = 'wallets.txt';
 const PROXY_FILE_PATH = 'proxies.txt';
+// JSON-lines record of every object/blob the bot creates (see src/run_ledger.js)
+const LEDGER_FILE_PATH = process.env.LEDGER_FILE_PATH || 'data/ledger.jsonl';
 
 // --- Exported Configuration ---
 module.exports = {
     SEAL_PACKAGE_ID,
+    SEAL_KEY_SERVER_IDS,
+    SEAL_THRESHOLD,
+    SESSION_KEY_TTL_MIN,
     SUI_RPC_URL,
+    FAUCET_URL,
+    FAUCET_THRESHOLD_MIST,
+    FAUCET_REQUEST_DELAY_MS,
+    FAUCET_MAX_RETRIES,
+    FAUCET_RETRY_DELAY_MS,
+    AGGREGATOR_URL,
+    AGGREGATOR_READ_RETRIES,
+    AGGREGATOR_READ_RETRY_DELAY_MS,
     PUBLISHER_URLS,
+    PUBLISHER_COOLDOWN_MS,
+    MAX_PUBLISHER_COOLDOWN_MS,
+    PUBLISHER_HEALTH_WINDOW,
+    PUBLISHER_HEALTH_FILE_PATH,
     DEFAULT_GAS_BUDGET,
+    GAS_BUDGET_MULTIPLIER,
+    MAX_GAS_BUDGET,
+    ESTIMATED_TX_COST_MIST,
+    MAX_BATCH_CALLS,
+    SERVICE_FEE,
+    SERVICE_TTL,
     DEFAULT_BLOB_EPOCHS,
     MAX_BLOB_UPLOAD_RETRIES,
+    BLOB_TRANSFER_TIMEOUT_MS,
+    BLOB_TRANSFER_MIN_BYTES_PER_SEC,
+    BLOB_CACHE_FILE_PATH,
+    WALRUS_EPOCH_DURATION_MS,
     BLOB_UPLOAD_RETRY_DELAY_MS, // Export updated initial delay
     MAX_BACKOFF_DELAY_MS,      // Export new max backoff delay
     TASK_REPEAT_DELAY_MS,      // Export updated repeat delay
+    WORKER_CONCURRENCY,
     DEFAULT_IMAGE_URL,
     LOCAL_IMAGE_PATH,
+    CONTENT_MIME_TYPES,
+    CONTENT_MAX_BYTES,
+    ENCRYPTED_UPLOAD_MAX_BYTES,
     TUI_TITLE,
     TUI_MAIN_LOG_LABEL,
     TUI_SUCCESS_LOG_LABEL,
     TUI_STATUS_LABEL,
     WALLET_FILE_PATH,
     PROXY_FILE_PATH,
+    LEDGER_FILE_PATH,
 };
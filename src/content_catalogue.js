@@ -0,0 +1,459 @@
+// src/content_catalogue.js
+/**
+ * @file Content catalogue: the items workflows upload, picked per wallet task instead of one fixed image.
+ *
+ * A catalogue is read from a folder (one item per file), a text file listing URLs or paths (one per
+ * line, `#` starts a comment), comma-separated URLs, or a manifest (.json, .yaml or .yml):
+ *   items:
+ *     - { id: cat, source: https://example.com/cat.png }
+ *     - { id: clip, source: media/clip.mp4, mimeType: video/mp4 }
+ *     - https://example.com/dog.jpg        # the ID defaults to the file name
+ *   wallets:                               # optional, used by the `fixed` mode
+ *     "1": cat
+ *     "0xabc...": clip
+ * Relative paths in a list or manifest are taken from the file's folder. Before an item is uploaded
+ * its MIME type (from its first bytes, else the declared type, server header or extension) and size
+ * are checked against the allowed types and the size limit.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const YAML = require('yaml');
+const mime = require('mime-types');
+const { normalizeSuiAddress } = require('@mysten/sui.js/utils');
+const logger = require('./bot_logger');
+const { parseWalletKey } = require('./reuse_targets');
+const { isUrl, resolveLocalPath, listFolderFiles, formatBytes } = require('./content_files');
+const { CONTENT_MIME_TYPES, CONTENT_MAX_BYTES, BLOB_TRANSFER_TIMEOUT_MS } = require('./config');
+
+const SELECTION_MODES = ['round-robin', 'random', 'fixed'];
+
+// Bytes read from the start of an item to recognise its type
+const SNIFF_BYTES = 64;
+
+// Signatures of common media types: [type, byte offset, bytes]
+const SIGNATURES = [
+    ['image/png', 0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+    ['image/jpeg', 0, [0xff, 0xd8, 0xff]],
+    ['image/gif', 0, Buffer.from('GIF8')],
+    ['image/webp', 8, Buffer.from('WEBP')], // After "RIFF" and the chunk size
+    ['image/avif', 4, Buffer.from('ftypavif')],
+    ['video/mp4', 4, Buffer.from('ftyp')],
+    ['video/webm', 0, [0x1a, 0x45, 0xdf, 0xa3]],
+    ['audio/mpeg', 0, Buffer.from('ID3')],
+    ['audio/ogg', 0, Buffer.from('OggS')],
+    ['application/pdf', 0, Buffer.from('%PDF-')],
+];
+
+/**
+ * Thrown when an item fails the MIME type or size check. Rotation modes skip such items; the
+ * `fixed` mode fails the wallet's task.
+ */
+class ContentRejectedError extends Error {
+    constructor(message, item) {
+        super(message);
+        this.name = 'ContentRejectedError';
+        this.item = item;
+    }
+}
+
+class ContentCatalogue {
+    /**
+     * @param {{id: string, source: string, mimeType?: string}[]} items - Catalogue items (URLs or absolute paths).
+     * @param {object} [options={}]
+     * @param {string} [options.mode='round-robin'] - How items are picked (see SELECTION_MODES).
+     * @param {Map<string, string>} [options.walletItems] - Item IDs keyed by wallet index or address, for the `fixed` mode.
+     * @param {string[]} [options.mimeTypes=CONTENT_MIME_TYPES] - Allowed MIME types; "image/*" matches any image.
+     * @param {number} [options.maxBytes=CONTENT_MAX_BYTES] - Size limit per item.
+     * @param {import('./proxy_manager')|null} [options.proxyManager=null] - Proxies for probing URLs.
+     * @throws {Error} If the catalogue is empty, the mode is unknown or a wallet names an unknown item.
+     */
+    constructor(items, { mode = 'round-robin', walletItems = new Map(), mimeTypes = CONTENT_MIME_TYPES, maxBytes = CONTENT_MAX_BYTES, proxyManager = null } = {}) {
+        if (!SELECTION_MODES.includes(mode)) {
+            throw new Error(`Unknown content selection mode "${mode}" (expected ${SELECTION_MODES.join(', ')}).`);
+        }
+        if (items.length === 0) {
+            throw new Error('The content catalogue has no items.');
+        }
+        this.items = items;
+        this.byId = new Map(items.map(item => [item.id, item]));
+        for (const [walletKey, id] of walletItems) {
+            if (!this.byId.has(id)) {
+                throw new Error(`Wallet "${walletKey}" is mapped to unknown content item "${id}".`);
+            }
+        }
+        this.mode = mode;
+        this.walletItems = walletItems;
+        this.mimeTypes = mimeTypes;
+        this.maxBytes = maxBytes;
+        this.proxyManager = proxyManager;
+        this.cursor = 0; // Next round-robin position, shared by all wallets
+        this.checks = new Map(); // item ID -> Promise of its check, so each item is probed once per run
+    }
+
+    /**
+     * Reads a catalogue from a folder, URL list, list file or manifest.
+     * @param {string} source - Folder, .txt list, .json/.yaml/.yml manifest (relative to the project
+     *   root, like the image option), or one or more comma-separated URLs.
+     * @param {object} [options={}] - See the constructor.
+     * @returns {Promise<ContentCatalogue>}
+     * @throws {Error} If the source can't be read or is invalid.
+     */
+    static async load(source, options = {}) {
+        if (isUrl(source)) {
+            return new ContentCatalogue(listItems(source.split(',').map(url => url.trim()).filter(Boolean), 'content URLs'), options);
+        }
+        const files = await listFolderFiles(source);
+        if (files) {
+            return new ContentCatalogue(files.map(file => ({ id: file.name, source: file.path })), options);
+        }
+
+        const absolutePath = resolveLocalPath(source);
+        const extension = path.extname(absolutePath).toLowerCase();
+        if (!['.txt', '.json', '.yaml', '.yml'].includes(extension)) {
+            throw new Error(`Content source ${absolutePath} must be a folder, URL(s), a .txt list or a .json/.yaml manifest.`);
+        }
+        let raw;
+        try {
+            raw = fs.readFileSync(absolutePath, 'utf8');
+        } catch (error) {
+            throw new Error(`Cannot read content source ${absolutePath}: ${error.message}`);
+        }
+        const baseDir = path.dirname(absolutePath);
+
+        if (extension === '.txt') {
+            const sources = raw.split(/\r?\n/).map(line => line.replace(/#.*$/, '').trim()).filter(Boolean);
+            return new ContentCatalogue(listItems(sources.map(entry => localOrUrl(entry, baseDir)), `content list ${absolutePath}`), options);
+        }
+
+        let manifest;
+        try {
+            manifest = extension === '.json' ? JSON.parse(raw) : YAML.parse(raw);
+        } catch (error) {
+            throw new Error(`Cannot parse content manifest ${absolutePath}: ${error.message}`);
+        }
+        const { items, walletItems } = parseManifest(manifest, absolutePath, baseDir);
+        return new ContentCatalogue(items, { ...options, walletItems });
+    }
+
+    /**
+     * Short description for logs, e.g. "3 item(s), round-robin, image/*, up to 10.00 MB".
+     * @returns {string}
+     */
+    describe() {
+        return `${this.items.length} item(s), ${this.mode}, ${this.mimeTypes.join(',')}, up to ${formatBytes(this.maxBytes)}`;
+    }
+
+    /**
+     * Picks and checks the item for one wallet task. Round-robin and random skip items that fail the
+     * checks; the fixed mode uses the wallet's item (from the manifest, else wallet N gets item N,
+     * wrapping around) or fails.
+     * @param {number} walletIndex - 1-based wallet index.
+     * @param {string} address - Wallet address.
+     * @returns {Promise<{id: string, source: string, mimeType: string, size: number|null, maxBytes: number}>}
+     *   The item with its detected type and size (null when a server doesn't say), and the size limit
+     *   downloads are held to.
+     * @throws {ContentRejectedError|Error} If no usable item is found or an item can't be probed.
+     */
+    async select(walletIndex, address) {
+        if (this.mode === 'fixed') {
+            return this.accept(this.itemForWallet(walletIndex, address));
+        }
+
+        let order;
+        if (this.mode === 'random') {
+            order = [...this.items];
+            for (let i = order.length - 1; i > 0; i--) {
+                const j = crypto.randomInt(i + 1);
+                [order[i], order[j]] = [order[j], order[i]];
+            }
+        } else {
+            const start = this.cursor++ % this.items.length; // Taken before any await, so concurrent wallets get different items
+            order = [...this.items.slice(start), ...this.items.slice(0, start)];
+        }
+        for (const item of order) {
+            try {
+                return await this.accept(item);
+            } catch (error) {
+                if (!(error instanceof ContentRejectedError)) throw error;
+            }
+        }
+        throw new ContentRejectedError(`None of the ${this.items.length} content item(s) passes the type and size checks.`, null);
+    }
+
+    /**
+     * The item pinned to a wallet in the fixed mode.
+     * @param {number} walletIndex - 1-based wallet index.
+     * @param {string} address - Wallet address.
+     * @returns {{id: string, source: string, mimeType?: string}}
+     */
+    itemForWallet(walletIndex, address) {
+        const id = this.walletItems.get(normalizeSuiAddress(address)) ?? this.walletItems.get(String(walletIndex));
+        return id !== undefined ? this.byId.get(id) : this.items[(walletIndex - 1) % this.items.length];
+    }
+
+    /**
+     * Checks every item, for `content check`.
+     * @returns {Promise<{id: string, source: string, mimeType: string|null, size: number|null, ok: boolean, reason: string|null}[]>}
+     */
+    async checkItems() {
+        const results = [];
+        for (const item of this.items) {
+            try {
+                const { mimeType, size } = await this.accept(item);
+                results.push({ id: item.id, source: item.source, mimeType, size, ok: true, reason: null });
+            } catch (error) {
+                const probe = error.item?.probe || {};
+                results.push({ id: item.id, source: item.source, mimeType: probe.mimeType ?? null, size: probe.size ?? null, ok: false, reason: error.message });
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Checks an item once per run; later calls share the result.
+     * @param {{id: string, source: string, mimeType?: string}} item
+     * @returns {Promise<{id: string, source: string, mimeType: string, size: number|null, maxBytes: number}>}
+     * @throws {ContentRejectedError} If the item fails the checks.
+     */
+    accept(item) {
+        if (!this.checks.has(item.id)) {
+            const check = this.check(item).catch((error) => {
+                if (error instanceof ContentRejectedError) {
+                    logger.warn(`Content item ${item.id} rejected: ${error.message}`);
+                } else {
+                    this.checks.delete(item.id); // Probe failures (e.g. a network error) are retried on the next pick
+                }
+                throw error;
+            });
+            this.checks.set(item.id, check);
+        }
+        return this.checks.get(item.id);
+    }
+
+    async check(item) {
+        const probe = isUrl(item.source) ? await this.probeUrl(item.source) : await probeFile(item.source);
+        const mimeType = sniffType(probe.head) || item.mimeType || probe.headerType || mime.lookup(isUrl(item.source) ? new URL(item.source).pathname : item.source) || 'application/octet-stream';
+        const rejected = { ...item, probe: { mimeType, size: probe.size } };
+        if (!this.accepts(mimeType)) {
+            throw new ContentRejectedError(`type ${mimeType} is not allowed (allowed: ${this.mimeTypes.join(', ')})`, rejected);
+        }
+        if (probe.size === 0) {
+            throw new ContentRejectedError('it is empty', rejected);
+        }
+        if (probe.size !== null && probe.size > this.maxBytes) {
+            throw new ContentRejectedError(`${formatBytes(probe.size)} exceeds the ${formatBytes(this.maxBytes)} size limit`, rejected);
+        }
+        return { id: item.id, source: item.source, mimeType, size: probe.size, maxBytes: this.maxBytes };
+    }
+
+    /**
+     * Whether a MIME type is allowed.
+     * @param {string} mimeType
+     * @returns {boolean}
+     */
+    accepts(mimeType) {
+        const type = mimeType.split(';')[0].trim().toLowerCase();
+        return this.mimeTypes.some((pattern) => {
+            const allowed = pattern.toLowerCase();
+            if (allowed === '*' || allowed === '*/*') return true;
+            return allowed.endsWith('/*') ? type.startsWith(allowed.slice(0, -1)) : type === allowed;
+        });
+    }
+
+    /**
+     * Reads the type, size and first bytes of a URL without downloading all of it: a ranged GET
+     * whose stream is dropped after the first bytes.
+     * @param {string} url
+     * @returns {Promise<{head: Buffer, size: number|null, headerType: string|null}>}
+     */
+    async probeUrl(url) {
+        const agent = this.proxyManager?.createProxyAgent();
+        let response;
+        try {
+            response = await axios({
+                method: 'get', url, responseType: 'stream', headers: { Range: `bytes=0-${SNIFF_BYTES - 1}` },
+                httpsAgent: agent, httpAgent: agent, timeout: BLOB_TRANSFER_TIMEOUT_MS,
+            });
+        } catch (error) {
+            if (error.response?.status) {
+                throw new ContentRejectedError(`${url} answered with status ${error.response.status}`, { source: url, probe: {} });
+            }
+            throw new Error(`Cannot reach content item ${url}: ${error.message}`);
+        }
+        const head = await readHead(response.data);
+        // A 206 reports the full size after the slash of Content-Range; a server ignoring the range sends it all with Content-Length
+        const total = response.status === 206
+            ? response.headers['content-range']?.split('/')[1]
+            : response.headers['content-length'];
+        const size = total !== undefined && total !== '*' && Number.isFinite(Number(total)) ? Number(total) : null;
+        const headerType = response.headers['content-type'];
+        return { head, size, headerType: headerType && !headerType.startsWith('application/octet-stream') ? headerType.split(';')[0].trim() : null };
+    }
+}
+
+/**
+ * Reads the first bytes of a response stream, then closes it.
+ * @param {import('stream').Readable} stream
+ * @returns {Promise<Buffer>}
+ */
+function readHead(stream) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let length = 0;
+        const finish = () => {
+            stream.destroy();
+            resolve(Buffer.concat(chunks).subarray(0, SNIFF_BYTES));
+        };
+        stream.on('data', (chunk) => {
+            chunks.push(chunk);
+            length += chunk.length;
+            if (length >= SNIFF_BYTES) finish();
+        });
+        stream.on('end', finish);
+        stream.on('error', reject);
+    });
+}
+
+/**
+ * Size and first bytes of a local file.
+ * @param {string} filePath - Absolute path.
+ * @returns {Promise<{head: Buffer, size: number, headerType: null}>}
+ * @throws {ContentRejectedError} If the file doesn't exist or isn't a file.
+ */
+async function probeFile(filePath) {
+    let handle;
+    try {
+        handle = await fs.promises.open(filePath, 'r');
+        const stats = await handle.stat();
+        if (!stats.isFile()) {
+            throw new ContentRejectedError(`${filePath} is not a file`, { source: filePath, probe: {} });
+        }
+        const head = Buffer.alloc(Math.min(SNIFF_BYTES, stats.size));
+        await handle.read(head, 0, head.length, 0);
+        return { head, size: stats.size, headerType: null };
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new ContentRejectedError(`${filePath} does not exist`, { source: filePath, probe: {} });
+        }
+        throw error;
+    } finally {
+        await handle?.close();
+    }
+}
+
+/**
+ * Recognises common media types from their first bytes.
+ * @param {Buffer} head
+ * @returns {string|null}
+ */
+function sniffType(head) {
+    for (const [type, offset, signature] of SIGNATURES) {
+        if (head.length >= offset + signature.length && signature.every((byte, i) => head[offset + i] === byte)) {
+            return type;
+        }
+    }
+    return null;
+}
+
+/**
+ * Validates a manifest and turns it into items and a wallet mapping.
+ * @param {object} manifest - Parsed manifest.
+ * @param {string} filePath - Manifest path, for messages.
+ * @param {string} baseDir - Folder relative paths are taken from.
+ * @returns {{items: object[], walletItems: Map<string, string>}}
+ * @throws {Error} Listing every problem found.
+ */
+function parseManifest(manifest, filePath, baseDir) {
+    if (!manifest || typeof manifest !== 'object' || !Array.isArray(manifest.items) || manifest.items.length === 0) {
+        throw new Error(`Content manifest ${filePath} must have a non-empty "items" list.`);
+    }
+    const errors = [];
+    const entries = manifest.items.map((entry, i) => {
+        const item = typeof entry === 'string' ? { source: entry } : entry;
+        if (typeof item?.source !== 'string' || !item.source.trim()) {
+            errors.push(`items[${i}]: expected a URL/path or { "source": "...", "id"?: "...", "mimeType"?: "..." }`);
+            return null;
+        }
+        if (item.id !== undefined && typeof item.id !== 'string') errors.push(`items[${i}].id: expected a string`);
+        if (item.mimeType !== undefined && typeof item.mimeType !== 'string') errors.push(`items[${i}].mimeType: expected a string`);
+        return { id: item.id, source: localOrUrl(item.source.trim(), baseDir), mimeType: item.mimeType };
+    }).filter(Boolean);
+
+    const ids = new Set();
+    for (const { id } of entries) {
+        if (id !== undefined && ids.has(id)) errors.push(`items: duplicate id "${id}"`);
+        ids.add(id);
+    }
+
+    const walletItems = new Map();
+    for (const [key, id] of Object.entries(manifest.wallets || {})) {
+        const walletKey = parseWalletKey(key);
+        if (!walletKey) {
+            errors.push(`wallets."${key}": expected a 1-based wallet index or an address`);
+        } else if (typeof id !== 'string') {
+            errors.push(`wallets."${key}": expected an item id`);
+        } else {
+            walletItems.set(walletKey, id);
+        }
+    }
+    const items = withIds(entries, errors);
+    if (errors.length > 0) {
+        throw new Error(`Invalid content manifest ${filePath}:\n  ${errors.join('\n  ')}`);
+    }
+    return { items, walletItems };
+}
+
+/**
+ * Turns the sources of a URL or .txt list into items.
+ * @param {string[]} sources - URLs and absolute paths.
+ * @param {string} description - What the list is, for messages (e.g. "content list /path/list.txt").
+ * @returns {{id: string, source: string}[]}
+ * @throws {Error} Listing every source no ID can be made for.
+ */
+function listItems(sources, description) {
+    const errors = [];
+    const items = withIds(sources.map(source => ({ source })), errors);
+    if (errors.length > 0) {
+        throw new Error(`Invalid ${description}:\n  ${errors.join('\n  ')}`);
+    }
+    return items;
+}
+
+/**
+ * Gives items without an ID their file name as ID, numbered when names repeat ("cat.png", "cat.png#2").
+ * @param {{id?: string, source: string}[]} items
+ * @param {string[]} errors - Collects sources that are no valid URL or whose file name can't be decoded;
+ *   those items are left out.
+ * @returns {{id: string, source: string}[]}
+ */
+function withIds(items, errors) {
+    const used = new Set(items.map(item => item.id).filter(Boolean));
+    return items.map((item) => {
+        if (item.id) return item;
+        let name;
+        try {
+            name = isUrl(item.source)
+                ? decodeURIComponent(new URL(item.source).pathname.split('/').pop()) || new URL(item.source).hostname
+                : path.basename(item.source);
+        } catch (error) {
+            // new URL() throws a TypeError, decodeURIComponent() a URIError for a malformed % sequence
+            errors.push(`${item.source}: ${error instanceof URIError ? 'malformed percent-encoding in the file name' : 'not a valid URL'}`);
+            return null;
+        }
+        let id = name;
+        for (let n = 2; used.has(id); n++) id = `${name}#${n}`;
+        used.add(id);
+        return { ...item, id };
+    }).filter(Boolean);
+}
+
+function localOrUrl(source, baseDir) {
+    return isUrl(source) ? source : path.resolve(baseDir, source);
+}
+
+module.exports = ContentCatalogue;
+module.exports.ContentRejectedError = ContentRejectedError;
+module.exports.SELECTION_MODES = SELECTION_MODES;
@@ -0,0 +1,131 @@
+// src/content_files.js
+/**
+ * @file Local content on disk: resolves upload sources to files, expands a folder into the files
+ * it contains, hashes files without loading them, and sizes transfer timeouts to the content.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { BLOB_TRANSFER_TIMEOUT_MS, BLOB_TRANSFER_MIN_BYTES_PER_SEC } = require('./config');
+
+/**
+ * Whether a source is a URL rather than a local path.
+ * @param {string} source
+ * @returns {boolean}
+ */
+function isUrl(source) {
+    return /^https?:\/\//i.test(source);
+}
+
+/**
+ * Absolute path of a local source; relative paths are taken from the project root, like the image option always was.
+ * @param {string} source
+ * @returns {string}
+ */
+function resolveLocalPath(source) {
+    return path.resolve(__dirname, '..', source);
+}
+
+/**
+ * Lists the files of a folder source.
+ * @param {string|Buffer} source - Upload source (URL, local path or Buffer).
+ * @returns {Promise<{name: string, path: string, size: number}[]|null>} Files sorted by their path
+ *   relative to the folder (subfolders included, hidden entries skipped), or null if the source isn't a folder.
+ * @throws {Error} If the folder contains no files.
+ */
+async function listFolderFiles(source) {
+    if (typeof source !== 'string' || isUrl(source)) return null;
+    const root = resolveLocalPath(source);
+    let stats;
+    try {
+        stats = await fs.promises.stat(root);
+    } catch (error) {
+        return null; // Missing paths are reported by the upload that tries to read them
+    }
+    if (!stats.isDirectory()) return null;
+
+    const files = [];
+    const walk = async (dir) => {
+        const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        for (const entry of entries) {
+            if (entry.name.startsWith('.')) continue;
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                await walk(fullPath);
+            } else if (entry.isFile()) {
+                const { size } = await fs.promises.stat(fullPath);
+                files.push({ name: path.relative(root, fullPath).split(path.sep).join('/'), path: fullPath, size });
+            }
+        }
+    };
+    await walk(root);
+    if (files.length === 0) {
+        throw new Error(`Folder ${root} contains no files to upload.`);
+    }
+    return files.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * SHA-256 of a file, read as a stream.
+ * @param {string} filePath - Absolute path.
+ * @returns {Promise<string>} Hex digest.
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Timeout for sending or receiving `bytes`: the base timeout plus the time the content takes at the
+ * slowest acceptable speed, so a large file isn't cut off while it is still moving.
+ * @param {number} bytes
+ * @returns {number} Milliseconds.
+ */
+function transferTimeoutMs(bytes) {
+    return BLOB_TRANSFER_TIMEOUT_MS + Math.ceil((bytes / BLOB_TRANSFER_MIN_BYTES_PER_SEC) * 1000);
+}
+
+// Multipliers of the size units parseByteSize() accepts (binary, matching formatBytes())
+const BYTE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+
+/**
+ * Parses a size such as "512KB", "10MB", "1.5gb" or a plain number of bytes.
+ * @param {string|number} value
+ * @returns {number} Bytes.
+ * @throws {Error} If the value isn't a positive size.
+ */
+function parseByteSize(value) {
+    const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/);
+    const bytes = match ? Math.floor(Number(match[1]) * BYTE_UNITS[match[2] || 'b']) : NaN;
+    if (!(bytes > 0)) {
+        throw new Error(`invalid size "${value}" (expected e.g. 512KB, 10MB or a number of bytes)`);
+    }
+    return bytes;
+}
+
+/**
+ * Human-readable size, e.g. "2.93 KB" or "312.40 MB".
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(2)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+}
+
+module.exports = {
+    isUrl,
+    resolveLocalPath,
+    listFolderFiles,
+    hashFile,
+    transferTimeoutMs,
+    parseByteSize,
+    formatBytes,
+};
@@ -0,0 +1,106 @@
+// src/encryption.js
+/**
+ * @file SEAL threshold encryption of content before it is uploaded to Walrus.
+ *
+ * Content is encrypted under an identity made of the allowlist/service object ID followed by a
+ * random nonce, which is the prefix the `seal_approve` functions of the SEAL allowlist and
+ * subscription modules check. Key server public keys are read from chain once per run; only
+ * the encrypted object (BCS, with the key server IDs and threshold in its header) is uploaded.
+ */
+
+const crypto = require('crypto');
+// The SEAL SDK is built on @mysten/sui, so this module uses that SDK only, not the @mysten/sui.js of the rest of the bot
+const { SealClient, EncryptedObject } = require('@mysten/seal');
+const { SuiClient } = require('@mysten/sui/client');
+const { fromHex, toHex, normalizeSuiObjectId } = require('@mysten/sui/utils');
+const { SEAL_PACKAGE_ID, SEAL_KEY_SERVER_IDS, SEAL_THRESHOLD, SUI_RPC_URL } = require('./config');
+
+// Random bytes appended to the policy object ID so each blob gets its own identity
+const NONCE_BYTES = 5;
+
+class ContentEncryptor {
+    /**
+     * @param {object} [options={}]
+     * @param {string[]} [options.keyServerIds=SEAL_KEY_SERVER_IDS] - Key server object IDs, each with weight 1.
+     * @param {number} [options.threshold=SEAL_THRESHOLD] - Key servers needed to decrypt.
+     * @param {string} [options.packageId=SEAL_PACKAGE_ID] - Package whose `seal_approve` functions guard the content.
+     * @param {object} [options.sealClient] - Client to encrypt with, e.g. one with stubbed key servers;
+     *   by default a SealClient is created on first use.
+     * @throws {Error} If no key servers are configured or the threshold can't be met.
+     */
+    constructor({
+        keyServerIds = SEAL_KEY_SERVER_IDS,
+        threshold = SEAL_THRESHOLD,
+        packageId = SEAL_PACKAGE_ID,
+        sealClient = null,
+    } = {}) {
+        if (keyServerIds.length === 0) {
+            throw new Error('No SEAL key servers configured (SEAL_KEY_SERVER_IDS).');
+        }
+        if (!Number.isInteger(threshold) || threshold < 1 || threshold > keyServerIds.length) {
+            throw new Error(`SEAL threshold must be between 1 and the number of key servers (${keyServerIds.length}); got ${threshold}.`);
+        }
+        this.keyServerIds = keyServerIds.map(id => normalizeSuiObjectId(id));
+        this.threshold = threshold;
+        this.packageId = normalizeSuiObjectId(packageId);
+        this.sealClient = sealClient;
+    }
+
+    /**
+     * The SealClient, created on first use so runs that upload nothing don't query key servers.
+     * @returns {SealClient}
+     */
+    getSealClient() {
+        if (!this.sealClient) {
+            this.sealClient = new SealClient({
+                suiClient: new SuiClient({ url: SUI_RPC_URL }),
+                serverConfigs: this.keyServerIds.map(objectId => ({ objectId, weight: 1 })),
+                verifyKeyServers: false,
+            });
+        }
+        return this.sealClient;
+    }
+
+    /**
+     * Builds a fresh identity for content guarded by an allowlist or service.
+     * @param {string} policyObjectId - Allowlist or service object ID.
+     * @returns {string} Hex identity (object ID bytes + nonce), without 0x.
+     */
+    static identityFor(policyObjectId) {
+        const prefix = fromHex(normalizeSuiObjectId(policyObjectId));
+        return toHex(new Uint8Array([...prefix, ...crypto.randomBytes(NONCE_BYTES)]));
+    }
+
+    /**
+     * Encrypts content for an allowlist or service.
+     * @param {Buffer} data - Plaintext.
+     * @param {string} policyObjectId - Allowlist or service object ID whose members may decrypt.
+     * @returns {Promise<{data: Buffer, metadata: object}>} The encrypted object to upload, and what is
+     *   recorded next to the blob ID: package, identity, policy object, key servers, threshold and the
+     *   plaintext's size and SHA-256. The symmetric key is not kept, as it would decrypt the blob.
+     */
+    async encrypt(data, policyObjectId) {
+        const id = ContentEncryptor.identityFor(policyObjectId);
+        const { encryptedObject } = await this.getSealClient().encrypt({
+            threshold: this.threshold,
+            packageId: this.packageId,
+            id,
+            data: new Uint8Array(data),
+        });
+        const header = EncryptedObject.parse(encryptedObject); // What a decryptor will see
+        return {
+            data: Buffer.from(encryptedObject),
+            metadata: {
+                packageId: header.packageId,
+                id: header.id,
+                policyObjectId: normalizeSuiObjectId(policyObjectId),
+                keyServers: header.services.map(([objectId]) => objectId),
+                threshold: header.threshold,
+                plaintextSize: data.length,
+                plaintextSha256: crypto.createHash('sha256').update(data).digest('hex'),
+            },
+        };
+    }
+}
+
+module.exports = ContentEncryptor;
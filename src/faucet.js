@@ -0,0 +1,193 @@
+// src/faucet.js
+/**
+ * @file Testnet faucet client used to top up wallets before a run.
+ * Requests are paced and retried with exponential backoff. When the faucet answers with a
+ * rate limit (HTTP 429) its Retry-After is honoured; requests are never rotated through
+ * proxies to get around the limit.
+ */
+
+const axios = require('axios');
+const logger = require('./bot_logger');
+const { formatSui } = require('./gas_tracker');
+const { retryAfterMs, MAX_RATE_LIMIT_WAIT_MS } = require('./rate_limit');
+const {
+    SUI_RPC_URL,
+    FAUCET_URL,
+    FAUCET_REQUEST_DELAY_MS,
+    FAUCET_MAX_RETRIES,
+    FAUCET_RETRY_DELAY_MS,
+    MAX_BACKOFF_DELAY_MS,
+} = require('./config');
+
+/**
+ * Thrown when the faucet keeps rate-limiting us; further requests in this run would be refused too.
+ */
+class FaucetRateLimitError extends Error {
+    constructor(message, retryAfterMs = null) {
+        super(message);
+        this.name = 'FaucetRateLimitError';
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+class FaucetClient {
+    /**
+     * @param {object} [options={}]
+     * @param {string} [options.url=FAUCET_URL] - Faucet gas endpoint (e.g. a local mock server in tests).
+     * @param {number} [options.requestDelayMs=FAUCET_REQUEST_DELAY_MS] - Minimum time between two requests.
+     * @param {number} [options.maxRetries=FAUCET_MAX_RETRIES] - Attempts per wallet.
+     * @param {number} [options.retryDelayMs=FAUCET_RETRY_DELAY_MS] - First backoff delay, doubled per attempt.
+     */
+    constructor({
+        url = FAUCET_URL,
+        requestDelayMs = FAUCET_REQUEST_DELAY_MS,
+        maxRetries = FAUCET_MAX_RETRIES,
+        retryDelayMs = FAUCET_RETRY_DELAY_MS,
+    } = {}) {
+        this.url = url;
+        this.requestDelayMs = requestDelayMs;
+        this.maxRetries = maxRetries;
+        this.retryDelayMs = retryDelayMs;
+        this.lastRequestAt = 0;
+    }
+
+    /**
+     * Throws if the configured RPC points at mainnet, where no faucet exists.
+     */
+    static assertTestNetwork(rpcUrl = SUI_RPC_URL) {
+        if (/mainnet/i.test(rpcUrl)) {
+            throw new Error(`The faucet is only available on testnet/devnet/localnet; SUI_RPC_URL is ${rpcUrl}.`);
+        }
+    }
+
+    /**
+     * Waits until `requestDelayMs` has passed since the previous request.
+     */
+    async pace() {
+        const wait = this.lastRequestAt + this.requestDelayMs - Date.now();
+        if (wait > 0) {
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+        this.lastRequestAt = Date.now();
+    }
+
+    /**
+     * Requests testnet SUI for one address, retrying network/5xx errors and waiting out rate limits.
+     * @param {string} address - Recipient address.
+     * @returns {Promise<{amountMist: bigint, coins: number, digests: string[]}>} What the faucet sent.
+     * @throws {FaucetRateLimitError} If the faucet is still rate-limiting after the last attempt.
+     */
+    async requestFunds(address) {
+        let delay = this.retryDelayMs;
+        let lastError = null;
+
+        for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+            await this.pace();
+            try {
+                const response = await axios.post(this.url, { FixedAmountRequest: { recipient: address } }, { timeout: 60000 });
+                return parseFaucetResponse(response.data);
+            } catch (error) {
+                lastError = error;
+                const status = error.response?.status;
+                let wait = delay;
+
+                if (status === 429) {
+                    const retryAfter = retryAfterMs(error.response.headers);
+                    if (retryAfter !== null) wait = retryAfter;
+                    if (attempt === this.maxRetries || wait > MAX_RATE_LIMIT_WAIT_MS) {
+                        throw new FaucetRateLimitError(`Faucet rate limit reached${retryAfter !== null ? `; it asks to retry in ${Math.ceil(retryAfter / 1000)}s` : ''}.`, retryAfter);
+                    }
+                    logger.warn(`Faucet rate-limited the request (attempt ${attempt}/${this.maxRetries}); waiting ${(wait / 1000).toFixed(1)}s as requested.`);
+                } else if (status && status < 500) {
+                    throw new Error(`Faucet rejected the request (Status: ${status}, Data: ${JSON.stringify(error.response.data)})`);
+                } else if (attempt < this.maxRetries) {
+                    logger.warn(`Faucet request failed (attempt ${attempt}/${this.maxRetries}): ${status ? `Status ${status}` : error.message}; retrying in ${(wait / 1000).toFixed(1)}s.`);
+                }
+
+                if (attempt < this.maxRetries) {
+                    await new Promise(resolve => setTimeout(resolve, wait));
+                    delay = Math.min(delay * 2, MAX_BACKOFF_DELAY_MS);
+                    this.lastRequestAt = Date.now(); // The wait already paced the next request
+                }
+            }
+        }
+        throw new Error(`Faucet request failed after ${this.maxRetries} attempts. Last error: ${lastError?.message || 'Unknown error'}`);
+    }
+}
+
+/**
+ * Reads the coins sent from a faucet response (v1 `/gas` or v2 `/v2/gas` format).
+ * @param {object} data - Response body.
+ * @returns {{amountMist: bigint, coins: number, digests: string[]}}
+ */
+function parseFaucetResponse(data) {
+    if (data?.error) {
+        throw new Error(`Faucet error: ${data.error}`);
+    }
+    if (data?.status && data.status !== 'Success') {
+        throw new Error(`Faucet error: ${JSON.stringify(data.status)}`);
+    }
+    const coins = data?.transferredGasObjects || data?.coins_sent || [];
+    return {
+        amountMist: coins.reduce((sum, coin) => sum + BigInt(coin.amount), 0n),
+        coins: coins.length,
+        digests: [...new Set(coins.map(coin => coin.transferTxDigest).filter(Boolean))],
+    };
+}
+
+/**
+ * Requests faucet funds for every wallet whose SUI balance is below `thresholdMist`.
+ * Stops early when the faucet keeps rate-limiting.
+ * @param {{index: number, suiActions: import('./sui_actions')}[]} wallets - Wallets to check, in order.
+ * @param {FaucetClient} faucet - Faucet to request from.
+ * @param {bigint|number} thresholdMist - Balance below which a wallet is topped up.
+ * @returns {Promise<{index: number, address: string, status: 'funded'|'sufficient'|'failed'|'not_attempted', amountMist: string, reason: string}[]>}
+ */
+async function topUpWallets(wallets, faucet, thresholdMist) {
+    const threshold = BigInt(thresholdMist);
+    const results = [];
+    let rateLimited = null;
+
+    logger.info(`Faucet: topping up wallets below ${formatSui(threshold)} SUI via ${faucet.url}`);
+    for (const { index, suiActions } of wallets) {
+        const address = suiActions.getAddress();
+        const result = { index, address, status: 'sufficient', amountMist: '0', reason: '' };
+        results.push(result);
+
+        if (rateLimited) {
+            result.status = 'not_attempted';
+            result.reason = rateLimited.message;
+            continue;
+        }
+
+        try {
+            const balance = BigInt((await suiActions.client.getBalance({ owner: address })).totalBalance);
+            if (balance >= threshold) {
+                logger.info(`Faucet: wallet #${index} has ${formatSui(balance)} SUI, no top-up needed.`);
+                continue;
+            }
+            logger.wait(`Faucet: requesting SUI for wallet #${index} (${formatSui(balance)} SUI)...`);
+            const funded = await faucet.requestFunds(address);
+            result.status = 'funded';
+            result.amountMist = funded.amountMist.toString();
+            suiActions.recordToLedger('faucet', { amountMist: result.amountMist, coins: funded.coins, digests: funded.digests, faucet: faucet.url });
+            logger.success(`Faucet: wallet #${index} received ${formatSui(funded.amountMist)} SUI in ${funded.coins} coin(s).`);
+        } catch (error) {
+            result.status = 'failed';
+            result.reason = error.message;
+            logger.error(`Faucet: top-up failed for wallet #${index}: ${error.message}`);
+            if (error instanceof FaucetRateLimitError) {
+                rateLimited = error;
+                logger.warn('Faucet: rate limit reached, not requesting funds for the remaining wallets.');
+            }
+        }
+    }
+
+    const count = (status) => results.filter(r => r.status === status).length;
+    logger.info(`Faucet: ${count('funded')} funded, ${count('sufficient')} already funded, ${count('failed')} failed, ${count('not_attempted')} not attempted.`);
+    return results;
+}
+
+module.exports = FaucetClient;
+module.exports.FaucetRateLimitError = FaucetRateLimitError;
+module.exports.topUpWallets = topUpWallets;
@@ -0,0 +1,98 @@
+// src/gas_tracker.js
+/**
+ * @file Collects gas spent per wallet and per action type during a run, for the end-of-run summary.
+ */
+
+const { MIST_PER_SUI } = require('@mysten/sui.js/utils');
+const logger = require('./bot_logger');
+
+class GasTracker {
+    constructor() {
+        this.byWallet = new Map(); // address -> { mist: bigint, transactions: number }
+        this.byAction = new Map(); // action type -> { mist: bigint, transactions: number }
+        this.totalMist = 0n;
+        this.transactions = 0;
+    }
+
+    /**
+     * Records the gas of one transaction.
+     * @param {string} wallet - Sender address.
+     * @param {string} action - Action type, e.g. 'create_allowlist'.
+     * @param {bigint} gasMist - Net gas (computation + storage - rebate) in MIST.
+     */
+    record(wallet, action, gasMist) {
+        addTo(this.byWallet, wallet, gasMist);
+        addTo(this.byAction, action, gasMist);
+        this.totalMist += gasMist;
+        this.transactions++;
+    }
+
+    /**
+     * @returns {{totalMist: string, totalSui: string, transactions: number, byWallet: object, byAction: object}}
+     *   JSON-friendly totals; MIST amounts are decimal strings.
+     */
+    summary() {
+        const toObject = (map) => Object.fromEntries([...map].map(([key, { mist, transactions }]) =>
+            [key, { mist: mist.toString(), sui: formatSui(mist), transactions }]));
+        return {
+            totalMist: this.totalMist.toString(),
+            totalSui: formatSui(this.totalMist),
+            transactions: this.transactions,
+            byWallet: toObject(this.byWallet),
+            byAction: toObject(this.byAction),
+        };
+    }
+
+    /**
+     * Logs the per-wallet and per-action totals.
+     * @param {string} [label='Gas spent'] - Heading, e.g. 'Estimated gas' for dry runs.
+     */
+    logSummary(label = 'Gas spent') {
+        if (this.transactions === 0) {
+            logger.info(`${label}: no transactions.`);
+            return;
+        }
+        logger.info(`${label}: ${formatSui(this.totalMist)} SUI over ${this.transactions} transaction(s).`);
+        for (const [wallet, { mist, transactions }] of this.byWallet) {
+            logger.info(`  Wallet ${wallet.substring(0, 6)}...${wallet.substring(wallet.length - 4)}: ${formatSui(mist)} SUI (${transactions} tx)`);
+        }
+        for (const [action, { mist, transactions }] of this.byAction) {
+            logger.info(`  ${action}: ${formatSui(mist)} SUI (${transactions} tx, avg ${formatSui(mist / BigInt(transactions))})`);
+        }
+    }
+}
+
+function addTo(map, key, gasMist) {
+    const entry = map.get(key) || { mist: 0n, transactions: 0 };
+    entry.mist += gasMist;
+    entry.transactions++;
+    map.set(key, entry);
+}
+
+/**
+ * Net gas of a transaction from its effects: computation + storage - storage rebate.
+ * @param {object} effects - Transaction effects (from execution or a dry run).
+ * @returns {bigint|null} Gas in MIST, or null if the effects carry no gas summary.
+ */
+function gasFromEffects(effects) {
+    const gasUsed = effects?.gasUsed;
+    if (!gasUsed) return null;
+    return BigInt(gasUsed.computationCost) + BigInt(gasUsed.storageCost) - BigInt(gasUsed.storageRebate);
+}
+
+/**
+ * Formats a MIST amount as SUI with up to 9 decimals.
+ * @param {bigint} mist - Amount in MIST.
+ * @returns {string} e.g. "0.001234"
+ */
+function formatSui(mist) {
+    const negative = mist < 0n;
+    const abs = negative ? -mist : mist;
+    const whole = abs / MIST_PER_SUI;
+    const fraction = (abs % MIST_PER_SUI).toString().padStart(9, '0').replace(/0+$/, '');
+    return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+module.exports = GasTracker;
+module.exports.gasFromEffects = gasFromEffects;
+module.exports.formatSui = formatSui;
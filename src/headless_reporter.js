@@ -0,0 +1,110 @@
+// src/headless_reporter.js
+/**
+ * @file Plain-text / NDJSON output for non-interactive runs.
+ * Subscribes to the same BotLogger events as the TUI, but writes lines to a stream
+ * so output can be piped to log collectors or parsed by scripts.
+ */
+
+const logger = require('./bot_logger');
+
+const OUTPUT_FORMATS = ['text', 'json'];
+
+class HeadlessReporter {
+    /**
+     * @param {object} [options={}]
+     * @param {'text'|'json'} [options.format='text'] - Line format: human-readable text or newline-delimited JSON.
+     * @param {NodeJS.WritableStream} [options.stream=process.stdout] - Destination stream.
+     * @param {boolean} [options.showStatus=true] - Whether to write 'statusUpdate' events.
+     */
+    constructor({ format = 'text', stream = process.stdout, showStatus = true } = {}) {
+        if (!OUTPUT_FORMATS.includes(format)) {
+            throw new Error(`Unknown output format "${format}". Expected one of: ${OUTPUT_FORMATS.join(', ')}.`);
+        }
+        this.format = format;
+        this.stream = stream;
+        this.showStatus = showStatus;
+
+        this.onLog = (logEntry) => this.writeLog(logEntry);
+        this.onStatus = (statusData) => this.writeStatus(statusData);
+        logger.on('log', this.onLog);
+        if (this.showStatus) {
+            logger.on('statusUpdate', this.onStatus);
+        }
+    }
+
+    /**
+     * Writes a single log entry.
+     * @param {object} logEntry - The log object from BotLogger.
+     */
+    writeLog(logEntry) {
+        if (logEntry.level === 'DEBUG' && process.env.NODE_ENV === 'production') return;
+        const timestamp = toIsoString(logEntry.timestamp);
+
+        if (this.format === 'json') {
+            this.writeJson({ type: 'log', timestamp, level: logEntry.level, message: logEntry.message, metadata: logEntry.metadata });
+        } else {
+            this.stream.write(`[${timestamp}] ${logEntry.level.padEnd(7)} ${logEntry.message}\n`);
+        }
+    }
+
+    /**
+     * Writes a status update (the data the TUI shows in its status pane).
+     * @param {object} statusData - Partial status fields from BotLogger.updateStatus.
+     */
+    writeStatus(statusData) {
+        const timestamp = new Date().toISOString();
+        if (this.format === 'json') {
+            this.writeJson({ type: 'status', timestamp, ...statusData });
+        } else {
+            const fields = Object.entries(statusData || {}).map(([key, value]) => `${key}=${value && typeof value === 'object' ? JSON.stringify(value) : value}`).join(' ');
+            this.stream.write(`[${timestamp}] STATUS  ${fields}\n`);
+        }
+    }
+
+    /**
+     * Writes the end-of-run summary.
+     * @param {object} summary - Summary data (task counts etc.) collected by the app.
+     */
+    writeSummary(summary) {
+        const timestamp = new Date().toISOString();
+        if (this.format === 'json') {
+            this.writeJson({ type: 'summary', timestamp, ...summary });
+        } else {
+            const fields = Object.entries(summary).map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`).join(' ');
+            this.stream.write(`[${timestamp}] SUMMARY ${fields}\n`);
+        }
+    }
+
+    writeJson(record) {
+        let line;
+        try {
+            line = JSON.stringify(record, jsonReplacer);
+        } catch (error) {
+            // Metadata can hold circular structures (e.g. axios errors); drop it rather than the whole line
+            line = JSON.stringify({ ...record, metadata: undefined }, jsonReplacer);
+        }
+        this.stream.write(`${line}\n`);
+    }
+
+    /**
+     * Stops listening to logger events.
+     */
+    detach() {
+        logger.off('log', this.onLog);
+        logger.off('statusUpdate', this.onStatus);
+    }
+}
+
+function toIsoString(timestamp) {
+    return (timestamp instanceof Date ? timestamp : new Date()).toISOString();
+}
+
+// BigInt values (gas, balances) are not JSON-serializable by default
+function jsonReplacer(key, value) {
+    if (typeof value === 'bigint') return value.toString();
+    if (value instanceof Error) return { name: value.name, message: value.message };
+    return value;
+}
+
+module.exports = HeadlessReporter;
+module.exports.OUTPUT_FORMATS = OUTPUT_FORMATS;
@@ -0,0 +1,146 @@
+// src/inspector.js
+/**
+ * @file Read-only queries for SEAL objects: entry caps owned by a wallet, allowlist members and
+ * published blobs, subscription service terms, and a wallet's subscriptions. Nothing here signs or sends transactions.
+ */
+
+const { normalizeSuiAddress } = require('@mysten/sui.js/utils');
+const { SEAL_PACKAGE_ID } = require('./config');
+
+// Move types of the objects the bot creates
+const CAP_TYPES = {
+    allowlist: `${SEAL_PACKAGE_ID}::allowlist::Cap`,
+    subscription: `${SEAL_PACKAGE_ID}::subscription::Cap`,
+};
+const SUBSCRIPTION_TYPE = `${SEAL_PACKAGE_ID}::subscription::Subscription`;
+
+class SealInspector {
+    /**
+     * @param {import('@mysten/sui.js/client').SuiClient} client - Client used for queries.
+     */
+    constructor(client) {
+        this.client = client;
+    }
+
+    /**
+     * Lists the allowlist and service entry caps owned by an address.
+     * @param {string} owner - Wallet address.
+     * @returns {Promise<{kind: 'allowlist'|'subscription', capId: string, objectId: string}[]>}
+     *   `objectId` is the allowlist or service the cap controls.
+     */
+    async listCaps(owner) {
+        const caps = [];
+        for (const [kind, type] of Object.entries(CAP_TYPES)) {
+            let cursor = null;
+            do {
+                const page = await this.client.getOwnedObjects({
+                    owner,
+                    filter: { StructType: type },
+                    options: { showContent: true },
+                    cursor,
+                });
+                for (const { data } of page.data) {
+                    const fields = data?.content?.fields || {};
+                    caps.push({ kind, capId: data.objectId, objectId: fields.allowlist_id || fields.service_id });
+                }
+                cursor = page.hasNextPage ? page.nextCursor : null;
+            } while (cursor);
+        }
+        return caps;
+    }
+
+    /**
+     * Reads an allowlist.
+     * @param {string} allowlistId - The shared allowlist object ID.
+     * @returns {Promise<{allowlistId: string, name: string, members: string[], blobs: string[]}>}
+     * @throws {Error} If the object doesn't exist or isn't a SEAL allowlist.
+     */
+    async getAllowlist(allowlistId) {
+        const fields = await this.getMoveObjectFields(allowlistId, '::allowlist::Allowlist', 'an allowlist');
+        return {
+            allowlistId,
+            name: fields.name,
+            members: (fields.list || []).map(address => normalizeSuiAddress(address)),
+            blobs: await this.getPublishedBlobs(allowlistId),
+        };
+    }
+
+    /**
+     * Reads a subscription service.
+     * @param {string} serviceId - The shared service object ID.
+     * @returns {Promise<{serviceId: string, name: string, owner: string, fee: string, ttl: string, blobs: string[]}>}
+     *   `fee` is in MIST and `ttl` in milliseconds, as decimal strings.
+     * @throws {Error} If the object doesn't exist or isn't a SEAL service.
+     */
+    async getService(serviceId) {
+        const fields = await this.getMoveObjectFields(serviceId, '::subscription::Service', 'a subscription service');
+        return {
+            serviceId,
+            name: fields.name,
+            owner: fields.owner,
+            fee: String(fields.fee),
+            ttl: String(fields.ttl),
+            blobs: await this.getPublishedBlobs(serviceId),
+        };
+    }
+
+    /**
+     * Finds a subscription to a service owned by an address (the newest if there are several).
+     * @param {string} owner - Wallet address.
+     * @param {string} serviceId - The shared service object ID.
+     * @returns {Promise<{subscriptionId: string, createdAt: number}|null>}
+     */
+    async findSubscription(owner, serviceId) {
+        const wanted = normalizeSuiAddress(serviceId);
+        let found = null;
+        let cursor = null;
+        do {
+            const page = await this.client.getOwnedObjects({
+                owner,
+                filter: { StructType: SUBSCRIPTION_TYPE },
+                options: { showContent: true },
+                cursor,
+            });
+            for (const { data } of page.data) {
+                const fields = data?.content?.fields || {};
+                const createdAt = Number(fields.created_at);
+                if (fields.service_id && normalizeSuiAddress(fields.service_id) === wanted && (!found || createdAt > found.createdAt)) {
+                    found = { subscriptionId: data.objectId, createdAt };
+                }
+            }
+            cursor = page.hasNextPage ? page.nextCursor : null;
+        } while (cursor);
+        return found;
+    }
+
+    /**
+     * Lists the blob IDs published to an allowlist or service. `publish` stores each blob ID as a
+     * dynamic field name on the object.
+     * @param {string} parentId - Allowlist or service object ID.
+     * @returns {Promise<string[]>}
+     */
+    async getPublishedBlobs(parentId) {
+        const blobs = [];
+        let cursor = null;
+        do {
+            const page = await this.client.getDynamicFields({ parentId, cursor });
+            for (const field of page.data) {
+                if (typeof field.name?.value === 'string') blobs.push(field.name.value);
+            }
+            cursor = page.hasNextPage ? page.nextCursor : null;
+        } while (cursor);
+        return blobs;
+    }
+
+    async getMoveObjectFields(objectId, typeSuffix, description) {
+        const response = await this.client.getObject({ id: objectId, options: { showContent: true } });
+        const content = response.data?.content;
+        if (content?.dataType !== 'moveObject' || !content.type.endsWith(typeSuffix)) {
+            throw new Error(`${objectId} is not ${description} (${response.error?.code || content?.type || 'no content'}).`);
+        }
+        return content.fields;
+    }
+}
+
+module.exports = SealInspector;
+module.exports.CAP_TYPES = CAP_TYPES;
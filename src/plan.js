@@ -0,0 +1,427 @@
+// src/plan.js
+/**
+ * @file Declarative task plans (YAML or JSON) describing per-wallet workflows.
+ *
+ * A plan lists wallet groups; each group runs an ordered list of steps for every wallet in it.
+ * Steps can name themselves with `id` and later steps can reference their outputs as
+ * `${id.field}` (e.g. `${list.allowlistId}`). `${wallet.address}` refers to the current wallet.
+ *
+ * Example:
+ *   groups:
+ *     - wallets: 1-3
+ *       repeat: 2
+ *       steps:
+ *         - { action: createAllowlist, id: list }
+ *         - { action: addAddresses, allowlist: "${list.allowlistId}", cap: "${list.entryObjectId}", addresses: ["${wallet.address}"] }
+ *         - { action: uploadBlob, id: blob, source: ./image.jpg, encryptFor: "${list.allowlistId}" }
+ *         - { action: publish, target: allowlist, object: "${list.allowlistId}", cap: "${list.entryObjectId}", blob: "${blob.blobId}" }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const logger = require('./bot_logger');
+const { DEFAULT_IMAGE_URL, DEFAULT_BLOB_EPOCHS } = require('./config');
+const { normalizeSuiAddress, normalizeSuiObjectId } = require('@mysten/sui.js/utils');
+const { runStep: runCheckpointedStep } = require('./checkpoint');
+const { splitMembers } = require('./allowlist_members');
+const { parseAmountSpec, parseDurationSpec } = require('./terms');
+
+// Matches `${stepId.field}` references inside string values
+const REFERENCE_PATTERN = /\$\{([A-Za-z_][\w-]*)\.([A-Za-z_]\w*)\}/g;
+const BUILTIN_REFERENCES = { wallet: ['address'] };
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+// Field types: 'string', 'integer', 'address[]' (0x-prefixed 32-byte hex addresses or references),
+// 'amount'/'duration' (value with a unit or a range, see src/terms.js), or an array of allowed values
+const STEP_SCHEMAS = {
+    createAllowlist: {
+        fields: { name: 'string' },
+        required: [],
+        outputs: ['allowlistId', 'entryObjectId'],
+    },
+    addAddresses: {
+        fields: { allowlist: 'string', cap: 'string', addresses: 'address[]' },
+        required: ['allowlist', 'cap', 'addresses'],
+        outputs: ['added'],
+    },
+    uploadBlob: {
+        fields: { source: 'string', epochs: 'integer', encryptFor: 'string' },
+        required: [],
+        outputs: ['blobId'],
+    },
+    publish: {
+        fields: { target: ['allowlist', 'subscription'], object: 'string', cap: 'string', blob: 'string' },
+        required: ['target', 'object', 'cap', 'blob'],
+        outputs: [],
+    },
+    createService: {
+        fields: { amount: 'amount', duration: 'duration', name: 'string' },
+        required: ['amount', 'duration'],
+        outputs: ['sharedObjectId', 'serviceEntryId'],
+    },
+};
+
+const PLAN_KEYS = ['version', 'defaults', 'groups'];
+const DEFAULTS_KEYS = { source: 'string', epochs: 'integer' };
+const GROUP_KEYS = ['name', 'wallets', 'repeat', 'steps'];
+
+/**
+ * Error thrown when a plan fails validation. `errors` holds one readable message per problem.
+ */
+class PlanValidationError extends Error {
+    constructor(errors, filePath) {
+        const where = filePath ? ` in ${filePath}` : '';
+        super(`Plan is invalid${where}:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'PlanValidationError';
+        this.errors = errors;
+    }
+}
+
+// --- Loading & validation ---
+
+/**
+ * Reads, parses and validates a plan file. `.json` files are parsed as JSON, everything else as YAML.
+ * @param {string} filePath - Path to the plan file.
+ * @returns {object} The validated plan.
+ * @throws {PlanValidationError|Error} If the file can't be read/parsed or fails validation.
+ */
+function loadPlan(filePath) {
+    const absolutePath = path.resolve(filePath);
+    let raw;
+    try {
+        raw = fs.readFileSync(absolutePath, 'utf8');
+    } catch (error) {
+        throw new Error(`Cannot read plan file ${absolutePath}: ${error.message}`);
+    }
+
+    let plan;
+    try {
+        plan = path.extname(absolutePath).toLowerCase() === '.json' ? JSON.parse(raw) : YAML.parse(raw);
+    } catch (error) {
+        throw new Error(`Cannot parse plan file ${absolutePath}: ${error.message}`);
+    }
+
+    const errors = validatePlan(plan);
+    if (errors.length > 0) {
+        throw new PlanValidationError(errors, absolutePath);
+    }
+    return plan;
+}
+
+/**
+ * Checks a parsed plan against the plan schema.
+ * @param {object} plan - Parsed plan object.
+ * @returns {string[]} Readable error messages; empty when the plan is valid.
+ */
+function validatePlan(plan) {
+    const errors = [];
+    if (!isPlainObject(plan)) {
+        return ['plan: expected an object with a "groups" list'];
+    }
+
+    checkUnknownKeys(plan, PLAN_KEYS, 'plan', errors);
+    if (plan.version !== undefined && plan.version !== 1) {
+        errors.push(`version: unsupported plan version ${JSON.stringify(plan.version)} (expected 1)`);
+    }
+    if (plan.defaults !== undefined) {
+        if (!isPlainObject(plan.defaults)) {
+            errors.push('defaults: expected an object');
+        } else {
+            checkUnknownKeys(plan.defaults, Object.keys(DEFAULTS_KEYS), 'defaults', errors);
+            for (const [key, type] of Object.entries(DEFAULTS_KEYS)) {
+                if (plan.defaults[key] !== undefined) checkFieldType(plan.defaults[key], type, `defaults.${key}`, errors);
+            }
+        }
+    }
+
+    if (!Array.isArray(plan.groups) || plan.groups.length === 0) {
+        errors.push('groups: expected a non-empty list of wallet groups');
+        return errors;
+    }
+
+    plan.groups.forEach((group, groupIndex) => {
+        const groupPath = `groups[${groupIndex}]`;
+        if (!isPlainObject(group)) {
+            errors.push(`${groupPath}: expected an object`);
+            return;
+        }
+        checkUnknownKeys(group, GROUP_KEYS, groupPath, errors);
+        if (group.name !== undefined && typeof group.name !== 'string') {
+            errors.push(`${groupPath}.name: expected a string`);
+        }
+        if (typeof group.wallets !== 'string' && !Number.isInteger(group.wallets)) {
+            errors.push(`${groupPath}.wallets: required; expected a wallet index or range such as "1-5,8"`);
+        }
+        if (group.repeat !== undefined && (!Number.isInteger(group.repeat) || group.repeat < 1)) {
+            errors.push(`${groupPath}.repeat: expected a positive integer`);
+        }
+        if (!Array.isArray(group.steps) || group.steps.length === 0) {
+            errors.push(`${groupPath}.steps: expected a non-empty list of steps`);
+            return;
+        }
+        validateSteps(group.steps, `${groupPath}.steps`, errors);
+    });
+
+    return errors;
+}
+
+function validateSteps(steps, stepsPath, errors) {
+    const knownOutputs = { ...BUILTIN_REFERENCES }; // step id -> output fields, in declaration order
+
+    steps.forEach((step, stepIndex) => {
+        const stepPath = `${stepsPath}[${stepIndex}]`;
+        if (!isPlainObject(step)) {
+            errors.push(`${stepPath}: expected an object`);
+            return;
+        }
+        const schema = STEP_SCHEMAS[step.action];
+        if (!schema) {
+            errors.push(`${stepPath}.action: ${step.action === undefined ? 'required' : `unknown action ${JSON.stringify(step.action)}`} (expected one of: ${Object.keys(STEP_SCHEMAS).join(', ')})`);
+            return;
+        }
+
+        checkUnknownKeys(step, ['action', 'id', ...Object.keys(schema.fields)], `${stepPath} (${step.action})`, errors);
+        for (const field of schema.required) {
+            if (step[field] === undefined) errors.push(`${stepPath}.${field}: required for ${step.action}`);
+        }
+        for (const [field, type] of Object.entries(schema.fields)) {
+            if (step[field] === undefined) continue;
+            checkFieldType(step[field], type, `${stepPath}.${field}`, errors);
+            checkReferences(step[field], knownOutputs, `${stepPath}.${field}`, errors);
+        }
+
+        if (step.id !== undefined) {
+            if (typeof step.id !== 'string' || !/^[A-Za-z_][\w-]*$/.test(step.id)) {
+                errors.push(`${stepPath}.id: expected an identifier (letters, digits, "_" or "-")`);
+            } else if (knownOutputs[step.id]) {
+                errors.push(`${stepPath}.id: "${step.id}" is already used by an earlier step or is reserved`);
+            } else {
+                knownOutputs[step.id] = schema.outputs;
+            }
+        }
+    });
+}
+
+function checkFieldType(value, type, fieldPath, errors) {
+    if (Array.isArray(type)) {
+        if (!type.includes(value)) errors.push(`${fieldPath}: expected one of ${type.join(', ')}, got ${JSON.stringify(value)}`);
+    } else if (type === 'string') {
+        if (typeof value !== 'string' || value.trim() === '') errors.push(`${fieldPath}: expected a non-empty string`);
+    } else if (type === 'address[]') {
+        if (!Array.isArray(value)) {
+            errors.push(`${fieldPath}: expected a list of addresses`);
+            return;
+        }
+        value.forEach((item, i) => {
+            // References such as ${wallet.address} are resolved, and checked the same way, when the step runs
+            const isReference = typeof item === 'string' && item.includes('${');
+            if (!isReference && !isAddress(item)) {
+                errors.push(`${fieldPath}[${i}]: ${addressError(item)}`);
+            }
+        });
+    } else if (type === 'integer') {
+        if (!Number.isInteger(value) || value < 1) errors.push(`${fieldPath}: expected a positive integer`);
+    } else if (type === 'amount' || type === 'duration') {
+        if (typeof value !== 'string') {
+            errors.push(`${fieldPath}: expected a string with a unit, e.g. ${type === 'amount' ? '"0.5sui"' : '"7d"'}`);
+        } else if (!value.includes('${')) {
+            try {
+                (type === 'amount' ? parseAmountSpec : parseDurationSpec)(value);
+            } catch (error) {
+                errors.push(`${fieldPath}: ${error.message}`);
+            }
+        }
+    }
+}
+
+function isAddress(value) {
+    return typeof value === 'string' && ADDRESS_PATTERN.test(value);
+}
+
+function addressError(value) {
+    return `expected a 0x-prefixed 32-byte hex address, got ${JSON.stringify(value)}`;
+}
+
+function checkReferences(value, knownOutputs, fieldPath, errors) {
+    const strings = Array.isArray(value) ? value : [value];
+    for (const str of strings) {
+        if (typeof str !== 'string') continue;
+        for (const [, stepId, field] of str.matchAll(REFERENCE_PATTERN)) {
+            if (!knownOutputs[stepId]) {
+                const available = Object.keys(knownOutputs).join(', ');
+                errors.push(`${fieldPath}: unknown reference "\${${stepId}.${field}}" (steps available at this point: ${available})`);
+            } else if (!knownOutputs[stepId].includes(field)) {
+                errors.push(`${fieldPath}: "${stepId}" has no output "${field}" (available: ${knownOutputs[stepId].join(', ') || 'none'})`);
+            }
+        }
+    }
+}
+
+function checkUnknownKeys(obj, allowedKeys, objPath, errors) {
+    for (const key of Object.keys(obj)) {
+        if (!allowedKeys.includes(key)) {
+            errors.push(`${objPath}: unknown field "${key}" (allowed: ${allowedKeys.join(', ')})`);
+        }
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Whether any uploadBlob step of the plan encrypts its blob, so the run needs SEAL key servers.
+ * @param {object} plan - A validated plan.
+ * @returns {boolean}
+ */
+function planEncrypts(plan) {
+    return plan.groups.some(group => group.steps.some(step => step.action === 'uploadBlob' && step.encryptFor));
+}
+
+// --- Wallet resolution ---
+
+/**
+ * Expands the plan's wallet groups into one job per wallet.
+ * @param {object} plan - A validated plan.
+ * @param {import('./wallet_manager')} walletManager - Loaded wallets.
+ * @returns {{index: number, key: string, repeat: number, group: string, steps: object[]}[]} Jobs in wallet order.
+ * @throws {PlanValidationError} If a group's wallet range is invalid or two groups claim the same wallet.
+ */
+function resolvePlanJobs(plan, walletManager) {
+    const errors = [];
+    const jobsByWallet = new Map();
+
+    plan.groups.forEach((group, groupIndex) => {
+        const groupName = group.name || `group ${groupIndex + 1}`;
+        let wallets;
+        try {
+            wallets = walletManager.selectWallets(String(group.wallets));
+        } catch (error) {
+            errors.push(`groups[${groupIndex}].wallets: ${error.message}`);
+            return;
+        }
+        for (const { index, key } of wallets) {
+            if (jobsByWallet.has(index)) {
+                errors.push(`groups[${groupIndex}].wallets: wallet #${index} is already assigned to ${jobsByWallet.get(index).group}`);
+                continue;
+            }
+            jobsByWallet.set(index, { index, key, repeat: group.repeat || 1, group: groupName, steps: group.steps });
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new PlanValidationError(errors);
+    }
+    return [...jobsByWallet.values()].sort((a, b) => a.index - b.index);
+}
+
+// --- Execution ---
+
+/**
+ * Replaces `${id.field}` references with values from earlier step outputs.
+ * A value that is exactly one reference keeps the referenced value's type.
+ */
+function interpolate(value, context) {
+    if (Array.isArray(value)) return value.map(item => interpolate(item, context));
+    if (typeof value !== 'string') return value;
+
+    const whole = value.match(/^\$\{([A-Za-z_][\w-]*)\.([A-Za-z_]\w*)\}$/);
+    if (whole) return lookup(context, whole[1], whole[2]);
+    return value.replace(REFERENCE_PATTERN, (_, stepId, field) => String(lookup(context, stepId, field)));
+}
+
+function lookup(context, stepId, field) {
+    const value = context[stepId]?.[field];
+    if (value === undefined) {
+        throw new Error(`Reference \${${stepId}.${field}} has no value (did step "${stepId}" run?)`);
+    }
+    return value;
+}
+
+/**
+ * Runs one wallet's plan steps in order.
+ * @param {import('./sui_actions')} suiActions - Actions bound to the wallet.
+ * @param {object[]} steps - The validated steps of the wallet's group.
+ * @param {object} [defaults={}] - Plan-level defaults (`source`, `epochs`).
+ * @param {import('./checkpoint')|null} [checkpoint=null] - Step checkpoint for resumable runs.
+ * @returns {Promise<object>} Outputs keyed by step id.
+ */
+async function executePlanSteps(suiActions, steps, defaults = {}, checkpoint = null) {
+    const context = { wallet: { address: suiActions.getAddress() } };
+
+    for (let i = 0; i < steps.length; i++) {
+        const step = steps[i];
+        const args = {};
+        for (const field of Object.keys(STEP_SCHEMAS[step.action].fields)) {
+            if (step[field] !== undefined) args[field] = interpolate(step[field], context);
+        }
+
+        logger.info(`Plan step ${i + 1}/${steps.length}: ${step.action}${step.id ? ` (${step.id})` : ''}`);
+        // Checkpoint names include the index so repeated actions (e.g. two uploads) stay distinct
+        const output = await runCheckpointedStep(checkpoint, `${i}:${step.action}`, () => runStep(suiActions, step.action, args, defaults));
+        if (step.id) {
+            context[step.id] = output;
+        }
+    }
+
+    return context;
+}
+
+async function runStep(suiActions, action, args, defaults) {
+    switch (action) {
+        case 'createAllowlist':
+            return suiActions.createAllowlistEntry(args.name);
+        case 'addAddresses': {
+            // The step is checkpointed as a whole, so a resumed run replays it after a partial add; members
+            // added by that attempt are skipped (allowlists created by a dry run don't exist to be read)
+            const invalid = args.addresses.findIndex(address => !isAddress(address));
+            if (invalid !== -1) {
+                throw new Error(`addresses[${invalid}]: ${addressError(args.addresses[invalid])}`);
+            }
+            let addresses = [...new Set(args.addresses.map(address => normalizeSuiAddress(address)))];
+            if (!suiActions.simulatedObjectIds.has(normalizeSuiObjectId(args.allowlist))) {
+                const { missing, members } = await splitMembers(suiActions, args.allowlist, addresses);
+                if (members.length > 0) {
+                    logger.info(`Skipping ${members.length} address(es) already on allowlist ${args.allowlist.substring(0, 10)}...`);
+                }
+                addresses = missing;
+            }
+            if (suiActions.batch) {
+                return { added: await suiActions.addAddressesToAllowlistBatched(args.allowlist, args.cap, addresses) };
+            }
+            const added = [];
+            for (const address of addresses) {
+                await suiActions.addAddressToAllowlist(args.allowlist, args.cap, address);
+                added.push(address);
+            }
+            return { added };
+        }
+        case 'uploadBlob': {
+            const source = args.source || defaults.source || DEFAULT_IMAGE_URL;
+            const blobId = await suiActions.uploadBlob(source, args.epochs || defaults.epochs || DEFAULT_BLOB_EPOCHS, args.encryptFor || null);
+            return { blobId };
+        }
+        case 'publish':
+            if (args.target === 'allowlist') {
+                await suiActions.publishBlobToAllowlist(args.object, args.cap, args.blob);
+            } else {
+                await suiActions.publishBlobToSubscription(args.object, args.cap, args.blob);
+            }
+            return {};
+        case 'createService':
+            return suiActions.createServiceSubscriptionEntry(args.amount, args.duration, args.name);
+        default:
+            throw new Error(`Unknown plan action: ${action}`);
+    }
+}
+
+module.exports = {
+    loadPlan,
+    validatePlan,
+    resolvePlanJobs,
+    executePlanSteps,
+    planEncrypts,
+    PlanValidationError,
+    STEP_SCHEMAS,
+};
@@ -0,0 +1,103 @@
+// src/preflight.js
+/**
+ * @file Pre-flight balance check: reads each wallet's SUI balance and gas coins before any
+ * task runs and classifies the wallet as ready, low or empty for the planned repetitions.
+ */
+
+const logger = require('./bot_logger');
+const { formatSui } = require('./gas_tracker');
+const { ESTIMATED_TX_COST_MIST } = require('./config');
+
+const SUI_COIN_TYPE = '0x2::sui::SUI';
+
+// Wallet states reported by the check
+const PREFLIGHT_STATUS = {
+    READY: 'ready', // Balance covers the expected cost of all planned repetitions
+    LOW: 'low', // Some SUI, but less than the expected cost; the run may fail part-way
+    EMPTY: 'empty', // No SUI or no gas coins; the wallet is skipped
+    ERROR: 'error', // Balance couldn't be read; the wallet still runs
+};
+
+class PreflightCheck {
+    /**
+     * @param {import('@mysten/sui.js/client').SuiClient} client - Client used for balance queries.
+     * @param {object} [options={}]
+     * @param {bigint|number} [options.txCostMist=ESTIMATED_TX_COST_MIST] - Expected gas per transaction, in MIST.
+     */
+    constructor(client, { txCostMist = ESTIMATED_TX_COST_MIST } = {}) {
+        this.client = client;
+        this.txCostMist = BigInt(txCostMist);
+    }
+
+    /**
+     * Checks one wallet.
+     * @param {string} address - Wallet address.
+     * @param {number} plannedTransactions - Transactions the wallet is expected to send in this run.
+     * @param {bigint} [extraMist=0n] - SUI the wallet spends besides gas (e.g. subscription fees), in MIST.
+     * @returns {Promise<{address: string, status: string, balanceMist: string, gasCoins: number, requiredMist: string, reason: string}>}
+     */
+    async checkWallet(address, plannedTransactions, extraMist = 0n) {
+        const requiredMist = this.txCostMist * BigInt(plannedTransactions) + BigInt(extraMist);
+        const result = { address, status: PREFLIGHT_STATUS.ERROR, balanceMist: '0', gasCoins: 0, requiredMist: requiredMist.toString(), reason: '' };
+
+        try {
+            const balance = await this.client.getBalance({ owner: address, coinType: SUI_COIN_TYPE });
+            const balanceMist = BigInt(balance.totalBalance);
+            result.balanceMist = balanceMist.toString();
+            result.gasCoins = balance.coinObjectCount;
+
+            if (balanceMist === 0n || balance.coinObjectCount === 0) {
+                result.status = PREFLIGHT_STATUS.EMPTY;
+                result.reason = 'no SUI to pay gas';
+            } else if (balanceMist < requiredMist) {
+                result.status = PREFLIGHT_STATUS.LOW;
+                result.reason = `has ${formatSui(balanceMist)} SUI, ~${formatSui(requiredMist)} SUI expected for ${plannedTransactions} transaction(s)${extraMist ? ` and ${formatSui(BigInt(extraMist))} SUI in fees` : ''}`;
+            } else {
+                result.status = PREFLIGHT_STATUS.READY;
+            }
+        } catch (error) {
+            result.reason = `balance query failed: ${error.message}`;
+        }
+        return result;
+    }
+
+    /**
+     * Logs the results as a fixed-width table and publishes the counts, and the wallets that will be
+     * skipped with their balances, to the status pane.
+     * @param {object[]} results - Results from checkWallet(), with an added `index` (1-based wallet index).
+     */
+    static report(results) {
+        const counts = PreflightCheck.countByStatus(results);
+        logger.info('Pre-flight balance check:');
+        logger.info(`  ${'#'.padEnd(4)} ${'Address'.padEnd(16)} ${'Status'.padEnd(7)} ${'Balance (SUI)'.padStart(14)} ${'Coins'.padStart(5)} ${'Needed (SUI)'.padStart(13)}`);
+        for (const r of results) {
+            const masked = `${r.address.substring(0, 6)}...${r.address.substring(r.address.length - 4)}`;
+            const line = `  ${String(r.index).padEnd(4)} ${masked.padEnd(16)} ${r.status.padEnd(7)} ${formatSui(BigInt(r.balanceMist)).padStart(14)} ${String(r.gasCoins).padStart(5)} ${formatSui(BigInt(r.requiredMist)).padStart(13)}`;
+            if (r.status === PREFLIGHT_STATUS.READY) logger.info(line);
+            else if (r.status === PREFLIGHT_STATUS.LOW || r.status === PREFLIGHT_STATUS.ERROR) logger.warn(`${line}  ${r.reason}`);
+            else logger.error(`${line}  ${r.reason}`);
+        }
+        logger.info(`Pre-flight: ${counts.ready} ready, ${counts.low} low, ${counts.empty} empty, ${counts.error} unchecked.`);
+        logger.updateStatus({ preflight: { ...counts, skipped: PreflightCheck.skippedWallets(results) } });
+    }
+
+    /**
+     * The wallets a run skips: those without SUI or gas coins.
+     * @param {object[]} results - Results from checkWallet(), with `index`.
+     * @returns {{index: number, address: string, balanceMist: string, gasCoins: number, reason: string}[]}
+     */
+    static skippedWallets(results) {
+        return results
+            .filter(r => r.status === PREFLIGHT_STATUS.EMPTY)
+            .map(({ index, address, balanceMist, gasCoins, reason }) => ({ index, address, balanceMist, gasCoins, reason }));
+    }
+
+    static countByStatus(results) {
+        const counts = { ready: 0, low: 0, empty: 0, error: 0 };
+        for (const r of results) counts[r.status]++;
+        return counts;
+    }
+}
+
+module.exports = PreflightCheck;
+module.exports.PREFLIGHT_STATUS = PREFLIGHT_STATUS;
@@ -0,0 +1,319 @@
+// src/publisher_pool.js
+/**
+ * @file Walrus publisher selection with per-publisher health tracking.
+ *
+ * Each publisher keeps its recent outcomes (success, HTTP status, latency). Selection is a weighted
+ * draw favouring a high recent success rate and low latency; publishers never tried start at an
+ * even prior so they still get traffic. A 429, a 5xx or a network/verification failure puts the
+ * publisher on a cooldown that doubles with each consecutive failure and ends on the next success.
+ * A rate limit window named by the publisher (Retry-After etc., see src/rate_limit.js) is stricter:
+ * the publisher is not picked before it has passed unless every publisher is blocked, in which case
+ * the caller waits for it (see `waitTimeMs()`).
+ *
+ * SuiActions only uses `next()`, `waitTimeMs()`, `recordSuccess()` and `recordFailure()`, so any
+ * object with those methods can stand in for the pool. One pool is shared by all wallets of a run; with a state file
+ * the health also carries over to the next run.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./bot_logger');
+const {
+    PUBLISHER_URLS,
+    PUBLISHER_COOLDOWN_MS,
+    MAX_PUBLISHER_COOLDOWN_MS,
+    PUBLISHER_HEALTH_WINDOW,
+} = require('./config');
+
+// Latency at which a publisher's weight is halved (milliseconds)
+const LATENCY_SCALE_MS = 10000;
+// Weight of publishers without recorded outcomes, as a success rate
+const PRIOR_SUCCESS_RATE = 0.5;
+
+class PublisherPool {
+    /**
+     * @param {object} [options={}]
+     * @param {string[]} [options.urls=PUBLISHER_URLS] - Publisher blob endpoints (`.../v1/blobs`).
+     * @param {string|null} [options.stateFile=null] - JSON file health is loaded from and saved to,
+     *   relative to the project root; null keeps health in memory for this run only.
+     * @param {number} [options.cooldownMs=PUBLISHER_COOLDOWN_MS] - Cooldown after the first failure in a row.
+     * @param {number} [options.maxCooldownMs=MAX_PUBLISHER_COOLDOWN_MS] - Longest cooldown.
+     * @param {number} [options.windowSize=PUBLISHER_HEALTH_WINDOW] - Recent outcomes kept per publisher.
+     * @throws {Error} If no publishers are configured.
+     */
+    constructor({
+        urls = PUBLISHER_URLS,
+        stateFile = null,
+        cooldownMs = PUBLISHER_COOLDOWN_MS,
+        maxCooldownMs = MAX_PUBLISHER_COOLDOWN_MS,
+        windowSize = PUBLISHER_HEALTH_WINDOW,
+    } = {}) {
+        const uniqueUrls = [...new Set((urls || []).map(url => url.trim()).filter(Boolean))];
+        if (uniqueUrls.length === 0) {
+            throw new Error('No publisher URLs configured.');
+        }
+        this.stateFile = stateFile ? path.resolve(__dirname, '..', stateFile) : null;
+        this.cooldownMs = cooldownMs;
+        this.maxCooldownMs = maxCooldownMs;
+        this.windowSize = windowSize;
+        this.publishers = new Map(uniqueUrls.map(url => [url, newHealth(url)])); // url -> health
+        if (this.stateFile) {
+            this.load();
+        }
+    }
+
+    /**
+     * Picks the publisher for the next upload attempt.
+     * @param {Set<string>} [exclude=new Set()] - Publishers already tried for this blob; ignored once all were tried.
+     * @returns {string} Publisher URL.
+     */
+    next(exclude = new Set()) {
+        const now = Date.now();
+        let candidates = [...this.publishers.values()].filter(health => !exclude.has(health.url));
+        if (candidates.length === 0) {
+            candidates = [...this.publishers.values()];
+        }
+        const allowed = candidates.filter(health => health.retryAt <= now);
+        if (allowed.length === 0) {
+            // Every publisher asked us to wait: take the one whose window ends first; the caller waits for it
+            return candidates.reduce((a, b) => (a.retryAt <= b.retryAt ? a : b)).url;
+        }
+        const ready = allowed.filter(health => health.cooldownUntil <= now);
+        if (ready.length === 0) {
+            // Everything is cooling down: take the one that recovers first rather than stalling the upload
+            return allowed.reduce((a, b) => (a.cooldownUntil <= b.cooldownUntil ? a : b)).url;
+        }
+
+        const weights = ready.map(health => this.weight(health));
+        let roll = Math.random() * weights.reduce((sum, weight) => sum + weight, 0);
+        for (let i = 0; i < ready.length; i++) {
+            roll -= weights[i];
+            if (roll <= 0) return ready[i].url;
+        }
+        return ready[ready.length - 1].url;
+    }
+
+    /**
+     * Time left in the rate limit window a publisher asked for.
+     * @param {string} url - Publisher URL.
+     * @returns {{ms: number, reason: string|null}} `ms` is 0 when the publisher can be used now;
+     *   `reason` names the header the window came from, e.g. "Retry-After: 30".
+     */
+    waitTimeMs(url) {
+        const health = this.healthOf(url);
+        const ms = Math.max(0, health.retryAt - Date.now());
+        return { ms, reason: ms > 0 ? health.retryReason : null };
+    }
+
+    /**
+     * Records a successful upload (and verification, if enabled) and ends any cooldown.
+     * @param {string} url - Publisher URL.
+     * @param {number} latencyMs - Time until the publisher answered.
+     */
+    recordSuccess(url, latencyMs) {
+        const health = this.healthOf(url);
+        health.successes++;
+        health.consecutiveFailures = 0;
+        health.cooldownUntil = 0;
+        health.latencyMs = health.latencyMs === null ? latencyMs : Math.round(health.latencyMs * 0.7 + latencyMs * 0.3);
+        this.remember(health, { ok: true, latencyMs });
+    }
+
+    /**
+     * Records a failed attempt. 429s, 5xx and failures without a status (network errors, timeouts,
+     * failed verification) start or extend a cooldown; other statuses only count against the success rate.
+     * @param {string} url - Publisher URL.
+     * @param {object} [failure={}]
+     * @param {number} [failure.status] - HTTP status, if the publisher answered.
+     * @param {number} [failure.latencyMs] - Time until the attempt failed.
+     * @param {string} [failure.reason] - Error message, kept for the status pane.
+     * @param {{ms: number, header: string, value: string}|null} [failure.rateLimit] - Wait the publisher asked for
+     *   (from rateLimitWait()); it isn't picked again before the wait has passed.
+     */
+    recordFailure(url, { status, latencyMs, reason, rateLimit = null } = {}) {
+        const health = this.healthOf(url);
+        health.failures++;
+        health.lastError = reason || (status ? `Status ${status}` : 'Unknown error');
+        if (rateLimit) {
+            health.retryAt = Math.max(health.retryAt, Date.now() + rateLimit.ms);
+            health.retryReason = `${rateLimit.header}: ${rateLimit.value}`;
+        }
+        if (!status || status === 429 || status >= 500) {
+            health.consecutiveFailures++;
+            const cooldown = Math.min(this.cooldownMs * 2 ** (health.consecutiveFailures - 1), this.maxCooldownMs);
+            health.cooldownUntil = Date.now() + cooldown;
+            logger.debug(`Publisher ${health.name} cooling down for ${Math.round(cooldown / 1000)}s after ${health.consecutiveFailures} failure(s) in a row.`);
+        }
+        this.remember(health, { ok: false, status: status || null, latencyMs: latencyMs ?? null });
+    }
+
+    /**
+     * Selection weight: recent success rate, scaled down by average latency.
+     * @param {object} health
+     * @returns {number}
+     */
+    weight(health) {
+        const successRate = health.recent.length > 0
+            ? health.recent.filter(outcome => outcome.ok).length / health.recent.length
+            : PRIOR_SUCCESS_RATE;
+        const latencyFactor = health.latencyMs === null ? 1 : LATENCY_SCALE_MS / (LATENCY_SCALE_MS + health.latencyMs);
+        return Math.max(successRate, 0.01) * latencyFactor; // A failing publisher keeps a small chance once its cooldown ends
+    }
+
+    /**
+     * Health of every publisher, best first.
+     * @returns {{url: string, name: string, successRate: number|null, latencyMs: number|null, attempts: number, throttled: number, cooldownSec: number, retryAfterSec: number, lastError: string|null}[]}
+     *   `successRate` and `throttled` (recent 429/5xx) cover the recent window; `attempts` is the total;
+     *   `retryAfterSec` is what is left of a rate limit window the publisher asked for.
+     */
+    summary() {
+        const now = Date.now();
+        return [...this.publishers.values()]
+            .map(health => ({
+                url: health.url,
+                name: health.name,
+                successRate: health.recent.length > 0 ? health.recent.filter(outcome => outcome.ok).length / health.recent.length : null,
+                latencyMs: health.latencyMs,
+                attempts: health.successes + health.failures,
+                throttled: health.recent.filter(outcome => outcome.status === 429 || outcome.status >= 500).length,
+                cooldownSec: Math.max(0, Math.ceil((health.cooldownUntil - now) / 1000)),
+                retryAfterSec: Math.max(0, Math.ceil((health.retryAt - now) / 1000)),
+                lastError: health.lastError,
+                weight: this.weight(health),
+            }))
+            .sort((a, b) => (a.retryAfterSec > 0) - (b.retryAfterSec > 0) || (a.cooldownSec > 0) - (b.cooldownSec > 0) || b.weight - a.weight)
+            .map(({ weight, ...entry }) => entry);
+    }
+
+    /**
+     * Logs the health of every publisher that was used.
+     */
+    logSummary() {
+        const used = this.summary().filter(entry => entry.attempts > 0);
+        if (used.length === 0) {
+            return;
+        }
+        logger.info('Publisher health:');
+        for (const entry of used) {
+            logger.info(`  ${formatHealth(entry)}`);
+        }
+    }
+
+    /**
+     * Emits the publisher health for the status pane.
+     */
+    publish() {
+        logger.updateStatus({ publishers: this.summary() });
+    }
+
+    healthOf(url) {
+        if (!this.publishers.has(url)) {
+            this.publishers.set(url, newHealth(url));
+        }
+        return this.publishers.get(url);
+    }
+
+    remember(health, outcome) {
+        health.recent.push({ ...outcome, at: Date.now() });
+        if (health.recent.length > this.windowSize) {
+            health.recent.splice(0, health.recent.length - this.windowSize);
+        }
+        this.save();
+        this.publish();
+    }
+
+    /**
+     * Restores health saved by a previous run. Publishers no longer configured are ignored.
+     */
+    load() {
+        if (!fs.existsSync(this.stateFile)) {
+            return;
+        }
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+            let restored = 0;
+            for (const entry of saved.publishers || []) {
+                const health = this.publishers.get(entry.url);
+                if (!health) continue;
+                Object.assign(health, {
+                    successes: entry.successes || 0,
+                    failures: entry.failures || 0,
+                    consecutiveFailures: entry.consecutiveFailures || 0,
+                    cooldownUntil: entry.cooldownUntil || 0,
+                    retryAt: entry.retryAt || 0,
+                    retryReason: entry.retryReason || null,
+                    latencyMs: entry.latencyMs ?? null,
+                    lastError: entry.lastError || null,
+                    recent: (entry.recent || []).slice(-this.windowSize),
+                });
+                restored++;
+            }
+            logger.info(`Loaded health of ${restored} publisher(s) from ${this.stateFile}`);
+        } catch (error) {
+            // Stale or broken health data only costs a few slower picks; start fresh
+            logger.warn(`Ignoring publisher health file ${this.stateFile}: ${error.message}`);
+        }
+    }
+
+    save() {
+        if (!this.stateFile) {
+            return;
+        }
+        try {
+            fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+            const publishers = [...this.publishers.values()].map(({ name, ...health }) => health);
+            fs.writeFileSync(this.stateFile, `${JSON.stringify({ updatedAt: new Date().toISOString(), publishers }, null, 2)}\n`);
+        } catch (error) {
+            logger.error(`Failed to save publisher health to ${this.stateFile}`, error);
+        }
+    }
+}
+
+function newHealth(url) {
+    return {
+        url,
+        name: publisherName(url),
+        successes: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        cooldownUntil: 0, // Epoch milliseconds; kept across runs so a throttled publisher stays benched
+        retryAt: 0, // End of the rate limit window the publisher asked for (epoch milliseconds)
+        retryReason: null, // Header the window came from, e.g. "Retry-After: 30"
+        latencyMs: null, // Moving average of answered attempts
+        lastError: null,
+        recent: [], // Last `windowSize` outcomes: { ok, status?, latencyMs, at }
+    };
+}
+
+/**
+ * One line of health for logs and the status pane, e.g. "publisher1: 90% ok, 1.2s, 1 throttled, cooling 30s".
+ * @param {object} entry - Entry of PublisherPool#summary().
+ * @returns {string}
+ */
+function formatHealth(entry) {
+    const parts = [entry.successRate === null ? 'untried' : `${Math.round(entry.successRate * 100)}% ok`];
+    if (entry.latencyMs !== null) parts.push(`${(entry.latencyMs / 1000).toFixed(1)}s`);
+    if (entry.throttled > 0) parts.push(`${entry.throttled} throttled`);
+    if (entry.retryAfterSec > 0) parts.push(`rate-limited ${entry.retryAfterSec}s`);
+    else if (entry.cooldownSec > 0) parts.push(`cooling ${entry.cooldownSec}s`);
+    return `${entry.name}: ${parts.join(', ')}`;
+}
+
+/**
+ * Short display name: host plus the path segment before `/v1`, e.g. "seal-example.vercel.app/publisher1".
+ * @param {string} url
+ * @returns {string}
+ */
+function publisherName(url) {
+    try {
+        const { host, pathname } = new URL(url);
+        const prefix = pathname.replace(/\/v1\/blobs\/?$/, '').replace(/\/+$/, '');
+        return `${host}${prefix}`;
+    } catch (error) {
+        return url;
+    }
+}
+
+module.exports = PublisherPool;
+module.exports.publisherName = publisherName;
+module.exports.formatHealth = formatHealth;
@@ -0,0 +1,78 @@
+// src/rate_limit.js
+/**
+ * @file Reads how long a server wants us to wait from its rate-limit headers: Retry-After, the
+ * IETF RateLimit / RateLimit-Reset fields and the common X-RateLimit-Reset variants.
+ */
+
+// A rate limit wait longer than this is not waited out: publisher uploads fail and faucet top-ups stop instead
+const MAX_RATE_LIMIT_WAIT_MS = 10 * 60 * 1000;
+
+// Reset values above this are absolute Unix times rather than delays (seconds; ~2001-09-09)
+const UNIX_TIME_THRESHOLD_S = 1e9;
+
+// Reset headers in order of preference (lower-case name -> display name); only X-RateLimit-Reset may be a Unix time
+const RESET_HEADERS = {
+    'ratelimit-reset': 'RateLimit-Reset',
+    'x-ratelimit-reset-after': 'X-RateLimit-Reset-After',
+    'x-ratelimit-reset': 'X-RateLimit-Reset',
+};
+
+/**
+ * Parses a Retry-After header (delay in seconds or an HTTP date).
+ * @param {object} [headers] - Response headers (axios lower-cases the names).
+ * @returns {number|null} Milliseconds to wait, or null if the header is missing or unreadable.
+ */
+function retryAfterMs(headers) {
+    const value = headers?.['retry-after'];
+    if (value === undefined || value === null || value === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Reads a reset value that is either a delay in seconds or a Unix time (seconds or milliseconds).
+ * @param {string|number} value
+ * @returns {number|null} Milliseconds to wait.
+ */
+function resetToMs(value) {
+    const number = Number(String(value).trim());
+    if (!Number.isFinite(number) || number < 0) return null;
+    if (number > UNIX_TIME_THRESHOLD_S * 1000) return Math.max(0, number - Date.now());
+    if (number > UNIX_TIME_THRESHOLD_S) return Math.max(0, number * 1000 - Date.now());
+    return number * 1000;
+}
+
+/**
+ * Finds the wait a rate-limited response asks for. Retry-After wins; otherwise the reset of the
+ * rate-limit window is used: `RateLimit` (`limit=10, remaining=0, reset=30` or `"policy";r=0;t=30`),
+ * `RateLimit-Reset`, `X-RateLimit-Reset-After` and `X-RateLimit-Reset`.
+ * @param {object} [headers] - Response headers (axios lower-cases the names).
+ * @returns {{ms: number, header: string, value: string}|null} The wait and the header it came from,
+ *   or null if the response names none.
+ */
+function rateLimitWait(headers) {
+    if (!headers) return null;
+    const retryAfter = retryAfterMs(headers);
+    if (retryAfter !== null) {
+        return { ms: retryAfter, header: 'Retry-After', value: String(headers['retry-after']) };
+    }
+
+    const structured = headers.ratelimit;
+    if (structured) {
+        const reset = String(structured).match(/(?:\breset=|;\s*t=)(\d+(?:\.\d+)?)/i);
+        if (reset) return { ms: Number(reset[1]) * 1000, header: 'RateLimit', value: String(structured) };
+    }
+    for (const [name, header] of Object.entries(RESET_HEADERS)) {
+        const value = headers[name];
+        if (value === undefined || value === null || value === '') continue;
+        const ms = name === 'x-ratelimit-reset' ? resetToMs(value) : Math.max(0, Number(value) * 1000);
+        if (ms !== null && Number.isFinite(ms)) {
+            return { ms, header, value: String(value) };
+        }
+    }
+    return null;
+}
+
+module.exports = { retryAfterMs, rateLimitWait, MAX_RATE_LIMIT_WAIT_MS };
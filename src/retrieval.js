@@ -0,0 +1,108 @@
+// src/retrieval.js
+/**
+ * @file Reads published content back and decrypts it the way a member or subscriber would:
+ * the blob is fetched from the aggregator, the wallet signs a session key, and the key servers
+ * named in the encrypted object release their shares after dry-running the `seal_approve` call
+ * built for the wallet. Used as an end-to-end check that published content is readable.
+ */
+
+const crypto = require('crypto');
+const { SealClient, SessionKey, EncryptedObject } = require('@mysten/seal');
+const { SuiClient } = require('@mysten/sui/client'); // The SDK the SEAL client is built on, like in encryption.js
+const { normalizeSuiObjectId } = require('@mysten/sui/utils');
+const logger = require('./bot_logger');
+const { readBlob } = require('./aggregator');
+const { AGGREGATOR_URL, SESSION_KEY_TTL_MIN, SUI_RPC_URL } = require('./config');
+
+class ContentRetriever {
+    /**
+     * @param {object} [options={}]
+     * @param {string} [options.aggregatorUrl=AGGREGATOR_URL] - Aggregator to read blobs from.
+     * @param {object} [options.sealClient] - Client to decrypt with, e.g. one with stubbed key servers;
+     *   by default one is created for the key servers named in each encrypted object.
+     */
+    constructor({ aggregatorUrl = AGGREGATOR_URL, sealClient = null } = {}) {
+        this.aggregatorUrl = aggregatorUrl;
+        this.sealClient = sealClient;
+        this.suiClient = new SuiClient({ url: SUI_RPC_URL });
+        this.sessionKeys = new Map(); // `${address}:${packageId}` -> SessionKey, reused until it expires
+    }
+
+    /**
+     * Downloads a blob and decrypts it if it is a SEAL encrypted object.
+     * @param {import('./sui_actions')} suiActions - Wallet that requests the keys (a member or subscriber).
+     * @param {'allowlist'|'subscription'} target - Kind of object the content was published to.
+     * @param {string} objectId - Allowlist or service object ID.
+     * @param {string} blobId - Walrus blob ID.
+     * @returns {Promise<{data: Buffer, encrypted: boolean, sha256: string, id: string|null}>}
+     *   Plaintext, whether it was encrypted, its SHA-256 and the SEAL identity.
+     * @throws {Error} If the blob can't be read, was encrypted for another object, or the key servers refuse.
+     */
+    async retrieve(suiActions, target, objectId, blobId) {
+        logger.wait(`Reading blob ${blobId.substring(0,10)}... from ${this.aggregatorUrl}`);
+        const raw = await readBlob(blobId, { aggregatorUrl: this.aggregatorUrl });
+
+        const header = parseEncryptedObject(raw);
+        if (!header) {
+            logger.warn(`Blob ${blobId.substring(0,10)}... is not a SEAL encrypted object; returning it as stored.`);
+            return { data: raw, encrypted: false, sha256: sha256(raw), id: null };
+        }
+        if (!header.id.startsWith(normalizeSuiObjectId(objectId).slice(2))) {
+            throw new Error(`Blob ${blobId} was encrypted for another object (identity ${header.id.substring(0,16)}...), not ${objectId}.`);
+        }
+
+        const txBytes = await suiActions.buildSealApproveTransaction(target, objectId, header.id);
+        const sessionKey = await this.getSessionKey(suiActions, header.packageId);
+        const sealClient = this.sealClient || new SealClient({
+            suiClient: this.suiClient,
+            serverConfigs: [...new Set(header.services.map(([id]) => id))].map(id => ({ objectId: id, weight: 1 })),
+            verifyKeyServers: false,
+        });
+
+        logger.wait(`Requesting key shares (${header.threshold}-of-${header.services.length}) for ${blobId.substring(0,10)}...`);
+        const data = Buffer.from(await sealClient.decrypt({ data: new Uint8Array(raw), sessionKey, txBytes }));
+        return { data, encrypted: true, sha256: sha256(data), id: header.id };
+    }
+
+    /**
+     * A session key for the wallet and package, signed with the wallet's key.
+     * @returns {Promise<SessionKey>}
+     */
+    async getSessionKey(suiActions, packageId) {
+        const cacheKey = `${suiActions.getAddress()}:${packageId}`;
+        const cached = this.sessionKeys.get(cacheKey);
+        if (cached && !cached.isExpired()) {
+            return cached;
+        }
+        const sessionKey = await SessionKey.create({
+            address: suiActions.getAddress(),
+            packageId,
+            ttlMin: SESSION_KEY_TTL_MIN,
+            suiClient: this.suiClient,
+        });
+        const { signature } = await suiActions.keypair.signPersonalMessage(sessionKey.getPersonalMessage());
+        await sessionKey.setPersonalMessageSignature(signature);
+        this.sessionKeys.set(cacheKey, sessionKey);
+        return sessionKey;
+    }
+}
+
+/**
+ * Reads the header of a SEAL encrypted object.
+ * @param {Buffer} data - Blob content.
+ * @returns {object|null} The parsed object, or null if the content isn't one.
+ */
+function parseEncryptedObject(data) {
+    try {
+        const header = EncryptedObject.parse(new Uint8Array(data));
+        return header.version === 0 && header.services.length > 0 ? header : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+module.exports = ContentRetriever;
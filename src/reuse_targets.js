@@ -0,0 +1,82 @@
+// src/reuse_targets.js
+/**
+ * @file Loads the reuse file that pins existing allowlists/services (and their entry caps) to wallets.
+ *
+ * Keys are 1-based wallet indexes or wallet addresses:
+ *   {
+ *     "1": { "allowlist": { "objectId": "0x...", "capId": "0x..." } },
+ *     "0xabc...": { "subscription": { "objectId": "0x...", "capId": "0x..." } }
+ *   }
+ * Wallets without an entry find their caps on chain instead.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeSuiAddress } = require('@mysten/sui.js/utils');
+
+const TARGET_KINDS = ['allowlist', 'subscription'];
+
+/**
+ * Reads and validates a reuse file.
+ * @param {string} filePath - JSON file.
+ * @returns {Map<string, {allowlist?: {objectId: string, capId: string}, subscription?: {objectId: string, capId: string}}>}
+ *   Targets keyed by wallet index (as a string) or normalized address.
+ */
+function loadReuseTargets(filePath) {
+    const absolutePath = path.resolve(filePath);
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(absolutePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read reuse file ${absolutePath}: ${error.message}`);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error(`Reuse file ${absolutePath} must contain an object keyed by wallet index or address.`);
+    }
+
+    const targets = new Map();
+    const errors = [];
+    for (const [key, entry] of Object.entries(data)) {
+        const walletKey = parseWalletKey(key);
+        if (!walletKey) {
+            errors.push(`"${key}": expected a 1-based wallet index or an address`);
+            continue;
+        }
+        for (const [kind, target] of Object.entries(entry || {})) {
+            if (!TARGET_KINDS.includes(kind)) {
+                errors.push(`"${key}.${kind}": unknown kind (expected ${TARGET_KINDS.join(' or ')})`);
+            } else if (typeof target?.objectId !== 'string' || typeof target?.capId !== 'string') {
+                errors.push(`"${key}.${kind}": expected { "objectId": "0x...", "capId": "0x..." }`);
+            }
+        }
+        targets.set(walletKey, entry);
+    }
+    if (errors.length > 0) {
+        throw new Error(`Invalid reuse file ${absolutePath}:\n  ${errors.join('\n  ')}`);
+    }
+    return targets;
+}
+
+/**
+ * Normalizes a wallet key of a per-wallet file.
+ * @param {string} key - 1-based wallet index or wallet address.
+ * @returns {string|null} Index as a string, normalized address, or null if the key is neither.
+ */
+function parseWalletKey(key) {
+    if (/^\d+$/.test(key)) return String(parseInt(key, 10));
+    return key.startsWith('0x') ? normalizeSuiAddress(key) : null;
+}
+
+/**
+ * Targets pinned to one wallet; an address entry wins over an index entry.
+ * @param {Map<string, object>|null} targets - From loadReuseTargets().
+ * @param {number} walletIndex - 1-based wallet index.
+ * @param {string} address - Wallet address.
+ * @returns {object} `{ allowlist?, subscription? }` (empty when nothing is pinned).
+ */
+function targetsForWallet(targets, walletIndex, address) {
+    if (!targets) return {};
+    return { ...targets.get(String(walletIndex)), ...targets.get(normalizeSuiAddress(address)) };
+}
+
+module.exports = { loadReuseTargets, targetsForWallet, parseWalletKey };
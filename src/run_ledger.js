@@ -0,0 +1,120 @@
+// src/run_ledger.js
+/**
+ * @file Persistent run ledger (JSON lines) of the objects and blobs the bot creates.
+ * Every record carries the run ID, the wallet address and a timestamp, so objects made in
+ * past runs can be found and reused.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./bot_logger');
+const { LEDGER_FILE_PATH } = require('./config');
+
+// Record types: objects/blobs/transactions written by SuiActions, run metadata and step checkpoints written by the app, and faucet top-ups
+const RECORD_TYPES = ['allowlist', 'allowlist_member', 'allowlist_removal', 'service', 'subscription', 'blob', 'publish', 'transaction', 'run', 'checkpoint', 'faucet'];
+
+class RunLedger {
+    /**
+     * @param {object} [options={}]
+     * @param {string} [options.filePath=LEDGER_FILE_PATH] - Ledger file, relative to the project root.
+     * @param {string} [options.runId] - ID of the current run; generated if omitted.
+     * @param {boolean} [options.persist=true] - When false, records are built but not written (dry runs).
+     */
+    constructor({ filePath = LEDGER_FILE_PATH, runId = RunLedger.generateRunId(), persist = true } = {}) {
+        this.filePath = path.resolve(__dirname, '..', filePath);
+        this.runId = runId;
+        this.persist = persist;
+    }
+
+    /**
+     * Generates a sortable run ID, e.g. "20250101T120000Z-3f9a".
+     * @returns {string}
+     */
+    static generateRunId() {
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+        return `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+    }
+
+    /**
+     * Appends a record. Writes are synchronous so a crash right after a transaction
+     * doesn't lose the object IDs it created.
+     * @param {string} type - One of RECORD_TYPES.
+     * @param {string} wallet - Address of the wallet that created the object.
+     * @param {object} data - Type-specific fields (object IDs, blob ID, digest, ...).
+     * @returns {object} The written record.
+     */
+    record(type, wallet, data = {}) {
+        const entry = { runId: this.runId, timestamp: new Date().toISOString(), wallet, type, ...data };
+        if (!this.persist) {
+            return entry;
+        }
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`);
+        } catch (error) {
+            // The on-chain action already happened; losing the ledger line must not fail the task
+            logger.error(`Failed to write ledger record (${type}) to ${this.filePath}`, error);
+        }
+        return entry;
+    }
+
+    /**
+     * Reads ledger records, optionally filtered.
+     * @param {object} [filters={}]
+     * @param {string} [filters.wallet] - Wallet address (exact, case-insensitive).
+     * @param {string} [filters.runId] - Run ID.
+     * @param {string} [filters.type] - Record type.
+     * @param {Date} [filters.since] - Only records at or after this time.
+     * @returns {object[]} Matching records, oldest first.
+     */
+    read(filters = {}) {
+        if (!fs.existsSync(this.filePath)) {
+            return [];
+        }
+
+        const records = [];
+        const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+        lines.forEach((line, i) => {
+            if (!line.trim()) return;
+            try {
+                records.push(JSON.parse(line));
+            } catch (error) {
+                // A crash mid-write can leave a partial last line; skip it rather than failing the query
+                logger.warn(`Skipping unreadable ledger line ${i + 1} in ${this.filePath}`);
+            }
+        });
+
+        return records.filter(record =>
+            (!filters.wallet || record.wallet?.toLowerCase() === filters.wallet.toLowerCase()) &&
+            (!filters.runId || record.runId === filters.runId) &&
+            (!filters.type || record.type === filters.type) &&
+            (!filters.since || new Date(record.timestamp) >= filters.since));
+    }
+
+    /**
+     * Serializes records for export.
+     * @param {object[]} records - Records from read().
+     * @param {'jsonl'|'json'|'csv'} format - Output format.
+     * @returns {string} The serialized records.
+     */
+    static format(records, format) {
+        if (format === 'json') {
+            return `${JSON.stringify(records, null, 2)}\n`;
+        }
+        if (format === 'csv') {
+            const columns = [...new Set(records.flatMap(record => Object.keys(record)))];
+            const escape = (value) => {
+                if (value === undefined || value === null) return '';
+                const str = typeof value === 'object' ? JSON.stringify(value) : String(value);
+                return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+            };
+            const rows = records.map(record => columns.map(column => escape(record[column])).join(','));
+            return `${[columns.join(','), ...rows].join('\n')}\n`;
+        }
+        return records.map(record => JSON.stringify(record)).join('\n') + (records.length > 0 ? '\n' : '');
+    }
+}
+
+module.exports = RunLedger;
+module.exports.RECORD_TYPES = RECORD_TYPES;
@@ -1,32 +1,53 @@
 // src/sui_actions.js
 /**
  * @file Core logic for interacting with Sui blockchain and SEAL protocol.
- * v2: Updated generateRandomName for more descriptive names.
- * v3: Implemented exponential backoff for blob uploads.
  */
 
 const { Ed25519Keypair } = require('@mysten/sui.js/keypairs/ed25519');
 const { getFullnodeUrl, SuiClient } = require('@mysten/sui.js/client');
 const { TransactionBlock } = require('@mysten/sui.js/transactions');
 const { decodeSuiPrivateKey } = require('@mysten/sui.js/cryptography');
+const { normalizeSuiObjectId, SUI_CLOCK_OBJECT_ID, fromHEX } = require('@mysten/sui.js/utils');
 const axios = require('axios');
+const crypto = require('crypto');
 const fs = require('fs').promises; // Use promises for async file reading
+const { createReadStream } = require('fs');
 const path = require('path');
 const logger = require('./bot_logger');
+const { runStep } = require('./checkpoint');
+const { gasFromEffects, formatSui } = require('./gas_tracker');
+const { parseSuiAddress } = require('./allowlist_members');
+const SealInspector = require('./inspector');
+const PublisherPool = require('./publisher_pool');
+const { rateLimitWait, MAX_RATE_LIMIT_WAIT_MS } = require('./rate_limit');
+const { storageEpochs } = require('./blob_verification');
+const { isUrl, resolveLocalPath, listFolderFiles, hashFile, transferTimeoutMs, formatBytes } = require('./content_files');
+const { resolveServiceTerms, formatDuration } = require('./terms');
 const {
     SUI_RPC_URL,
     SEAL_PACKAGE_ID,
     DEFAULT_GAS_BUDGET,
-    PUBLISHER_URLS,
+    GAS_BUDGET_MULTIPLIER,
+    MAX_GAS_BUDGET,
+    MAX_BATCH_CALLS,
     DEFAULT_BLOB_EPOCHS,
     MAX_BLOB_UPLOAD_RETRIES,
     BLOB_UPLOAD_RETRY_DELAY_MS, // Now used as INITIAL delay
     MAX_BACKOFF_DELAY_MS, // Added recommended max delay
     DEFAULT_IMAGE_URL,
     LOCAL_IMAGE_PATH,
+    SERVICE_FEE,
+    SERVICE_TTL,
+    ENCRYPTED_UPLOAD_MAX_BYTES,
     // TASK_REPEAT_DELAY_MS is used in app.js
 } = require('./config'); // Ensure MAX_BACKOFF_DELAY_MS is added to config.js
 
+// Blob uploads in progress across all wallets, shown in the status pane: upload number -> { label, publisher, sent, total }
+const activeUploads = new Map();
+let uploadCount = 0;
+// Least time between two progress updates of one upload (milliseconds)
+const PROGRESS_INTERVAL_MS = 1000;
+
 // --- Word lists for random names ---
 const ADJECTIVES = ['Quick', 'Lazy', 'Sleepy', 'Shiny', 'Brave', 'Clever', 'Happy', 'Silent', 'Witty', 'Gentle', 'Ancient', 'Mystic', 'Golden', 'Iron', 'Cosmic'];
 const NOUNS = ['Fox', 'Dog', 'Cat', 'Tiger', 'Lion', 'Panda', 'Robot', 'Dragon', 'Wizard', 'Golem', 'Sphinx', 'Phoenix', 'Star', 'Moon', 'Planet'];
@@ -35,9 +56,61 @@ const PROJECT_WORDS = ['Entry', 'Item', 'Project', 'Service', 'List', 'Task', 'B
 
 
 class SuiActions {
-    constructor(walletInput, proxyManager = null) {
+    /**
+     * @param {string} walletInput - Mnemonic phrase or private key (suiprivkey, hex, base64).
+     * @param {import('./proxy_manager')|null} [proxyManager=null] - Proxy rotation for HTTP requests.
+     * @param {import('./run_ledger')|null} [ledger=null] - Run ledger that records created objects and blobs.
+     * @param {object} [options={}]
+     * @param {boolean} [options.dryRun=false] - Simulate transactions instead of submitting them and stub blob uploads.
+     * @param {import('./gas_tracker')|null} [options.gasTracker=null] - Collects gas used per wallet and action type.
+     * @param {number} [options.gasMultiplier=GAS_BUDGET_MULTIPLIER] - Safety multiplier applied to the estimated gas.
+     * @param {number} [options.maxGasBudget=MAX_GAS_BUDGET] - Hard cap for any gas budget, in MIST.
+     * @param {boolean} [options.batch=false] - Send allowlist adds and publish as programmable transaction batches.
+     * @param {number} [options.maxBatchCalls=MAX_BATCH_CALLS] - Most Move calls per batched transaction block.
+     * @param {boolean} [options.reuse=false] - Workflows reuse an existing allowlist/service (see findOrCreateAllowlist()).
+     * @param {object} [options.reuseTargets={}] - Pinned `{ allowlist?, subscription? }` targets, each `{ objectId, capId }`.
+     * @param {import('./encryption')|null} [options.encryptor=null] - Encrypts workflow uploads for their allowlist/service.
+     * @param {import('./retrieval')|null} [options.retriever=null] - Reads back and decrypts each allowlist workflow's blob after publishing.
+     * @param {import('./blob_verification')|null} [options.verifier=null] - Verifies every upload before it is accepted.
+     * @param {import('./publisher_pool')|null} [options.publisherPool=null] - Picks publishers and tracks their health;
+     *   share one between instances so health carries across wallets. Created on first upload if omitted.
+     * @param {import('./blob_cache')|null} [options.blobCache=null] - Reuses blobs of content uploaded before (unencrypted uploads only).
+     */
+    constructor(walletInput, proxyManager = null, ledger = null, {
+        dryRun = false,
+        gasTracker = null,
+        gasMultiplier = GAS_BUDGET_MULTIPLIER,
+        maxGasBudget = MAX_GAS_BUDGET,
+        batch = false,
+        maxBatchCalls = MAX_BATCH_CALLS,
+        reuse = false,
+        reuseTargets = {},
+        encryptor = null,
+        retriever = null,
+        verifier = null,
+        publisherPool = null,
+        blobCache = null,
+    } = {}) {
         this.client = new SuiClient({ url: SUI_RPC_URL });
         this.proxyManager = proxyManager; // ProxyManager instance
+        this.ledger = ledger; // RunLedger instance (optional)
+        this.dryRun = dryRun;
+        this.gasTracker = gasTracker;
+        this.gasMultiplier = gasMultiplier;
+        this.maxGasBudget = BigInt(maxGasBudget);
+        this.batch = batch;
+        this.maxBatchCalls = maxBatchCalls;
+        this.reuse = reuse;
+        this.reuseTargets = reuseTargets;
+        this.reusedTargets = {}; // kind -> { objectId, capId } found or created by this instance
+        this.encryptor = encryptor; // ContentEncryptor; workflows encrypt uploads for their allowlist/service when set
+        this.retriever = retriever;
+        this.verifier = verifier;
+        this.publisherPool = publisherPool;
+        this.blobCache = blobCache;
+        this.uploadedBlobs = new Map(); // blobId -> encryption metadata of blobs uploaded by this instance
+        this.simulatedObjectIds = new Set(); // Objects "created" by dry runs; they don't exist on chain
+        this.dryRunBlobCount = 0;
         this.keypair = this.initializeKeypair(walletInput);
         this.address = this.keypair.getPublicKey().toSuiAddress();
 
@@ -85,6 +158,17 @@ class SuiActions {
         return this.address;
     }
 
+    /**
+     * Writes a record for this wallet to the run ledger, if one is attached.
+     * @param {string} type - Ledger record type (see RunLedger.RECORD_TYPES).
+     * @param {object} data - Record fields.
+     */
+    recordToLedger(type, data) {
+        if (this.ledger && !this.dryRun) { // Dry-run objects don't exist, so they never go in the ledger
+            this.ledger.record(type, this.address, data);
+        }
+    }
+
     /**
      * Generates a descriptive random name using word lists.
      * @param {string} [type='entry'] - Optional type hint ('allowlist', 'service', 'entry').
@@ -114,12 +198,17 @@ class SuiActions {
      * Executes a Sui transaction block.
      * @param {TransactionBlock} txb - The transaction block to execute.
      * @param {string} actionName - Name of the action for logging purposes.
+     * @param {string} actionType - Stable action key for gas accounting, e.g. 'create_allowlist'.
      * @returns {Promise<import('@mysten/sui.js/client').SuiTransactionBlockResponse>} The transaction response.
      * @throws {Error} If the transaction fails.
      */
-    async executeTransaction(txb, actionName) {
+    async executeTransaction(txb, actionName, actionType) {
+        if (this.dryRun) {
+            return this.simulateTransaction(txb, actionName, actionType);
+        }
+
         logger.info(`Executing transaction: ${actionName}`);
-        txb.setGasBudget(DEFAULT_GAS_BUDGET);
+        txb.setGasBudget(await this.estimateGasBudget(txb, actionName));
 
         try {
             const result = await this.client.signAndExecuteTransactionBlock({
@@ -133,7 +222,13 @@ class SuiActions {
                  throw new Error(`Transaction failed: ${result.effects?.status?.error || 'Unknown error'}`);
             }
 
-            logger.success(`Transaction successful: ${actionName} | Digest: ${result.digest.substring(0, 10)}...`); // Shorten digest in log
+            const gasMist = gasFromEffects(result.effects);
+            if (gasMist !== null) {
+                this.gasTracker?.record(this.address, actionType, gasMist);
+                this.recordToLedger('transaction', { action: actionType, digest: result.digest, gasMist: gasMist.toString() });
+            }
+
+            logger.success(`Transaction successful: ${actionName} | Digest: ${result.digest.substring(0, 10)}... | Gas: ${gasMist !== null ? formatSui(gasMist) : '?'} SUI`); // Shorten digest in log
             return result;
         } catch (error) {
             logger.error(`Transaction failed: ${actionName}`, error);
@@ -141,6 +236,89 @@ class SuiActions {
         }
     }
 
+    /**
+     * Estimates the gas budget for a transaction by dry-running it with the maximum budget:
+     * (computation + storage) * multiplier, capped at the maximum. Falls back to DEFAULT_GAS_BUDGET
+     * when the estimate can't be obtained (e.g. RPC error).
+     * @param {TransactionBlock} txb - The transaction block; its sender is set to this wallet.
+     * @param {string} actionName - Name of the action for logging purposes.
+     * @returns {Promise<bigint>} Gas budget in MIST.
+     * @throws {Error} If the dry run shows the transaction would fail, so no gas is spent on it.
+     */
+    async estimateGasBudget(txb, actionName) {
+        txb.setSender(this.address);
+        txb.setGasBudget(this.maxGasBudget); // Upper bound while estimating
+
+        let dryRunResult;
+        try {
+            const transactionBytes = await txb.build({ client: this.client });
+            dryRunResult = await this.client.dryRunTransactionBlock({ transactionBlock: transactionBytes });
+        } catch (error) {
+            logger.warn(`Gas estimation failed for ${actionName} (${error.message}); using default budget ${formatSui(BigInt(DEFAULT_GAS_BUDGET))} SUI.`);
+            return BigInt(DEFAULT_GAS_BUDGET);
+        }
+
+        if (dryRunResult.effects?.status?.status !== 'success') {
+            throw new Error(`Transaction would fail (dry run): ${dryRunResult.effects?.status?.error || 'Unknown error'}`);
+        }
+
+        const { computationCost, storageCost } = dryRunResult.effects.gasUsed;
+        const estimate = BigInt(computationCost) + BigInt(storageCost);
+        let budget = BigInt(Math.ceil(Number(estimate) * this.gasMultiplier));
+        if (budget > this.maxGasBudget) {
+            logger.warn(`Estimated budget ${formatSui(budget)} SUI for ${actionName} exceeds the cap; using ${formatSui(this.maxGasBudget)} SUI.`);
+            budget = this.maxGasBudget;
+        }
+        logger.debug(`Gas budget for ${actionName}: ${formatSui(budget)} SUI (estimate ${formatSui(estimate)} x ${this.gasMultiplier})`);
+        return budget;
+    }
+
+    /**
+     * Simulates a transaction block with dryRunTransactionBlock and reports estimated gas and any Move abort.
+     * Transactions that use objects created by an earlier dry run can't be simulated (those objects
+     * don't exist on chain) and are skipped with a warning.
+     * @param {TransactionBlock} txb - The transaction block to simulate.
+     * @param {string} actionName - Name of the action for logging purposes.
+     * @param {string} actionType - Stable action key for gas accounting.
+     * @returns {Promise<object>} The dry-run response, shaped like an execution response (`digest` is 'dry-run').
+     * @throws {Error} If the simulation reports a failure (e.g. a Move abort).
+     */
+    async simulateTransaction(txb, actionName, actionType) {
+        const usesSimulatedObjects = txb.blockData.inputs.some(input => input.type === 'object' && this.simulatedObjectIds.has(input.value));
+        if (usesSimulatedObjects) {
+            logger.warn(`[Dry run] Skipping simulation of ${actionName}: it uses objects that only exist in this dry run.`);
+            return { digest: 'dry-run', dryRun: true, simulated: false, effects: { status: { status: 'success' } }, objectChanges: [] };
+        }
+
+        logger.info(`[Dry run] Simulating transaction: ${actionName}`);
+        txb.setSender(this.address);
+        txb.setGasBudget(this.maxGasBudget);
+
+        try {
+            const transactionBytes = await txb.build({ client: this.client });
+            const result = await this.client.dryRunTransactionBlock({ transactionBlock: transactionBytes });
+
+            const gasMist = gasFromEffects(result.effects);
+            const gasText = gasMist !== null ? `${formatSui(gasMist)} SUI (${gasMist} MIST)` : 'unknown';
+
+            if (result.effects?.status?.status !== 'success') {
+                throw new Error(`Simulation failed: ${result.effects?.status?.error || 'Unknown error'}`);
+            }
+
+            if (gasMist !== null) {
+                this.gasTracker?.record(this.address, actionType, gasMist);
+            }
+            for (const change of result.objectChanges || []) {
+                if (change.type === 'created') this.simulatedObjectIds.add(normalizeSuiObjectId(change.objectId));
+            }
+            logger.success(`[Dry run] ${actionName} would succeed | Estimated gas: ${gasText}`);
+            return { ...result, digest: 'dry-run', dryRun: true, simulated: true, gasMist };
+        } catch (error) {
+            logger.error(`[Dry run] ${actionName} would fail`, error);
+            throw error;
+        }
+    }
+
     // --- SEAL Protocol Actions ---
 
     /**
@@ -157,7 +335,7 @@ class SuiActions {
             arguments: [txb.pure(name)],
         });
 
-        const result = await this.executeTransaction(txb, `Create Allowlist Entry (${name})`);
+        const result = await this.executeTransaction(txb, `Create Allowlist Entry (${name})`, 'create_allowlist');
 
         const createdObjects = result.objectChanges?.filter(obj => obj.type === 'created');
         const entryObject = createdObjects?.find(obj => obj.owner?.AddressOwner === this.address);
@@ -169,6 +347,7 @@ class SuiActions {
         }
 
         const ids = { allowlistId: allowlistObject.objectId, entryObjectId: entryObject.objectId };
+        this.recordToLedger('allowlist', { name, ...ids, digest: result.digest });
         logger.success(`Allowlist entry created: Name=${name}, AllowlistID=${ids.allowlistId.substring(0,10)}..., EntryID=${ids.entryObjectId.substring(0,10)}...`); // Shorten IDs
         return ids;
     }
@@ -193,32 +372,153 @@ class SuiActions {
             ],
         });
 
-        await this.executeTransaction(txb, `Add Address to Allowlist (${shortAddr}...)`);
+        const result = await this.executeTransaction(txb, `Add Address to Allowlist (${shortAddr}...)`, 'add_to_allowlist');
+        this.recordToLedger('allowlist_member', { allowlistId, entryObjectId, member: addressToAdd, digest: result.digest });
         logger.success(`Successfully added ${shortAddr}... to allowlist.`);
         return true;
     }
 
+    /**
+     * Removes an address from an existing allowlist, revoking its access.
+     * @param {string} allowlistId - The shared allowlist object ID.
+     * @param {string} entryObjectId - The user's entry object ID (capability).
+     * @param {string} addressToRemove - The Sui address to remove from the list.
+     * @returns {Promise<boolean>} True if successful.
+     */
+    async removeAddressFromAllowlist(allowlistId, entryObjectId, addressToRemove) {
+        const shortAddr = addressToRemove.substring(0,6);
+        logger.info(`Removing address ${shortAddr}... from allowlist ${allowlistId.substring(0,6)}...`);
+        const txb = new TransactionBlock();
+        txb.moveCall({
+            target: `${SEAL_PACKAGE_ID}::allowlist::remove`,
+            arguments: [
+                txb.object(allowlistId),
+                txb.object(entryObjectId),
+                txb.pure(addressToRemove),
+            ],
+        });
+
+        const result = await this.executeTransaction(txb, `Remove Address from Allowlist (${shortAddr}...)`, 'remove_from_allowlist');
+        this.recordToLedger('allowlist_removal', { allowlistId, entryObjectId, member: addressToRemove, digest: result.digest });
+        logger.success(`Successfully removed ${shortAddr}... from allowlist.`);
+        return true;
+    }
+
+    /**
+     * Reads the current members of an allowlist from chain.
+     * @param {string} allowlistId - The shared allowlist object ID.
+     * @returns {Promise<string[]>} Normalized member addresses.
+     * @throws {Error} If the object doesn't exist or isn't a SEAL allowlist.
+     */
+    async getAllowlistMembers(allowlistId) {
+        return (await new SealInspector(this.client).getAllowlist(allowlistId)).members;
+    }
+
+    /**
+     * Splits allowlist removes, adds and an optional publish into batches for executeAllowlistBatch().
+     * Removes go first, so access is revoked before anything else changes; the publishes go last,
+     * so they run after every add they may depend on.
+     * @param {string[]} addresses - Addresses to add.
+     * @param {string|string[]|null} [blobIds=null] - Blob(s) to publish after the adds.
+     * @param {string[]} [removals=[]] - Addresses to remove.
+     * @returns {{add?: string, remove?: string, publish?: string}[][]} Calls grouped into batches of at most maxBatchCalls.
+     */
+    planAllowlistBatches(addresses, blobIds = null, removals = []) {
+        const calls = [...removals.map(address => ({ remove: address })), ...addresses.map(address => ({ add: address }))];
+        for (const blobId of [].concat(blobIds || [])) calls.push({ publish: blobId });
+        const batches = [];
+        for (let i = 0; i < calls.length; i += this.maxBatchCalls) {
+            batches.push(calls.slice(i, i + this.maxBatchCalls));
+        }
+        return batches;
+    }
+
+    /**
+     * Sends several allowlist removes, adds and/or publishes as one programmable transaction block, so they
+     * succeed or fail together. The allowlist itself can't be created in the same block:
+     * create_allowlist shares it, and a shared object can't be used again by the transaction that shares it.
+     * @param {string} allowlistId - The shared allowlist object ID.
+     * @param {string} entryObjectId - The user's entry object ID (capability).
+     * @param {{add?: string, remove?: string, publish?: string}[]} calls - One batch from planAllowlistBatches().
+     * @param {string} [label='Allowlist Batch'] - Name for logs.
+     * @returns {Promise<{digest: string, added: string[], removed: string[], published: string[]}>}
+     */
+    async executeAllowlistBatch(allowlistId, entryObjectId, calls, label = 'Allowlist Batch') {
+        const txb = new TransactionBlock();
+        const allowlist = txb.object(allowlistId);
+        const cap = txb.object(entryObjectId);
+        const added = [];
+        const removed = [];
+        const published = [];
+        for (const call of calls) {
+            if (call.add) {
+                txb.moveCall({ target: `${SEAL_PACKAGE_ID}::allowlist::add`, arguments: [allowlist, cap, txb.pure(call.add)] });
+                added.push(call.add);
+            } else if (call.remove) {
+                txb.moveCall({ target: `${SEAL_PACKAGE_ID}::allowlist::remove`, arguments: [allowlist, cap, txb.pure(call.remove)] });
+                removed.push(call.remove);
+            } else {
+                txb.moveCall({ target: `${SEAL_PACKAGE_ID}::allowlist::publish`, arguments: [allowlist, cap, txb.pure(call.publish)] });
+                published.push(call.publish);
+            }
+        }
+
+        const publishSummary = published.length === 1 ? ` + publish ${published[0].substring(0,6)}...` : published.length > 1 ? ` + ${published.length} publishes` : '';
+        logger.info(`${label}: ${removed.length ? `${removed.length} remove(s), ` : ''}${added.length} add(s)${publishSummary} in one transaction`);
+        const result = await this.executeTransaction(txb, `${label} (${calls.length} calls)`, 'allowlist_batch');
+        for (const member of added) {
+            this.recordToLedger('allowlist_member', { allowlistId, entryObjectId, member, digest: result.digest, batched: true });
+        }
+        for (const member of removed) {
+            this.recordToLedger('allowlist_removal', { allowlistId, entryObjectId, member, digest: result.digest, batched: true });
+        }
+        for (const blobId of published) {
+            this.recordToLedger('publish', { target: 'allowlist', objectId: allowlistId, capId: entryObjectId, blobId, digest: result.digest, batched: true });
+        }
+        logger.success(`${label} successful: ${removed.length ? `${removed.length} address(es) removed, ` : ''}${added.length} address(es) added${published.length ? `, ${published.length} blob(s) published` : ''}.`);
+        return { digest: result.digest, added, removed, published };
+    }
+
+    /**
+     * Adds addresses to an allowlist in as few transactions as possible (see executeAllowlistBatch()).
+     * @param {string} allowlistId - The shared allowlist object ID.
+     * @param {string} entryObjectId - The user's entry object ID (capability).
+     * @param {string[]} addresses - Addresses to add.
+     * @returns {Promise<string[]>} The added addresses.
+     */
+    async addAddressesToAllowlistBatched(allowlistId, entryObjectId, addresses) {
+        const batches = this.planAllowlistBatches(addresses);
+        const added = [];
+        for (let i = 0; i < batches.length; i++) {
+            const result = await this.executeAllowlistBatch(allowlistId, entryObjectId, batches[i], `Allowlist Batch ${i + 1}/${batches.length}`);
+            added.push(...result.added);
+        }
+        return added;
+    }
+
     /**
      * Creates a new service subscription entry on the SEAL protocol.
      * Uses the updated generateRandomName.
-     * @param {number|string} amount - The amount for the service.
-     * @param {number|string} duration - The duration for the service.
+     * @param {string|object} amount - Fee with a unit ("0.5sui", "500000000mist") or a range ("0.1-0.5sui"); see src/terms.js.
+     * @param {string|object} duration - TTL with a unit ("7d", "90m") or a range ("1h-2d").
      * @param {string} [name] - Optional name for the service entry. If null, generates one.
      * @returns {Promise<{sharedObjectId: string, serviceEntryId: string}>} Object containing the IDs.
+     * @throws {Error} If the fee or TTL is missing a unit or out of range; nothing is sent then.
      */
     async createServiceSubscriptionEntry(amount, duration, name = this.generateRandomName('service')) { // Pass type hint
-        logger.info(`Creating service subscription entry: ${name} (Amount: ${amount}, Duration: ${duration})`);
+        const { amountMist, durationMs } = resolveServiceTerms(amount, duration);
+        logger.info(`Creating service subscription entry: ${name} (Fee: ${formatSui(amountMist)} SUI = ${amountMist} MIST, TTL: ${formatDuration(durationMs)} = ${durationMs} ms)`);
         const txb = new TransactionBlock();
         txb.moveCall({
             target: `${SEAL_PACKAGE_ID}::subscription::create_service_entry`,
             arguments: [
-                txb.pure(amount, 'u64'),
-                txb.pure(duration, 'u64'),
+                txb.pure(amountMist.toString(), 'u64'),
+                txb.pure(durationMs.toString(), 'u64'),
                 txb.pure(name),
             ],
         });
 
-        const result = await this.executeTransaction(txb, `Create Service Entry (${name})`);
+        const result = await this.executeTransaction(txb, `Create Service Entry (${name})`, 'create_service');
 
         const createdObjects = result.objectChanges?.filter(obj => obj.type === 'created');
         const entryObject = createdObjects?.find(obj => obj.owner?.AddressOwner === this.address);
@@ -230,6 +530,7 @@ class SuiActions {
         }
 
         const ids = { sharedObjectId: sharedObject.objectId, serviceEntryId: entryObject.objectId };
+        this.recordToLedger('service', { name, amount: amountMist.toString(), duration: durationMs.toString(), ...ids, digest: result.digest });
         logger.success(`Service entry created: Name=${name}, SharedID=${ids.sharedObjectId.substring(0,10)}..., EntryID=${ids.serviceEntryId.substring(0,10)}...`); // Shorten IDs
         return ids;
     }
@@ -237,21 +538,51 @@ class SuiActions {
     /**
      * Fetches image data from a URL.
      * @param {string} imageUrl - The URL of the image.
+     * @param {number} [maxBytes=Infinity] - Download limit; a larger response is aborted.
      * @returns {Promise<Buffer>} The image data as a Buffer.
      */
-    async fetchImageFromUrl(imageUrl) {
+    async fetchImageFromUrl(imageUrl, maxBytes = Infinity) {
+        return (await this.downloadUrl(imageUrl, { maxBytes })).data;
+    }
+
+    /**
+     * Downloads a URL, as a conditional request when validators of an earlier copy are given.
+     * @param {string} imageUrl - The URL of the image.
+     * @param {object} [options={}]
+     * @param {number} [options.maxBytes=Infinity] - Download limit; a larger response is aborted.
+     * @param {{etag: string|null, lastModified: string|null}|null} [options.validators=null] - ETag and
+     *   Last-Modified of the earlier copy.
+     * @returns {Promise<{data: Buffer|null, etag: string|null, lastModified: string|null}>} The content
+     *   and its validators; `data` is null when the server answered 304 Not Modified.
+     */
+    async downloadUrl(imageUrl, { maxBytes = Infinity, validators = null } = {}) {
         logger.info(`Workspaceing image from URL: ${imageUrl}`);
         const agent = this.proxyManager?.createProxyAgent();
+        const headers = {};
+        if (validators?.etag) headers['If-None-Match'] = validators.etag;
+        if (validators?.lastModified) headers['If-Modified-Since'] = validators.lastModified;
         // Increased timeout for potentially slow image downloads
-        const config = { method: 'get', url: imageUrl, responseType: 'arraybuffer', httpsAgent: agent, httpAgent: agent, timeout: 60000 };
+        const config = {
+            method: 'get', url: imageUrl, responseType: 'arraybuffer', headers, httpsAgent: agent, httpAgent: agent, timeout: 60000, maxContentLength: maxBytes,
+            validateStatus: status => (status >= 200 && status < 300) || (status === 304 && Boolean(validators)),
+        };
 
         try {
             const response = await axios(config);
+            const etag = response.headers.etag || null;
+            const lastModified = response.headers['last-modified'] || null;
+            if (response.status === 304) {
+                logger.info(`${imageUrl} is unchanged (304 Not Modified).`);
+                return { data: null, etag: etag || validators.etag, lastModified: lastModified || validators.lastModified };
+            }
             const imageData = Buffer.from(response.data);
             logger.success(`Image fetched successfully: ${(imageData.length / 1024).toFixed(2)} KB`);
-            return imageData;
+            return { data: imageData, etag, lastModified };
         } catch (error) {
             logger.error(`Failed to fetch image from URL: ${imageUrl}`, error);
+            if (/maxContentLength/.test(error.message)) {
+                throw new Error(`${imageUrl} is larger than the ${formatBytes(maxBytes)} content size limit.`);
+            }
             throw error;
         }
     }
@@ -259,12 +590,17 @@ class SuiActions {
     /**
      * Loads image data from a local file path.
      * @param {string} imagePath - The path to the local image file.
+     * @param {number} [maxBytes=Infinity] - Size limit, checked before the file is read.
      * @returns {Promise<Buffer>} The image data as a Buffer.
      */
-    async loadLocalImage(imagePath = LOCAL_IMAGE_PATH) {
+    async loadLocalImage(imagePath = LOCAL_IMAGE_PATH, maxBytes = Infinity) {
         const absolutePath = path.resolve(__dirname, '..', imagePath);
         logger.info(`Loading local image from: ${absolutePath}`);
         try {
+            const { size } = await fs.stat(absolutePath);
+            if (size > maxBytes) {
+                throw new Error(`${absolutePath} (${formatBytes(size)}) is larger than the ${formatBytes(maxBytes)} limit for content read into memory.`);
+            }
             const imageData = await fs.readFile(absolutePath);
             logger.success(`Local image loaded successfully: ${(imageData.length / 1024).toFixed(2)} KB`);
             return imageData;
@@ -278,111 +614,291 @@ class SuiActions {
     }
 
     /**
-     * Uploads image data as a blob to a randomly selected SEAL publisher.
+     * Checks a local file that is to be streamed to a publisher, without reading it.
+     * @param {string} filePath - Path of the file, relative to the project root or absolute.
+     * @returns {Promise<{path: string, size: number}>} Absolute path and size in bytes.
+     * @throws {Error} If the file doesn't exist or is a folder.
+     */
+    async openLocalFile(filePath) {
+        const absolutePath = resolveLocalPath(filePath);
+        let stats;
+        try {
+            stats = await fs.stat(absolutePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error(`Local file not found at ${absolutePath}. Please ensure it exists.`);
+            }
+            throw error;
+        }
+        if (stats.isDirectory()) {
+            throw new Error(`${absolutePath} is a folder; upload its files one by one (workflows do this with a folder as the image source).`);
+        }
+        logger.info(`Streaming local file from disk: ${absolutePath} (${formatBytes(stats.size)})`);
+        return { path: absolutePath, size: stats.size };
+    }
+
+    /**
+     * Downloads a URL for an upload unless the blob cache already holds a stored blob of what it serves.
+     * A URL with an ETag or Last-Modified is asked whether it changed; one without is trusted to
+     * serve what it served before.
+     * @param {string} url
+     * @param {number} epochs - Storage epochs of the upload.
+     * @param {number} [maxBytes=Infinity] - Download limit.
+     * @param {string|null} [encryptedFor=null] - Allowlist or service object ID the content is to be encrypted for.
+     * @returns {Promise<{data: Buffer|null, sha256: string}>} The content and its SHA-256; `data` is
+     *   null when the download was skipped.
+     */
+    async fetchUrlThroughCache(url, epochs, maxBytes = Infinity, encryptedFor = null) {
+        const known = this.blobCache.sourceFor(url);
+        const reusable = known && this.blobCache.find(known.sha256, epochs, encryptedFor);
+        if (reusable && !known.etag && !known.lastModified) {
+            logger.info(`Skipping download of ${url}: its content was stored as blob ${reusable.blobId.substring(0,10)}...`);
+            return { data: null, sha256: known.sha256 };
+        }
+        const { data, etag, lastModified } = await this.downloadUrl(url, { maxBytes, validators: reusable ? known : null });
+        if (!data) {
+            return { data: null, sha256: known.sha256 };
+        }
+        const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+        this.blobCache.rememberSource(url, { sha256, etag, lastModified });
+        return { data, sha256 };
+    }
+
+    /**
+     * Reuses the cached blob of some content instead of uploading it, if one is still stored (and,
+     * with a verifier, still served by the aggregator). The reuse is recorded in the ledger like an upload,
+     * with the encryption metadata of the cached blob if it is encrypted.
+     * @param {string} sha256 - Hex SHA-256 of the content (the plaintext, for encrypted content).
+     * @param {number} epochs - Storage epochs of the upload.
+     * @param {Buffer|string} imageSource - Source of the content, for the ledger.
+     * @param {object|null} content - Content catalogue item, for the ledger.
+     * @param {string|null} [encryptedFor=null] - Allowlist or service object ID the content is to be encrypted for.
+     * @returns {Promise<string|null>} The blob ID, or null if the content has to be uploaded.
+     */
+    async reuseCachedBlob(sha256, epochs, imageSource, content, encryptedFor = null) {
+        const entry = this.blobCache.find(sha256, epochs, encryptedFor);
+        if (!entry) {
+            return null;
+        }
+        if (this.verifier) {
+            try {
+                logger.wait(`Verifying cached blob ${entry.blobId.substring(0,10)}... against ${this.verifier.aggregatorUrl}`);
+                await this.verifier.verify(entry.blobId, { size: entry.size, sha256: entry.blobSha256 || sha256 }, epochs, { alreadyCertified: { blobId: entry.blobId, endEpoch: entry.endEpoch } });
+            } catch (error) {
+                logger.warn(`Cached blob ${entry.blobId.substring(0,10)}... can't be reused (${error.message}); uploading the content again.`);
+                this.blobCache.forget(sha256, epochs, encryptedFor);
+                return null;
+            }
+        }
+        const encryption = entry.encryption || null;
+        logger.success(`Reusing blob ${entry.blobId.substring(0,10)}... with the same content${encryption ? ` encrypted for ${encryptedFor.substring(0,10)}...` : ''}, stored until epoch ${entry.endEpoch}; upload skipped.`);
+        this.recordToLedger('blob', { blobId: entry.blobId, epochs, size: entry.size, publisher: entry.publisher, source: typeof imageSource === 'string' ? imageSource : null, content: content ? { id: content.id, mimeType: content.mimeType } : null, encryption, verified: Boolean(this.verifier), endEpoch: entry.endEpoch, cached: true });
+        if (encryption) this.uploadedBlobs.set(entry.blobId, encryption);
+        return entry.blobId;
+    }
+
+    /**
+     * Uploads image data as a blob to a SEAL publisher picked by the publisher pool.
+     * Local files are streamed from disk unless they are encrypted (SEAL encrypts whole buffers); content to be
+     * encrypted is refused above ENCRYPTED_UPLOAD_MAX_BYTES before it is read.
+     * With a blob cache, content already stored as a valid blob (encrypted for the same allowlist or service,
+     * if it is to be encrypted) is reused instead (see reuseCachedBlob()).
      * Retries on failure using exponential backoff.
      * @param {Buffer|string} imageSource - Image data Buffer, local path, or URL.
      * @param {number} [epochs=DEFAULT_BLOB_EPOCHS] - Number of epochs for the blob.
+     * @param {string|null} [encryptFor=null] - Allowlist or service object ID to SEAL-encrypt the data for;
+     *   needs an encryptor. The encryption metadata is recorded with the blob in the ledger.
+     * @param {object|null} [content=null] - Content catalogue item the source was picked from (see
+     *   ContentCatalogue.select()); its ID and type are recorded with the blob and its size limit caps the download.
      * @returns {Promise<string>} The blob ID upon successful upload.
      */
-    async uploadBlob(imageSource, epochs = DEFAULT_BLOB_EPOCHS) {
-        let imageData;
+    async uploadBlob(imageSource, epochs = DEFAULT_BLOB_EPOCHS, encryptFor = null, content = null) {
+        if (encryptFor && !this.encryptor) {
+            throw new Error('Cannot encrypt the blob: encryption is not enabled for this run (--encrypt).');
+        }
+        if (this.dryRun) {
+            // Nothing is uploaded in a dry run; later steps get a placeholder ID to build their transactions with
+            const stubId = `dry-run-blob-${++this.dryRunBlobCount}`;
+            logger.info(`[Dry run] Skipping blob upload of ${Buffer.isBuffer(imageSource) ? 'buffer' : imageSource}; using placeholder ${stubId}`);
+            return stubId;
+        }
+
+        const cache = this.blobCache;
+        const encryptedFor = encryptFor ? normalizeSuiObjectId(encryptFor) : null; // Cache key of encrypted content
+        // Content to be encrypted is held in memory, so its limit applies before anything is read
+        const maxBytes = Math.min(content?.maxBytes ?? Infinity, encryptFor ? ENCRYPTED_UPLOAD_MAX_BYTES : Infinity);
+        let imageData = null; // Content held in memory
+        let localFile = null; // Set instead when a local file is streamed from disk: { path, size }
+        let contentHash = null; // SHA-256 of the content, when the cache is used
         try {
             if (Buffer.isBuffer(imageSource)) { imageData = imageSource; }
             else if (typeof imageSource === 'string') {
-                if (imageSource.match(/^https?:\/\//)) { imageData = await this.fetchImageFromUrl(imageSource); }
-                else { imageData = await this.loadLocalImage(imageSource); }
+                if (isUrl(imageSource) && cache) { ({ data: imageData, sha256: contentHash } = await this.fetchUrlThroughCache(imageSource, epochs, maxBytes, encryptedFor)); }
+                else if (isUrl(imageSource)) { imageData = await this.fetchImageFromUrl(imageSource, maxBytes); }
+                else if (encryptFor) { imageData = await this.loadLocalImage(imageSource, maxBytes); }
+                else { localFile = await this.openLocalFile(imageSource); }
             } else { throw new Error('Invalid imageSource provided to uploadBlob.'); }
         } catch (fetchError) {
             logger.error(`Failed to get image data before upload: ${fetchError.message}`);
             throw fetchError; // Stop if image can't be loaded/fetched
         }
 
+        if (cache) {
+            contentHash = contentHash ?? (localFile ? await hashFile(localFile.path) : crypto.createHash('sha256').update(imageData).digest('hex'));
+            const cachedBlobId = await this.reuseCachedBlob(contentHash, epochs, imageSource, content, encryptedFor);
+            if (cachedBlobId) {
+                return cachedBlobId;
+            }
+            if (!imageData && !localFile) {
+                // The download was skipped for a cached blob that turned out to be unusable
+                ({ data: imageData, sha256: contentHash } = await this.fetchUrlThroughCache(imageSource, epochs, maxBytes, encryptedFor));
+            }
+        }
+
+        let encryption = null;
+        if (encryptFor) {
+            logger.wait(`Encrypting ${(imageData.length / 1024).toFixed(2)} KB for ${encryptFor.substring(0,10)}... (${this.encryptor.threshold}-of-${this.encryptor.keyServerIds.length} key servers)`);
+            ({ data: imageData, metadata: encryption } = await this.encryptor.encrypt(imageData, encryptFor));
+            logger.info(`Encrypted under identity ${encryption.id.substring(0,16)}...`);
+        }
+
 
-        logger.info(`Starting blob upload process (${(imageData.length / 1024).toFixed(2)} KB, ${epochs} epochs)`);
-        if (!PUBLISHER_URLS || PUBLISHER_URLS.length === 0) { throw new Error('No publisher URLs configured.'); }
+        const size = localFile ? localFile.size : imageData.length;
+        // What verification compares the aggregator's copy with; a streamed file is hashed from disk once
+        const uploaded = localFile && this.verifier ? { size, sha256: contentHash ?? await hashFile(localFile.path) } : imageData;
+        const timeout = transferTimeoutMs(size);
+        logger.info(`Starting blob upload process (${formatBytes(size)}, ${epochs} epochs, ${Math.round(timeout / 1000)}s timeout per attempt)`);
+        if (!this.publisherPool) { this.publisherPool = new PublisherPool(); }
+        const pool = this.publisherPool;
 
         let lastError = null;
-        const shuffledPublishers = [...PUBLISHER_URLS].sort(() => 0.5 - Math.random());
+        const triedPublishers = new Set(); // Each attempt goes to a publisher not yet tried for this blob, while any are left
         let delay = BLOB_UPLOAD_RETRY_DELAY_MS; // Initial delay from config
         const maxDelay = MAX_BACKOFF_DELAY_MS || 30000; // Use config value or default to 30s
+        let previousFailure = null; // Short reason of the last failed attempt, e.g. "Status 503 from <publisher>"
 
-        for (let attempt = 1; attempt <= MAX_BLOB_UPLOAD_RETRIES; attempt++) {
-            const publisherIndex = (attempt - 1) % shuffledPublishers.length;
-            const publisherBaseUrl = shuffledPublishers[publisherIndex];
-            const publisherUrl = `${publisherBaseUrl}?epochs=${epochs}`;
-            const publisherName = publisherBaseUrl.split('/')[2] || `Publisher ${publisherIndex + 1}`;
+        const uploadId = ++uploadCount;
+        const label = content ? content.id : localFile ? path.basename(localFile.path) : typeof imageSource === 'string' ? imageSource.split('/').pop() : 'buffer';
+        try {
+            for (let attempt = 1; attempt <= MAX_BLOB_UPLOAD_RETRIES; attempt++) {
+                const publisherBaseUrl = pool.next(triedPublishers);
+                triedPublishers.add(publisherBaseUrl);
+                const publisherUrl = `${publisherBaseUrl}?epochs=${epochs}`;
+                const publisherName = PublisherPool.publisherName(publisherBaseUrl);
+
+                // A publisher still inside the rate limit window it named (it's only picked then when every publisher is)
+                // is waited for until the window ends, not for the backoff; a window of 0 or one that has passed falls back to the backoff
+                const rateWindow = pool.waitTimeMs(publisherBaseUrl);
+                if (rateWindow.ms > MAX_RATE_LIMIT_WAIT_MS) {
+                    throw new Error(`Every publisher is rate-limited; ${publisherName} asks to wait ${Math.ceil(rateWindow.ms / 1000)}s (${rateWindow.reason}).`);
+                }
+                const wait = rateWindow.ms > 0 ? rateWindow.ms : previousFailure ? delay : 0;
+                if (wait > 0) {
+                    const reason = rateWindow.ms > 0 ? `${publisherName} is rate-limited (${rateWindow.reason})` : `backoff after ${previousFailure}`;
+                    logger.wait(`Waiting ${(wait / 1000).toFixed(1)}s before attempt ${attempt}: ${reason}`);
+                    await new Promise(resolve => setTimeout(resolve, wait));
+                }
+                if (previousFailure) {
+                    // Exponential backoff: double the delay for the next retry, add jitter, cap at maxDelay
+                    delay = Math.min(delay * 2 + Math.floor(Math.random() * 1000), maxDelay);
+                }
 
-            logger.wait(`Attempt ${attempt}/${MAX_BLOB_UPLOAD_RETRIES}: Uploading blob to ${publisherName}...`);
-            const agent = this.proxyManager?.createProxyAgent();
-            const config = { method: 'put', url: publisherUrl, headers: { 'Content-Type': 'application/octet-stream' }, data: imageData, httpsAgent: agent, httpAgent: agent, timeout: 60000 }; // Increased timeout for upload
+                logger.wait(`Attempt ${attempt}/${MAX_BLOB_UPLOAD_RETRIES}: Uploading blob to ${publisherName}...`);
+                const agent = this.proxyManager?.createProxyAgent();
+                const body = localFile ? createReadStream(localFile.path) : imageData; // A stream can only be sent once, so each attempt opens its own
+                const progress = { label, publisher: publisherName, sent: 0, total: size };
+                activeUploads.set(uploadId, progress);
+                logger.updateStatus({ uploads: [...activeUploads.values()] });
+                let progressAt = 0;
+                const config = {
+                    method: 'put', url: publisherUrl, headers: { 'Content-Type': 'application/octet-stream', 'Content-Length': size }, data: body,
+                    httpsAgent: agent, httpAgent: agent, timeout, maxBodyLength: Infinity, maxContentLength: Infinity,
+                    maxRedirects: localFile ? 0 : undefined, // The redirect follower buffers the whole body; without it a file streams
+                    onUploadProgress: ({ loaded }) => {
+                        progress.sent = loaded;
+                        if (Date.now() - progressAt >= PROGRESS_INTERVAL_MS || loaded >= size) {
+                            progressAt = Date.now();
+                            logger.updateStatus({ uploads: [...activeUploads.values()] });
+                        }
+                    },
+                };
 
-            try {
-                const response = await axios(config);
-                let blobId;
-
-                // Check various possible success response structures
-                if (response.data?.newlyCreated?.blobObject?.blobId) { blobId = response.data.newlyCreated.blobObject.blobId; logger.debug(`Blob newly created by ${publisherName}.`); }
-                else if (response.data?.alreadyCertified?.blobId) { blobId = response.data.alreadyCertified.blobId; logger.debug(`Blob already certified by ${publisherName}.`); }
-                else if (response.data?.blobId) { blobId = response.data.blobId; } // Direct blobId
-                else {
-                    // Log unexpected success structure but attempt to find blobId heuristically (might need adjustment)
-                    const potentialId = findPotentialBlobId(response.data);
-                    if (potentialId) {
-                        logger.warn(`Unexpected success response structure from ${publisherName}, but found potential blobId: ${potentialId.substring(0,10)}...`);
-                        blobId = potentialId;
-                    } else {
+                const startedAt = Date.now();
+                let latencyMs = null;
+                try {
+                    const response = await axios(config);
+                    latencyMs = Date.now() - startedAt;
+                    let blobId;
+
+                    // Check various possible success response structures
+                    if (response.data?.newlyCreated?.blobObject?.blobId) { blobId = response.data.newlyCreated.blobObject.blobId; logger.debug(`Blob newly created by ${publisherName}.`); }
+                    else if (response.data?.alreadyCertified?.blobId) { blobId = response.data.alreadyCertified.blobId; logger.debug(`Blob already certified by ${publisherName}.`); }
+                    else if (response.data?.blobId) { blobId = response.data.blobId; } // Direct blobId
+                    else {
+                        // A blob ID guessed from an unknown structure could be published without ever being stored;
+                        // the response counts as a failed attempt and the upload is retried on the next publisher
                         logger.warn(`Unexpected response structure from ${publisherName}: ${JSON.stringify(response.data)}`);
                         throw new Error(`Invalid response structure from publisher ${publisherName}`);
                     }
-                }
 
-                if (!blobId) { throw new Error(`Blob ID missing in response from ${publisherName}`); }
+                    let verification = null;
+                    if (this.verifier) {
+                        // Throws BlobVerificationError, which is retried on the next publisher like a network error
+                        logger.wait(`Verifying blob ${blobId.substring(0,10)}... against ${this.verifier.aggregatorUrl}`);
+                        verification = await this.verifier.verify(blobId, uploaded, epochs, response.data);
+                        logger.info(`Blob verified: content matches${verification.epochsChecked ? `, stored until epoch ${verification.endEpoch}` : ' (storage epochs not reported)'}.`);
+                    }
 
-                logger.success(`Blob uploaded successfully via ${publisherName}! Blob ID: ${blobId.substring(0,10)}...`); // Shorten ID
-                return blobId; // Success! Exit the function.
+                    pool.recordSuccess(publisherBaseUrl, latencyMs);
+                    if (cache) {
+                        const { startEpoch, endEpoch } = storageEpochs(response.data);
+                        cache.record({
+                            sha256: contentHash, epochs, blobId, size, publisher: publisherBaseUrl, startEpoch, endEpoch, source: typeof imageSource === 'string' ? imageSource : null,
+                            encryptedFor, encryption, blobSha256: encryption ? crypto.createHash('sha256').update(imageData).digest('hex') : null,
+                        });
+                    }
+                    logger.success(`Blob uploaded successfully via ${publisherName}! Blob ID: ${blobId.substring(0,10)}...`); // Shorten ID
+                    this.recordToLedger('blob', { blobId, epochs, size, publisher: publisherBaseUrl, source: typeof imageSource === 'string' ? imageSource : null, content: content ? { id: content.id, mimeType: content.mimeType } : null, encryption, verified: Boolean(verification), endEpoch: verification?.endEpoch ?? null });
+                    if (encryption) this.uploadedBlobs.set(blobId, encryption);
+                    return blobId; // Success! Exit the function.
 
-            } catch (error) {
-                lastError = error; // Store the error from this attempt
-                const status = error.response?.status;
-                const responseData = error.response?.data;
-
-                let errorMessage = `Blob upload attempt ${attempt} failed with ${publisherName}`;
-                if (status) { errorMessage += ` | Status: ${status}, Data: ${JSON.stringify(responseData)}`; }
-                else if (error.request) { errorMessage += ` | No response received (Network issue or timeout?)`; }
-                else { errorMessage += ` | Error: ${error.message}`; }
-                logger.error(errorMessage);
-
-                // Check if we should retry based on the status code or error type
-                const isRetryable = !status || status === 429 || status >= 500; // Retry on network errors, 429, and 5xx server errors
-
-                if (isRetryable && attempt < MAX_BLOB_UPLOAD_RETRIES) {
-                    logger.wait(`Retrying in ${(delay / 1000).toFixed(1)} seconds...`);
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                    // Exponential backoff: double the delay for the next retry, add jitter, cap at maxDelay
-                    delay = Math.min(delay * 2 + Math.floor(Math.random() * 1000), maxDelay);
-                } else if (!isRetryable) {
-                    logger.error(`Non-retryable error encountered (Status: ${status}). Stopping upload attempts.`);
-                    throw error; // Abort on non-retryable errors (e.g., 400, 401, 403)
-                }
-            }
-        } // End of retry loop
+                } catch (error) {
+                    if (localFile) body.destroy(); // Don't leave the file open when the request failed before reading it
+                    lastError = error; // Store the error from this attempt
+                    const status = error.response?.status;
+                    const responseData = error.response?.data;
 
-        // If the loop finishes without returning, all retries have failed
-        logger.error(`Blob upload failed after ${MAX_BLOB_UPLOAD_RETRIES} attempts.`);
-        throw new Error(`Failed to upload blob after maximum retries. Last error: ${lastError?.message || 'Unknown error'}`);
-    }
+                    let errorMessage = `Blob upload attempt ${attempt} failed with ${publisherName}`;
+                    if (status) { errorMessage += ` | Status: ${status}, Data: ${JSON.stringify(responseData)}`; }
+                    else if (error.request) { errorMessage += ` | No response received (Network issue or timeout?)`; }
+                    else { errorMessage += ` | Error: ${error.message}`; }
+                    logger.error(errorMessage);
 
-    // Helper function to potentially find blobId in unknown structures (adjust as needed)
-    findPotentialBlobId(data) {
-        if (!data || typeof data !== 'object') return null;
-        for (const key in data) {
-            if (key.toLowerCase().includes('blobid') && typeof data[key] === 'string' && data[key].length > 10) return data[key];
-            if (typeof data[key] === 'object') {
-                const nestedId = this.findPotentialBlobId(data[key]);
-                if (nestedId) return nestedId;
-            }
+                    // A 429 or 503 may say when to come back; the pool keeps the publisher out of rotation until then
+                    const rateLimit = status === 429 || status === 503 ? rateLimitWait(error.response.headers) : null;
+                    if (rateLimit) {
+                        logger.warn(`${publisherName} asks to wait ${(rateLimit.ms / 1000).toFixed(1)}s (${rateLimit.header}: ${rateLimit.value}); it won't be used again before then.`);
+                    }
+                    pool.recordFailure(publisherBaseUrl, { status, latencyMs: latencyMs ?? Date.now() - startedAt, reason: status ? `Status ${status}` : error.message, rateLimit });
+                    previousFailure = `${status ? `Status ${status}` : 'failure'} from ${publisherName}`;
+
+                    // Check if we should retry based on the status code or error type
+                    const isRetryable = !status || status === 429 || status >= 500; // Retry on network errors, failed verification, 429, and 5xx server errors
+
+                    if (!isRetryable) {
+                        logger.error(`Non-retryable error encountered (Status: ${status}). Stopping upload attempts.`);
+                        throw error; // Abort on non-retryable errors (e.g., 400, 401, 403)
+                    }
+                }
+            } // End of retry loop
+
+            // If the loop finishes without returning, all retries have failed
+            logger.error(`Blob upload failed after ${MAX_BLOB_UPLOAD_RETRIES} attempts.`);
+            throw new Error(`Failed to upload blob after maximum retries. Last error: ${lastError?.message || 'Unknown error'}`);
+        } finally {
+            activeUploads.delete(uploadId);
+            logger.updateStatus({ uploads: [...activeUploads.values()] });
         }
-        return null;
     }
 
 
@@ -402,7 +918,8 @@ class SuiActions {
             arguments: [ txb.object(allowlistId), txb.object(entryObjectId), txb.pure(blobId) ],
         });
 
-        await this.executeTransaction(txb, `Publish Blob to Allowlist (${shortBlob}...)`);
+        const result = await this.executeTransaction(txb, `Publish Blob to Allowlist (${shortBlob}...)`, 'publish_allowlist');
+        this.recordToLedger('publish', { target: 'allowlist', objectId: allowlistId, capId: entryObjectId, blobId, digest: result.digest });
         logger.success(`Successfully published blob ${shortBlob}... to allowlist.`);
         return true;
     }
@@ -423,33 +940,282 @@ class SuiActions {
             arguments: [ txb.object(sharedObjectId), txb.object(serviceEntryId), txb.pure(blobId) ],
         });
 
-        await this.executeTransaction(txb, `Publish Blob to Subscription (${shortBlob}...)`);
+        const result = await this.executeTransaction(txb, `Publish Blob to Subscription (${shortBlob}...)`, 'publish_subscription');
+        this.recordToLedger('publish', { target: 'subscription', objectId: sharedObjectId, capId: serviceEntryId, blobId, digest: result.digest });
          logger.success(`Successfully published blob ${shortBlob}... to subscription.`);
         return true;
     }
 
+    /**
+     * Buys a subscription to a service: splits the exact fee from the gas coin, calls
+     * subscription::subscribe and transfers the new Subscription to this wallet, all in one transaction.
+     * @param {string} serviceId - The shared service object ID.
+     * @param {bigint|number|string} fee - The service fee in MIST (must match the service's fee exactly).
+     * @returns {Promise<{subscriptionId: string|null, digest: string}>} subscriptionId is null in a dry run that couldn't be simulated.
+     */
+    async subscribeToService(serviceId, fee) {
+        logger.info(`Subscribing to service ${serviceId.substring(0,6)}... for ${formatSui(BigInt(fee))} SUI`);
+        const txb = new TransactionBlock();
+        const [payment] = txb.splitCoins(txb.gas, [txb.pure(BigInt(fee), 'u64')]);
+        const subscription = txb.moveCall({
+            target: `${SEAL_PACKAGE_ID}::subscription::subscribe`,
+            arguments: [payment, txb.object(serviceId), txb.object(SUI_CLOCK_OBJECT_ID)],
+        });
+        txb.moveCall({
+            target: `${SEAL_PACKAGE_ID}::subscription::transfer`,
+            arguments: [subscription, txb.pure(this.address)],
+        });
+
+        const result = await this.executeTransaction(txb, `Subscribe to Service (${serviceId.substring(0,6)}...)`, 'subscribe');
+        const created = result.objectChanges?.find(obj => obj.type === 'created' && obj.objectType?.endsWith('::subscription::Subscription'));
+        if (!created && !result.dryRun) {
+            logger.error('Could not find the created subscription object in transaction effects.', result.effects);
+            throw new Error('Failed to retrieve subscriptionId after subscribing.');
+        }
+
+        const ids = { subscriptionId: created?.objectId || null, digest: result.digest };
+        this.recordToLedger('subscription', { serviceId, fee: String(fee), ...ids });
+        logger.success(`Subscribed to service ${serviceId.substring(0,10)}...${ids.subscriptionId ? `, SubscriptionID=${ids.subscriptionId.substring(0,10)}...` : ''}`);
+        return ids;
+    }
+
+    // --- Reuse ---
+
+    /**
+     * Finds the allowlist to reuse: the one pinned in the reuse file, else the first allowlist cap the
+     * wallet owns on chain, else a newly created one. The choice is kept for later repetitions.
+     * @returns {Promise<{allowlistId: string, entryObjectId: string, reused: boolean}>}
+     */
+    async findOrCreateAllowlist() {
+        const target = await this.findReuseTarget('allowlist');
+        if (target) {
+            return { allowlistId: target.objectId, entryObjectId: target.capId, reused: true };
+        }
+        logger.info('No allowlist cap to reuse; creating one that later repetitions will reuse.');
+        const ids = await this.createAllowlistEntry();
+        this.reusedTargets.allowlist = { objectId: ids.allowlistId, capId: ids.entryObjectId };
+        return { ...ids, reused: false };
+    }
+
+    /**
+     * Finds the subscription service to reuse, like findOrCreateAllowlist().
+     * @param {string|object} amount - Fee for a newly created service (see createServiceSubscriptionEntry()).
+     * @param {string|object} duration - TTL for a newly created service.
+     * @returns {Promise<{sharedObjectId: string, serviceEntryId: string, reused: boolean}>}
+     */
+    async findOrCreateService(amount, duration) {
+        const target = await this.findReuseTarget('subscription');
+        if (target) {
+            return { sharedObjectId: target.objectId, serviceEntryId: target.capId, reused: true };
+        }
+        logger.info('No service cap to reuse; creating one that later repetitions will reuse.');
+        const ids = await this.createServiceSubscriptionEntry(amount, duration);
+        this.reusedTargets.subscription = { objectId: ids.sharedObjectId, capId: ids.serviceEntryId };
+        return { ...ids, reused: false };
+    }
+
+    /**
+     * @param {'allowlist'|'subscription'} kind
+     * @returns {Promise<{objectId: string, capId: string}|null>} Pinned, cached or owned target.
+     */
+    async findReuseTarget(kind) {
+        if (this.reusedTargets[kind]) {
+            return this.reusedTargets[kind];
+        }
+        let target = this.reuseTargets[kind];
+        if (target) {
+            logger.info(`Reusing ${kind} ${target.objectId.substring(0,10)}... from the reuse file.`);
+        } else {
+            const caps = (await new SealInspector(this.client).listCaps(this.address))
+                .filter(cap => cap.kind === kind)
+                .sort((a, b) => a.capId.localeCompare(b.capId)); // Stable choice across runs
+            if (caps.length === 0) return null;
+            target = { objectId: caps[0].objectId, capId: caps[0].capId };
+            logger.info(`Reusing ${kind} ${target.objectId.substring(0,10)}... (cap ${target.capId.substring(0,10)}...)${caps.length > 1 ? `; wallet owns ${caps.length} ${kind} caps, pin one in a reuse file to choose` : ''}.`);
+        }
+        this.reusedTargets[kind] = target;
+        return target;
+    }
+
+    /**
+     * Builds the `seal_approve` call key servers dry-run before releasing key shares for an identity.
+     * For a service, the wallet's subscription to it is looked up and passed along.
+     * @param {'allowlist'|'subscription'} target - Kind of object the content was published to.
+     * @param {string} objectId - Allowlist or service object ID.
+     * @param {string} id - SEAL identity (hex, without 0x) from the encrypted object.
+     * @returns {Promise<Uint8Array>} Transaction kind bytes.
+     * @throws {Error} If the wallet has no subscription to the service.
+     */
+    async buildSealApproveTransaction(target, objectId, id) {
+        const txb = new TransactionBlock();
+        const identity = txb.pure(Array.from(fromHEX(id)), 'vector<u8>');
+        if (target === 'allowlist') {
+            txb.moveCall({
+                target: `${SEAL_PACKAGE_ID}::allowlist::seal_approve`,
+                arguments: [identity, txb.object(objectId)],
+            });
+        } else {
+            const subscription = await new SealInspector(this.client).findSubscription(this.address, objectId);
+            if (!subscription) {
+                throw new Error(`Wallet ${this.address.substring(0,10)}... has no subscription to service ${objectId}; subscribe first (run purchase).`);
+            }
+            txb.moveCall({
+                target: `${SEAL_PACKAGE_ID}::subscription::seal_approve`,
+                arguments: [identity, txb.object(subscription.subscriptionId), txb.object(objectId), txb.object(SUI_CLOCK_OBJECT_ID)],
+            });
+        }
+        return txb.build({ client: this.client, onlyTransactionKind: true });
+    }
+
+    /**
+     * Reads a blob this wallet published back through the retriever, decrypts it and compares its
+     * hash with the content that was encrypted.
+     * @param {'allowlist'|'subscription'} target - Kind of object the blob was published to.
+     * @param {string} objectId - Allowlist or service object ID.
+     * @param {string} blobId - Walrus blob ID.
+     * @returns {Promise<{sha256: string, size: number}>}
+     * @throws {Error} If the blob can't be decrypted or its content differs from what was uploaded.
+     */
+    async checkRetrieval(target, objectId, blobId) {
+        const expected = this.uploadedBlobs.get(blobId) || this.findUploadedBlob(blobId)?.encryption;
+        const { data, sha256 } = await this.retriever.retrieve(this, target, objectId, blobId);
+        if (expected?.plaintextSha256 && expected.plaintextSha256 !== sha256) {
+            throw new Error(`Decrypted blob ${blobId} does not match the uploaded content (SHA-256 ${sha256}, expected ${expected.plaintextSha256}).`);
+        }
+        logger.success(`Blob ${blobId.substring(0,10)}... decrypted (${(data.length / 1024).toFixed(2)} KB)${expected ? ' and matches the uploaded content' : ''}.`);
+        return { sha256, size: data.length };
+    }
+
+    /**
+     * The ledger's `blob` record for a blob ID, if this ledger recorded its upload.
+     * @param {string} blobId
+     * @returns {object|null}
+     */
+    findUploadedBlob(blobId) {
+        return this.ledger?.read({ type: 'blob' }).reverse().find(record => record.blobId === blobId) || null;
+    }
+
     // --- Workflow Examples ---
 
+    /**
+     * Uploads a workflow's content: one blob for a file, URL, Buffer or content catalogue item, or one
+     * blob per file when the source is a folder. Each upload is its own checkpointed step (`upload`, or
+     * `upload:<file>` for folders), so a resumed run only uploads what is missing.
+     * @param {string|Buffer|object} imageSource - URL, local file or folder path, Buffer, or an item
+     *   picked by ContentCatalogue.select().
+     * @param {string|null} encryptFor - Allowlist or service to encrypt for (see uploadBlob()).
+     * @param {import('./checkpoint')|null} checkpoint - Step checkpoint for resumable runs.
+     * @param {(blobId: string, stepSuffix: string) => Promise<void>} [afterUpload] - Runs after each upload,
+     *   e.g. its publish; `stepSuffix` is '' for a single blob and `:<file>` for a folder's files.
+     * @returns {Promise<{blobId: string, file: string|null, stepSuffix: string}[]>} Uploads in order.
+     */
+    async uploadWorkflowContent(imageSource, encryptFor, checkpoint, afterUpload = null) {
+        const content = imageSource && typeof imageSource === 'object' && !Buffer.isBuffer(imageSource) ? imageSource : null;
+        const files = content ? null : await listFolderFiles(imageSource);
+        const items = files
+            ? files.map(file => ({ source: file.path, file: file.name, stepSuffix: `:${file.name}` }))
+            : [{ source: content ? content.source : imageSource, file: null, stepSuffix: '' }];
+        if (content) {
+            logger.info(`Content item ${content.id}: ${content.mimeType}${content.size !== null ? `, ${formatBytes(content.size)}` : ''}`);
+        }
+        if (files) {
+            logger.info(`Folder ${resolveLocalPath(imageSource)}: ${files.length} file(s), ${formatBytes(files.reduce((sum, file) => sum + file.size, 0))} in total.`);
+        }
+
+        const uploads = [];
+        for (const [i, item] of items.entries()) {
+            if (files) logger.info(`File ${i + 1}/${files.length}: ${item.file}`);
+            const { blobId } = await runStep(checkpoint, `upload${item.stepSuffix}`, async () => ({ blobId: await this.uploadBlob(item.source, DEFAULT_BLOB_EPOCHS, encryptFor, content) }));
+            if (afterUpload) await afterUpload(blobId, item.stepSuffix);
+            uploads.push({ blobId, file: item.file, stepSuffix: item.stepSuffix });
+        }
+        return uploads;
+    }
+
+    /**
+     * Runs the consumer workflow: reads the service's current fee and buys one subscription.
+     * @param {string} serviceId - The shared service object ID.
+     * @param {import('./checkpoint')|null} [checkpoint=null] - Step checkpoint for resumable runs.
+     * @returns {Promise<{serviceId: string, subscriptionId: string|null, digest: string, fee: string}>}
+     */
+    async runSubscriptionPurchaseWorkflow(serviceId, checkpoint = null) {
+        logger.info("--- Starting Subscription Purchase Workflow ---");
+        try {
+            const result = await runStep(checkpoint, 'subscribe', async () => {
+                const { fee, ttl } = await new SealInspector(this.client).getService(serviceId);
+                logger.info(`Service fee: ${formatSui(BigInt(fee))} SUI, TTL: ${ttl} ms`);
+                return { ...(await this.subscribeToService(serviceId, fee)), fee };
+            });
+            logger.success("--- Subscription Purchase Workflow Successful ---");
+            return { serviceId, ...result };
+        } catch (error) {
+            logger.error("--- Subscription Purchase Workflow Failed ---", error);
+            throw error;
+        }
+    }
+
     /**
      * Runs the full workflow for creating an allowlist, adding self, uploading, and publishing.
-     * @param {string|Buffer} imageSource - URL, local path, or Buffer of the image.
+     * With a checkpoint, finished steps are skipped and their results reused (e.g. an allowlist
+     * created before an interruption is published to instead of creating a new one).
+     * In batch mode the adds and the publish run after the upload as one or a few transaction blocks.
+     * In reuse mode an existing allowlist is published to, and only addresses that aren't members yet are added.
+     * @param {string|Buffer|object} imageSource - URL, local path or Buffer of the image, a folder whose files are each uploaded and published,
+     *   or a content catalogue item.
      * @param {string[]} [additionalAddresses=[]] - Optional array of other addresses to add.
+     * @param {import('./checkpoint')|null} [checkpoint=null] - Step checkpoint for resumable runs.
      * @returns {Promise<object>} Result object containing IDs.
      */
-    async runCompleteAllowlistWorkflow(imageSource = DEFAULT_IMAGE_URL, additionalAddresses = []) {
+    async runCompleteAllowlistWorkflow(imageSource = DEFAULT_IMAGE_URL, additionalAddresses = [], checkpoint = null) {
         logger.info("--- Starting Complete Allowlist Workflow ---");
         try {
-            const { allowlistId, entryObjectId } = await this.createAllowlistEntry(); // Uses new name generator
-            await this.addAddressToAllowlist(allowlistId, entryObjectId, this.address);
+            const validAddresses = [];
             for (const addr of additionalAddresses) {
-                if (addr && typeof addr === 'string' && addr.startsWith('0x')) { // Basic validation
-                    await this.addAddressToAllowlist(allowlistId, entryObjectId, addr);
-                } else { logger.warn(`Skipping invalid additional address: ${addr}`); }
+                const address = typeof addr === 'string' ? parseSuiAddress(addr) : null;
+                if (!address) {
+                    logger.warn(`Skipping invalid additional address: ${addr}`);
+                } else if (address !== this.address && !validAddresses.includes(address)) {
+                    validAddresses.push(address); // The wallet itself is always added first
+                }
+            }
+
+            const { allowlistId, entryObjectId, reused } = await runStep(checkpoint, 'create', () => this.reuse ? this.findOrCreateAllowlist() : this.createAllowlistEntry()); // Uses new name generator
+            let members = [this.address, ...validAddresses];
+            if (reused) {
+                // Checkpointed, so a resumed run adds the same addresses in the same batches
+                ({ members } = await runStep(checkpoint, 'members', async () => {
+                    const existing = new Set(await this.getAllowlistMembers(allowlistId));
+                    const missing = members.filter(address => !existing.has(address));
+                    logger.info(`Reused allowlist has ${existing.size} member(s); ${missing.length} address(es) to add.`);
+                    return { members: missing };
+                }));
+            }
+
+            const encryptFor = this.encryptor ? allowlistId : null;
+            let uploads;
+            if (this.batch) {
+                uploads = await this.uploadWorkflowContent(imageSource, encryptFor, checkpoint);
+                const batches = this.planAllowlistBatches(members, uploads.map(upload => upload.blobId));
+                for (let i = 0; i < batches.length; i++) {
+                    await runStep(checkpoint, `batch:${i}`, () => this.executeAllowlistBatch(allowlistId, entryObjectId, batches[i], `Allowlist Batch ${i + 1}/${batches.length}`).then(({ digest }) => ({ digest })));
+                }
+            } else {
+                for (const addr of members) {
+                    const stepName = addr === this.address ? 'add_self' : `add:${addr}`;
+                    await runStep(checkpoint, stepName, () => this.addAddressToAllowlist(allowlistId, entryObjectId, addr).then(() => ({})));
+                }
+                uploads = await this.uploadWorkflowContent(imageSource, encryptFor, checkpoint, (blobId, stepSuffix) =>
+                    runStep(checkpoint, `publish${stepSuffix}`, () => this.publishBlobToAllowlist(allowlistId, entryObjectId, blobId).then(() => ({}))));
+            }
+            if (this.retriever && !this.dryRun) {
+                // End-to-end check: the wallet is a member, so it must be able to decrypt what it published
+                for (const { blobId, stepSuffix } of uploads) {
+                    await runStep(checkpoint, `retrieve${stepSuffix}`, () => this.checkRetrieval('allowlist', allowlistId, blobId));
+                }
             }
-            const blobId = await this.uploadBlob(imageSource); // Uses updated upload logic
-            await this.publishBlobToAllowlist(allowlistId, entryObjectId, blobId);
 
-            const result = { allowlistId, entryObjectId, blobId };
+            const blobIds = uploads.map(upload => upload.blobId);
+            const result = { allowlistId, entryObjectId, blobId: blobIds[0], blobIds };
             logger.success("--- Complete Allowlist Workflow Successful ---", { /* result details can be logged here if needed */ });
             return result;
         } catch (error) {
@@ -460,19 +1226,23 @@ class SuiActions {
 
      /**
       * Runs the full workflow for creating a service subscription, uploading, and publishing.
-      * @param {string|Buffer} imageSource - URL, local path, or Buffer of the image.
-      * @param {number|string} amount - Subscription amount.
-      * @param {number|string} duration - Subscription duration.
+      * In reuse mode an existing service is published to instead (its fee and TTL are left as they are).
+      * @param {string|Buffer|object} imageSource - URL, local path or Buffer of the image, a folder whose files are each uploaded and published,
+      *   or a content catalogue item.
+      * @param {string|object} [amount=SERVICE_FEE] - Fee with a unit, or a range drawn from per service.
+      * @param {string|object} [duration=SERVICE_TTL] - TTL with a unit, or a range drawn from per service.
+      * @param {import('./checkpoint')|null} [checkpoint=null] - Step checkpoint for resumable runs.
       * @returns {Promise<object>} Result object containing IDs.
       */
-    async runCompleteSubscriptionWorkflow(imageSource = DEFAULT_IMAGE_URL, amount = 10, duration = 60000000) {
+    async runCompleteSubscriptionWorkflow(imageSource = DEFAULT_IMAGE_URL, amount = SERVICE_FEE, duration = SERVICE_TTL, checkpoint = null) {
         logger.info("--- Starting Complete Subscription Workflow ---");
         try {
-            const { sharedObjectId, serviceEntryId } = await this.createServiceSubscriptionEntry(amount, duration); // Uses new name generator
-            const blobId = await this.uploadBlob(imageSource); // Uses updated upload logic
-            await this.publishBlobToSubscription(sharedObjectId, serviceEntryId, blobId);
+            const { sharedObjectId, serviceEntryId } = await runStep(checkpoint, 'create', () => this.reuse ? this.findOrCreateService(amount, duration) : this.createServiceSubscriptionEntry(amount, duration)); // Uses new name generator
+            const uploads = await this.uploadWorkflowContent(imageSource, this.encryptor ? sharedObjectId : null, checkpoint, (blobId, stepSuffix) =>
+                runStep(checkpoint, `publish${stepSuffix}`, () => this.publishBlobToSubscription(sharedObjectId, serviceEntryId, blobId).then(() => ({}))));
 
-            const result = { sharedObjectId, serviceEntryId, blobId };
+            const blobIds = uploads.map(upload => upload.blobId);
+            const result = { sharedObjectId, serviceEntryId, blobId: blobIds[0], blobIds };
             logger.success("--- Complete Subscription Workflow Successful ---", { /* result details */ });
             return result;
         } catch (error) {
@@ -482,19 +1252,5 @@ class SuiActions {
     }
 }
 
-// Added the helper function definition inside the class scope if needed or keep outside if standalone
-// For simplicity, keeping it outside here as it doesn't rely on 'this'
-function findPotentialBlobId(data) {
-    if (!data || typeof data !== 'object') return null;
-    for (const key in data) {
-        if (key.toLowerCase().includes('blobid') && typeof data[key] === 'string' && data[key].length > 10) return data[key];
-        if (typeof data[key] === 'object' && data[key] !== null) { // Check for null to prevent infinite recursion on circular refs if any
-            const nestedId = findPotentialBlobId(data[key]);
-            if (nestedId) return nestedId;
-        }
-    }
-    return null;
-}
-
 
 module.exports = SuiActions;
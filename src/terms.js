@@ -0,0 +1,223 @@
+// src/terms.js
+/**
+ * @file Subscription service terms: parses fees written in SUI or MIST ("0.5sui", "250000000mist")
+ * and TTLs written with time units ("90m", "7d", "1d12h"), optionally as ranges ("0.1-0.5sui",
+ * "1h-2d") from which each created service draws a random value. Bare numbers are rejected, so
+ * a value can't silently be read in the wrong unit.
+ *
+ * Per-wallet terms live in a JSON file keyed like the reuse file:
+ *   { "1": { "amount": "0.5sui", "duration": "7d" }, "0xabc...": { "amount": "0.1-0.2sui" } }
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { MIST_PER_SUI, normalizeSuiAddress } = require('@mysten/sui.js/utils');
+const { parseWalletKey } = require('./reuse_targets');
+
+const U64_MAX = (1n << 64n) - 1n;
+const SUI_DECIMALS = 9;
+// `subscribe` adds the TTL to the current timestamp, so keep it far below u64 overflow
+const MAX_DURATION_MS = 100n * 365n * 86400000n;
+const MIN_DURATION_MS = 1000n;
+
+const DURATION_UNITS = { ms: 1n, s: 1000n, m: 60000n, h: 3600000n, d: 86400000n, w: 604800000n };
+const TERM_KEYS = ['amount', 'duration'];
+
+/**
+ * Parses one fee into MIST.
+ * @param {string} text - e.g. "0.5sui", "0.5 SUI", "250000000mist".
+ * @returns {bigint} Fee in MIST.
+ * @throws {Error} If the unit is missing or the value isn't a valid amount.
+ */
+function parseSuiAmount(text) {
+    const match = String(text).trim().match(/^(\d+)(?:\.(\d+))?\s*(sui|mist)$/i);
+    if (!match) {
+        throw new Error(`invalid amount "${text}"; use SUI or MIST with a unit, e.g. "0.5sui" or "500000000mist"`);
+    }
+    const [, whole, fraction = '', unit] = match;
+    if (unit.toLowerCase() === 'mist') {
+        if (fraction) throw new Error(`invalid amount "${text}"; MIST amounts must be whole numbers`);
+        return BigInt(whole);
+    }
+    if (fraction.length > SUI_DECIMALS) {
+        throw new Error(`invalid amount "${text}"; SUI has at most ${SUI_DECIMALS} decimals`);
+    }
+    return BigInt(whole) * BigInt(MIST_PER_SUI) + BigInt(fraction.padEnd(SUI_DECIMALS, '0'));
+}
+
+/**
+ * Parses one duration into milliseconds. Units can be combined ("1d12h").
+ * @param {string} text - e.g. "30m", "1h", "7d", "1d12h", "1500ms".
+ * @returns {bigint} Duration in milliseconds.
+ * @throws {Error} If a unit is missing or unknown.
+ */
+function parseDuration(text) {
+    const compact = String(text).trim().toLowerCase().replace(/\s+/g, '');
+    if (!/^(\d+(?:\.\d+)?(ms|s|m|h|d|w))+$/.test(compact)) {
+        throw new Error(`invalid duration "${text}"; use a number with a unit (ms, s, m, h, d, w), e.g. "30m", "7d" or "1d12h"`);
+    }
+    let total = 0;
+    for (const [, value, unit] of compact.matchAll(/(\d+(?:\.\d+)?)(ms|s|m|h|d|w)/g)) {
+        total += Number(value) * Number(DURATION_UNITS[unit]);
+    }
+    return BigInt(Math.round(total));
+}
+
+/**
+ * Parses a fee or a fee range. A range's lower bound may omit the unit ("0.1-0.5sui").
+ * @param {string} text - Fee or "min-max" range.
+ * @returns {{min: bigint, max: bigint, text: string}} Bounds in MIST (equal for a single value).
+ */
+function parseAmountSpec(text) {
+    const range = parseRange(text, parseSuiAmount);
+    for (const bound of [range.min, range.max]) {
+        if (bound > U64_MAX) throw new Error(`amount "${text}" exceeds the u64 maximum of ${U64_MAX} MIST`);
+    }
+    return range;
+}
+
+/**
+ * Parses a duration or a duration range ("1h-2d", "30-90m").
+ * @param {string} text - Duration or "min-max" range.
+ * @returns {{min: bigint, max: bigint, text: string}} Bounds in milliseconds (equal for a single value).
+ */
+function parseDurationSpec(text) {
+    const range = parseRange(text, parseDuration);
+    for (const bound of [range.min, range.max]) {
+        if (bound < MIN_DURATION_MS) throw new Error(`duration "${text}" is shorter than ${formatDuration(MIN_DURATION_MS)}`);
+        if (bound > MAX_DURATION_MS) throw new Error(`duration "${text}" is longer than ${formatDuration(MAX_DURATION_MS)}`);
+    }
+    return range;
+}
+
+function parseRange(text, parse) {
+    const value = String(text).trim();
+    const parts = value.split('-').map(part => part.trim());
+    if (parts.length === 1) {
+        const parsed = parse(value);
+        return { min: parsed, max: parsed, text: value };
+    }
+    if (parts.length !== 2 || !parts[0] || !parts[1]) {
+        throw new Error(`invalid range "${text}"; expected "min-max"`);
+    }
+    const unit = parts[1].match(/^[\d.]+\s*([a-z]+)$/i)?.[1];
+    const low = /^[\d.]+$/.test(parts[0]) && unit ? `${parts[0]}${unit}` : parts[0];
+    const range = { min: parse(low), max: parse(parts[1]), text: value };
+    if (range.min > range.max) {
+        throw new Error(`invalid range "${text}"; the lower bound is larger than the upper bound`);
+    }
+    return range;
+}
+
+/**
+ * Draws a value from a parsed spec; a single value is returned as is.
+ * @param {{min: bigint, max: bigint}} spec - From parseAmountSpec() or parseDurationSpec().
+ * @param {bigint} [step=1n] - Granularity of the drawn value above `min`.
+ * @returns {bigint}
+ */
+function pickFromSpec({ min, max }, step = 1n) {
+    if (min === max) return min;
+    const random = BigInt(`0x${crypto.randomBytes(8).toString('hex')}`);
+    return min + (random % ((max - min) / step + 1n)) * step;
+}
+
+/**
+ * Resolves the terms of one service to create: parses both specs (unless already parsed) and
+ * draws a value from any range.
+ * @param {string|object} amount - Fee spec or parsed spec.
+ * @param {string|object} duration - Duration spec or parsed spec.
+ * @returns {{amountMist: bigint, durationMs: bigint}}
+ * @throws {Error} If either spec is invalid.
+ */
+function resolveServiceTerms(amount, duration) {
+    const amountSpec = typeof amount === 'object' ? amount : parseAmountSpec(amount);
+    const durationSpec = typeof duration === 'object' ? duration : parseDurationSpec(duration);
+    return { amountMist: pickFromSpec(amountSpec), durationMs: pickFromSpec(durationSpec, DURATION_UNITS.s) };
+}
+
+/**
+ * Formats milliseconds as the largest whole units, e.g. 129600000 -> "1d 12h".
+ * @param {bigint|number} ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+    let rest = BigInt(ms);
+    const parts = [];
+    for (const unit of ['d', 'h', 'm', 's', 'ms']) {
+        const size = DURATION_UNITS[unit];
+        if (rest >= size) {
+            parts.push(`${rest / size}${unit}`);
+            rest %= size;
+        }
+    }
+    return parts.join(' ') || '0ms';
+}
+
+/**
+ * Reads and validates a per-wallet terms file.
+ * @param {string} filePath - JSON file keyed by 1-based wallet index or address.
+ * @returns {Map<string, {amount?: string, duration?: string}>} Terms keyed by wallet index (as a string) or normalized address.
+ */
+function loadWalletTerms(filePath) {
+    const absolutePath = path.resolve(filePath);
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(absolutePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read terms file ${absolutePath}: ${error.message}`);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error(`Terms file ${absolutePath} must contain an object keyed by wallet index or address.`);
+    }
+
+    const terms = new Map();
+    const errors = [];
+    for (const [key, entry] of Object.entries(data)) {
+        const walletKey = parseWalletKey(key);
+        if (!walletKey) {
+            errors.push(`"${key}": expected a 1-based wallet index or an address`);
+            continue;
+        }
+        for (const [field, value] of Object.entries(entry || {})) {
+            if (!TERM_KEYS.includes(field)) {
+                errors.push(`"${key}.${field}": unknown field (expected ${TERM_KEYS.join(' or ')})`);
+                continue;
+            }
+            try {
+                (field === 'amount' ? parseAmountSpec : parseDurationSpec)(value);
+            } catch (error) {
+                errors.push(`"${key}.${field}": ${error.message}`);
+            }
+        }
+        terms.set(walletKey, entry);
+    }
+    if (errors.length > 0) {
+        throw new Error(`Invalid terms file ${absolutePath}:\n  ${errors.join('\n  ')}`);
+    }
+    return terms;
+}
+
+/**
+ * Terms set for one wallet; an address entry wins over an index entry.
+ * @param {Map<string, object>|null} terms - From loadWalletTerms().
+ * @param {number} walletIndex - 1-based wallet index.
+ * @param {string} address - Wallet address.
+ * @returns {{amount?: string, duration?: string}} Empty when the wallet has no entry.
+ */
+function termsForWallet(terms, walletIndex, address) {
+    if (!terms) return {};
+    return { ...terms.get(String(walletIndex)), ...terms.get(normalizeSuiAddress(address)) };
+}
+
+module.exports = {
+    parseSuiAmount,
+    parseDuration,
+    parseAmountSpec,
+    parseDurationSpec,
+    pickFromSpec,
+    resolveServiceTerms,
+    formatDuration,
+    loadWalletTerms,
+    termsForWallet,
+};
@@ -1,12 +1,13 @@
 // src/tui.js
 /**
  * @file Manages the Terminal User Interface (TUI) using the blessed library.
- * v6: Removed explicit padding from bannerBox, relying on {center} tag.
- * v7: Replaced nullish coalescing (??) with logical OR (||) for broader Node.js compatibility.
  */
 
 const blessed = require('blessed');
 const logger = require('./bot_logger'); // Import the central logger/emitter
+const { formatHealth } = require('./publisher_pool');
+const { formatBytes } = require('./content_files');
+const { formatSui } = require('./gas_tracker');
 const {
     TUI_TITLE,
     TUI_MAIN_LOG_LABEL,
@@ -14,6 +15,9 @@ const {
     TUI_STATUS_LABEL
 } = require('./config'); // Assuming config.js exports these constants
 
+// Skipped wallets listed in the status pane; the rest are only in the pre-flight table in the log
+const MAX_SKIPPED_WALLET_LINES = 5;
+
 class TerminalUI {
     constructor() {
         this.screen = blessed.screen({
@@ -285,15 +289,45 @@ class TerminalUI {
      * @returns {string} Formatted string for the status box content.
      */
     formatStatusContent(statusData = {}) {
-         // *** FIX: Replaced ?? with || for broader Node.js compatibility ***
          const walletInfo = (statusData.totalWallets || 0) > 0
              ? `Wallet ${statusData.walletIndex ?? '-'}/${statusData.totalWallets ?? '-'}: ${statusData.loadedWallet || 'N/A'}`
              : `Wallet: ${statusData.loadedWallet || 'N/A'}`;
-         // Note: Kept ?? for walletIndex/totalWallets display as they are less critical if undefined shows as '-'
+
+         const workerLines = (statusData.workerActivity || [])
+             .map((activity, i) => `   W${i + 1}: ${blessed.helpers.escape(activity)}`)
+             .join('\n');
+         const workerInfo = statusData.workersTotal
+             ? `\n Workers: ${statusData.workersBusy || 0}/${statusData.workersTotal} busy\n${workerLines}`
+             : '';
+
+         const preflight = statusData.preflight;
+         const skipped = preflight?.skipped || [];
+         const skippedLines = skipped.slice(0, MAX_SKIPPED_WALLET_LINES)
+             .map(wallet => `   {red-fg}#${wallet.index} ${wallet.address.substring(0, 6)}...${wallet.address.substring(wallet.address.length - 4)}: ${formatSui(BigInt(wallet.balanceMist))} SUI, ${wallet.gasCoins} coin(s), skipped{/red-fg}`)
+             .concat(skipped.length > MAX_SKIPPED_WALLET_LINES ? [`   ...and ${skipped.length - MAX_SKIPPED_WALLET_LINES} more (see the pre-flight table in the log)`] : [])
+             .join('\n');
+         const preflightInfo = preflight
+             ? `\n Pre-flight: {green-fg}${preflight.ready} ready{/green-fg} / {yellow-fg}${preflight.low} low{/yellow-fg} / {red-fg}${preflight.empty} empty{/red-fg}${skippedLines ? `\n${skippedLines}` : ''}`
+             : '';
+
+         // Publishers that were used or are cooling down; untried ones would only add noise
+         const publisherLines = (statusData.publishers || [])
+             .filter(entry => entry.attempts > 0 || entry.cooldownSec > 0 || entry.retryAfterSec > 0)
+             .map(entry => {
+                 const color = entry.cooldownSec > 0 || entry.retryAfterSec > 0 ? 'red' : entry.successRate !== null && entry.successRate < 0.5 ? 'yellow' : 'green';
+                 return `   {${color}-fg}${blessed.helpers.escape(formatHealth(entry))}{/${color}-fg}`;
+             })
+             .join('\n');
+         const publisherInfo = publisherLines ? `\n Publishers:\n${publisherLines}` : '';
+
+         const uploadLines = (statusData.uploads || [])
+             .map(upload => `   ${blessed.helpers.escape(upload.label)}: ${upload.total > 0 ? Math.floor((upload.sent / upload.total) * 100) : 100}% of ${formatBytes(upload.total)} → ${blessed.helpers.escape(upload.publisher)}`)
+             .join('\n');
+         const uploadInfo = uploadLines ? `\n Uploads:\n${uploadLines}` : '';
 
          return ` Status: {bold}${statusData.overallStatus || 'N/A'}{/bold}
  ${walletInfo}
- Active Bots: ${statusData.activeBots ?? 'N/A'}
+ Active Bots: ${statusData.activeBots ?? 'N/A'}${preflightInfo}${workerInfo}${uploadInfo}${publisherInfo}
 ---------------------------------
  {bold}Controls:{/bold}
     - {yellow-fg}Ctrl+C{/yellow-fg}: Exit
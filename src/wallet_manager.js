@@ -66,6 +66,36 @@ class WalletManager {
     getWalletCount() {
         return this.wallets.length;
     }
+
+    /**
+     * Selects a subset of wallets using a 1-based range spec such as "1-5,8,10-".
+     * An open end ("10-") runs to the last wallet. Without a spec, all wallets are selected.
+     * @param {string} [rangeSpec] - Comma-separated list of indices and ranges.
+     * @returns {{index: number, key: string}[]} Selected wallets with their 1-based index, in file order.
+     * @throws {Error} If the spec is malformed or references wallets that don't exist.
+     */
+    selectWallets(rangeSpec) {
+        const total = this.wallets.length;
+        if (!rangeSpec || !rangeSpec.trim()) {
+            return this.wallets.map((key, i) => ({ index: i + 1, key }));
+        }
+
+        const selected = new Set();
+        for (const part of rangeSpec.split(',').map(p => p.trim()).filter(Boolean)) {
+            const match = part.match(/^(\d+)?(?:(-)(\d+)?)?$/);
+            if (!match || (!match[1] && !match[3])) {
+                throw new Error(`Invalid wallet range "${part}". Use forms like 3, 1-5 or 10-.`);
+            }
+            const start = match[1] ? parseInt(match[1], 10) : 1;
+            const end = match[2] ? (match[3] ? parseInt(match[3], 10) : total) : start;
+            if (start < 1 || end > total || start > end) {
+                throw new Error(`Wallet range "${part}" is out of bounds (1-${total}).`);
+            }
+            for (let i = start; i <= end; i++) selected.add(i);
+        }
+
+        return [...selected].sort((a, b) => a - b).map(index => ({ index, key: this.wallets[index - 1] }));
+    }
 }
 
 module.exports = WalletManager;
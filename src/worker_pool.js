@@ -0,0 +1,75 @@
+// src/worker_pool.js
+/**
+ * @file Fixed-size worker pool for processing wallets concurrently.
+ * Workers pull items from a shared queue, so a slow wallet never holds up the others.
+ * Each worker's current activity is published to the status pane through the logger.
+ */
+
+const logger = require('./bot_logger');
+
+const IDLE = 'idle';
+
+class WorkerPool {
+    /**
+     * @param {number} concurrency - Maximum number of items processed at the same time.
+     */
+    constructor(concurrency) {
+        if (!Number.isInteger(concurrency) || concurrency < 1) {
+            throw new Error(`Worker concurrency must be a positive integer, got ${concurrency}.`);
+        }
+        this.concurrency = concurrency;
+        this.activities = [];
+    }
+
+    /**
+     * Processes all items, at most `concurrency` at a time. Errors thrown by the handler are
+     * logged and don't stop the other workers.
+     * @template T
+     * @param {T[]} items - Work items, started in order.
+     * @param {(item: T, worker: {id: number, setActivity: (text: string) => void}, position: number) => Promise<void>} handler - Processes one item; `position` is its 0-based index in `items`.
+     * @returns {Promise<void>} Resolves when every item has been handled.
+     */
+    async run(items, handler) {
+        const queue = items.map((item, position) => ({ item, position }));
+        const workerCount = Math.min(this.concurrency, queue.length);
+        this.activities = Array(workerCount).fill(IDLE);
+        this.publish();
+
+        const workers = this.activities.map(async (_, workerIndex) => {
+            const worker = {
+                id: workerIndex + 1,
+                setActivity: (text) => this.setActivity(workerIndex, text),
+            };
+            while (queue.length > 0) {
+                const { item, position } = queue.shift();
+                try {
+                    await handler(item, worker, position);
+                } catch (error) {
+                    logger.error(`Worker ${worker.id}: unhandled error while processing item ${position + 1}`, error);
+                } finally {
+                    this.setActivity(workerIndex, IDLE);
+                }
+            }
+        });
+
+        await Promise.all(workers);
+    }
+
+    setActivity(workerIndex, text) {
+        this.activities[workerIndex] = text;
+        this.publish();
+    }
+
+    /**
+     * Emits the pool state for the status pane: busy count and what each worker is doing.
+     */
+    publish() {
+        logger.updateStatus({
+            workersBusy: this.activities.filter(activity => activity !== IDLE).length,
+            workersTotal: this.activities.length,
+            workerActivity: [...this.activities],
+        });
+    }
+}
+
+module.exports = WorkerPool;
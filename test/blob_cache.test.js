@@ -0,0 +1,101 @@
+// test/blob_cache.test.js
+/**
+ * @file BlobCache keys and reuse of cached blobs by uploads, plaintext and SEAL-encrypted.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const BlobCache = require('../src/blob_cache');
+const SuiActions = require('../src/sui_actions');
+const PublisherPool = require('../src/publisher_pool');
+const { startMockServer } = require('./helpers/mock_server');
+
+const WALLET_KEY = `0x${'01'.repeat(32)}`;
+const ALLOWLIST_A = `0x${'a'.repeat(64)}`;
+const ALLOWLIST_B = `0x${'b'.repeat(64)}`;
+
+function tempCache(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blob-cache-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return new BlobCache({ filePath: path.join(dir, 'blob_cache.json') });
+}
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Starts a publisher that stores every PUT as a new blob, starting at epoch 5.
+ * @param {import('node:test').TestContext} t
+ */
+async function startPublisher(t) {
+    const server = await startMockServer(t, {
+        body: () => ({ newlyCreated: { blobObject: { blobId: `blob-${server.requests.length}`, storage: { startEpoch: 5, endEpoch: 7 } } } }),
+    });
+    return { url: `${server.url}/p1/v1/blobs`, uploads: server.requests };
+}
+
+/**
+ * Stands in for ContentEncryptor: a fresh "ciphertext" per call, like SEAL.
+ */
+const stubEncryptor = {
+    threshold: 1,
+    keyServerIds: [`0x${'c'.repeat(64)}`],
+    async encrypt(data, policyObjectId) {
+        const nonce = crypto.randomBytes(5);
+        return {
+            data: Buffer.concat([nonce, data]),
+            metadata: { policyObjectId, id: `${policyObjectId.slice(2)}${nonce.toString('hex')}`, plaintextSha256: sha256(data) },
+        };
+    },
+};
+
+test('entries are keyed by content, epochs and encryption target', (t) => {
+    const cache = tempCache(t);
+    const hash = sha256('content');
+    cache.record({ sha256: hash, epochs: 1, blobId: 'plain', size: 7, publisher: null, startEpoch: 5, endEpoch: 7, source: null });
+    cache.record({ sha256: hash, epochs: 1, blobId: 'for-a', size: 12, publisher: null, startEpoch: 5, endEpoch: 7, source: null, encryptedFor: ALLOWLIST_A, encryption: { id: 'a1' }, blobSha256: sha256('cipher') });
+
+    assert.equal(cache.find(hash, 1).blobId, 'plain');
+    assert.equal(cache.find(hash, 1, ALLOWLIST_A).blobId, 'for-a');
+    assert.deepEqual(cache.find(hash, 1, ALLOWLIST_A).encryption, { id: 'a1' });
+    assert.equal(cache.find(hash, 1, ALLOWLIST_B), null);
+    assert.equal(cache.find(hash, 2), null);
+
+    const reloaded = new BlobCache({ filePath: cache.filePath });
+    assert.equal(reloaded.find(hash, 1, ALLOWLIST_A).blobId, 'for-a');
+    reloaded.forget(hash, 1, ALLOWLIST_A);
+    assert.equal(reloaded.find(hash, 1, ALLOWLIST_A), null);
+    assert.equal(reloaded.find(hash, 1).blobId, 'plain');
+});
+
+test('expired entries are not reused and are pruned', (t) => {
+    const cache = tempCache(t);
+    cache.record({ sha256: sha256('old'), epochs: 1, blobId: 'old', size: 3, publisher: null, startEpoch: 5, endEpoch: 5, source: null, encryptedFor: ALLOWLIST_A });
+    assert.equal(cache.find(sha256('old'), 1, ALLOWLIST_A), null);
+    assert.deepEqual(cache.prune().map(entry => entry.blobId), ['old']);
+    assert.equal(cache.list().length, 0);
+});
+
+test('encrypted uploads reuse the blob stored for the same allowlist only', async (t) => {
+    const publisher = await startPublisher(t);
+    const options = { publisherPool: new PublisherPool({ urls: [publisher.url] }), blobCache: tempCache(t), encryptor: stubEncryptor };
+    const firstRun = new SuiActions(WALLET_KEY, null, null, options);
+    const rerun = new SuiActions(WALLET_KEY, null, null, options);
+    const content = Buffer.from('the same picture');
+
+    const first = await firstRun.uploadBlob(content, 1, ALLOWLIST_A);
+    const again = await rerun.uploadBlob(content, 1, ALLOWLIST_A);
+    const otherAllowlist = await rerun.uploadBlob(content, 1, ALLOWLIST_B);
+    const plaintext = await rerun.uploadBlob(content, 1);
+
+    assert.equal(again, first);
+    assert.notEqual(otherAllowlist, first);
+    assert.notEqual(plaintext, first);
+    assert.equal(publisher.uploads.length, 3);
+    assert.deepEqual(rerun.uploadedBlobs.get(first), firstRun.uploadedBlobs.get(first), 'the reuse keeps the encryption metadata');
+});
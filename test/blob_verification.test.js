@@ -0,0 +1,73 @@
+// test/blob_verification.test.js
+/**
+ * @file BlobVerifier against a mock aggregator: read-back of fresh blobs the aggregator serves late.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BlobVerifier = require('../src/blob_verification');
+const { startMockServer } = require('./helpers/mock_server');
+
+const { BlobVerificationError } = BlobVerifier;
+const CONTENT = Buffer.from('uploaded bytes');
+const RESPONSE = { newlyCreated: { blobObject: { blobId: 'blob-1', storage: { startEpoch: 5, endEpoch: 7 } } } };
+
+/**
+ * Starts an aggregator that answers blob reads from a script of statuses; once used up it serves CONTENT.
+ * @param {import('node:test').TestContext} t
+ * @param {number[]} statuses
+ */
+function startAggregator(t, statuses) {
+    return startMockServer(t, {
+        script: statuses.map(status => ({ status })),
+        body: (request, status) => (status === 200 ? CONTENT : 'not found'),
+    });
+}
+
+test('a blob the aggregator does not serve yet is read again with a growing delay', async (t) => {
+    const aggregator = await startAggregator(t, [404, 404]);
+    const verifier = new BlobVerifier({ aggregatorUrl: aggregator.url, readRetries: 3, readRetryDelayMs: 50 });
+
+    const result = await verifier.verify('blob-1', CONTENT, 1, RESPONSE);
+
+    assert.deepEqual(result, { endEpoch: 7, epochsChecked: true });
+    assert.equal(aggregator.requests.length, 3);
+    const [first, second, third] = aggregator.requests.map(request => request.at);
+    assert.ok(second - first >= 50);
+    assert.ok(third - second >= 100);
+});
+
+test('verification fails once the read retries are used up', async (t) => {
+    const aggregator = await startAggregator(t, [404, 404, 404]);
+    const verifier = new BlobVerifier({ aggregatorUrl: aggregator.url, readRetries: 2, readRetryDelayMs: 10 });
+
+    await assert.rejects(verifier.verify('blob-1', CONTENT, 1, RESPONSE), (error) => {
+        assert.ok(error instanceof BlobVerificationError);
+        assert.match(error.message, /could not be read back: Blob blob-1 not found on aggregator/);
+        return true;
+    });
+    assert.equal(aggregator.requests.length, 3);
+});
+
+test('read errors other than 404 are not retried', async (t) => {
+    const aggregator = await startAggregator(t, [500]);
+    const verifier = new BlobVerifier({ aggregatorUrl: aggregator.url, readRetries: 3, readRetryDelayMs: 10 });
+
+    await assert.rejects(verifier.verify('blob-1', CONTENT, 1, RESPONSE), /Status 500/);
+    assert.equal(aggregator.requests.length, 1);
+});
+
+test('different bytes on the aggregator fail verification', async (t) => {
+    const aggregator = await startAggregator(t, []);
+    const verifier = new BlobVerifier({ aggregatorUrl: aggregator.url });
+
+    await assert.rejects(verifier.verify('blob-1', Buffer.from('uploaded bytez'), 1, RESPONSE), /differs from the uploaded content/);
+});
+
+test('storage shorter than the requested epochs fails before reading back', async (t) => {
+    const aggregator = await startAggregator(t, []);
+    const verifier = new BlobVerifier({ aggregatorUrl: aggregator.url });
+
+    await assert.rejects(verifier.verify('blob-1', CONTENT, 3, RESPONSE), /stored until epoch 7, but 3 epoch\(s\) from epoch 5/);
+    assert.equal(aggregator.requests.length, 0);
+});
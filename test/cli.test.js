@@ -0,0 +1,64 @@
+// test/cli.test.js
+/**
+ * @file Command-line parsing: options handed to the command handlers, and arguments that are rejected.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCli } = require('../src/cli');
+
+/**
+ * Builds the program with handlers that record their calls; parse errors are thrown instead of exiting.
+ */
+function cli() {
+    const calls = [];
+    const record = name => (...args) => { calls.push({ name, args }); };
+    const program = createCli({ run: record('run'), upload: record('upload'), publish: record('publish'), listWallets: record('listWallets') });
+    const quiet = (command) => {
+        command.exitOverride().configureOutput({ writeErr: () => {}, writeOut: () => {} });
+        command.commands.forEach(quiet);
+    };
+    quiet(program);
+    return { calls, parse: args => program.parseAsync(args, { from: 'user' }) };
+}
+
+test('run collects repeated and comma-separated addresses', async () => {
+    const { calls, parse } = cli();
+
+    await parse(['run', 'allowlist', '-a', '0x1, 0x2', '-a', '0x3', '-r', '2', '-w', '1-3']);
+
+    const [{ name, args: [options] }] = calls;
+    assert.equal(name, 'run');
+    assert.equal(options.workflow, 'allowlist');
+    assert.deepEqual(options.address, ['0x1', '0x2', '0x3']);
+    assert.equal(options.repeat, 2);
+    assert.equal(options.wallets, '1-3');
+});
+
+test('run uploads unencrypted unless --encrypt is given', async () => {
+    const { calls, parse } = cli();
+
+    await parse(['run', 'allowlist']);
+    await parse(['run', 'subscription', '--encrypt']);
+
+    assert.equal(calls[0].args[0].encrypt, undefined);
+    assert.equal(calls[1].args[0].encrypt, true);
+});
+
+test('publish passes its arguments through in order', async () => {
+    const { calls, parse } = cli();
+
+    await parse(['publish', 'subscription', '0xservice', '0xcap', 'blob-1', '-W', '2']);
+
+    assert.deepEqual(calls[0].args.slice(0, 4), ['subscription', '0xservice', '0xcap', 'blob-1']);
+    assert.equal(calls[0].args[4].wallet, 2);
+});
+
+test('unknown workflows and non-positive counts are rejected', async () => {
+    const { calls, parse } = cli();
+
+    await assert.rejects(parse(['run', 'auction']), { code: 'commander.invalidArgument' });
+    await assert.rejects(parse(['run', 'allowlist', '-r', '0']), { code: 'commander.invalidArgument' });
+    await assert.rejects(parse(['upload', '-e', '1.5']), { code: 'commander.invalidArgument' });
+    assert.equal(calls.length, 0);
+});
@@ -0,0 +1,72 @@
+// test/content_catalogue.test.js
+/**
+ * @file Loading content catalogues: item IDs from URLs and paths, and sources no ID can be made for.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ContentCatalogue = require('../src/content_catalogue');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'content-catalogue-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('items are named after their decoded file names, numbered when they repeat', async () => {
+    const catalogue = await ContentCatalogue.load('https://example.com/a/cat%20one.png,https://example.com/b/cat%20one.png,https://example.com/');
+
+    assert.deepEqual(catalogue.items.map(item => item.id), ['cat one.png', 'cat one.png#2', 'example.com']);
+});
+
+test('a malformed percent sequence in a URL list is a validation error', async () => {
+    await assert.rejects(
+        ContentCatalogue.load('https://example.com/ok.png,https://example.com/100%.png'),
+        { message: 'Invalid content URLs:\n  https://example.com/100%.png: malformed percent-encoding in the file name' },
+    );
+});
+
+test('a .txt list reports every source no ID can be made for', async (t) => {
+    const dir = tempDir(t);
+    const listPath = path.join(dir, 'list.txt');
+    fs.writeFileSync(listPath, 'https://example.com/%E0%A4%A.png\nlocal.png  # a comment\nhttp://\n');
+
+    await assert.rejects(ContentCatalogue.load(listPath), {
+        message: `Invalid content list ${listPath}:\n  https://example.com/%E0%A4%A.png: malformed percent-encoding in the file name\n  http://: not a valid URL`,
+    });
+});
+
+test('manifests report malformed URLs together with their other problems', async (t) => {
+    const dir = tempDir(t);
+    const manifestPath = path.join(dir, 'manifest.json');
+    fs.writeFileSync(manifestPath, JSON.stringify({
+        items: ['https://example.com/50%off.png', { id: 'named', source: 'https://example.com/%zz.png' }, { source: 42 }],
+        wallets: { first: 'named' },
+    }));
+
+    await assert.rejects(ContentCatalogue.load(manifestPath), (error) => {
+        const problems = error.message.split('\n  ').slice(1);
+        assert.match(error.message, /^Invalid content manifest /);
+        assert.equal(problems.length, 3);
+        assert.match(problems[0], /^items\[2\]: expected a URL\/path/);
+        assert.match(problems[1], /^wallets\."first": expected a 1-based wallet index or an address/);
+        assert.equal(problems[2], 'https://example.com/50%off.png: malformed percent-encoding in the file name');
+        return true;
+    });
+});
+
+test('items with an id keep it, whatever their URL', async (t) => {
+    const dir = tempDir(t);
+    const manifestPath = path.join(dir, 'manifest.yaml');
+    fs.writeFileSync(manifestPath, 'items:\n  - { id: sale, source: "https://example.com/50%off.png" }\n  - media/clip.mp4\n');
+
+    const catalogue = await ContentCatalogue.load(manifestPath);
+
+    assert.deepEqual(catalogue.items.map(({ id, source }) => ({ id, source })), [
+        { id: 'sale', source: 'https://example.com/50%off.png' },
+        { id: 'clip.mp4', source: path.join(dir, 'media', 'clip.mp4') },
+    ]);
+});
@@ -0,0 +1,51 @@
+// test/encrypted_upload.test.js
+/**
+ * @file Size limit of content that is read into memory to be encrypted.
+ */
+
+process.env.ENCRYPTED_UPLOAD_MAX_BYTES = '1024';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SuiActions = require('../src/sui_actions');
+
+const WALLET_KEY = `0x${'01'.repeat(32)}`;
+const ALLOWLIST = `0x${'a'.repeat(64)}`;
+
+function tempFile(t, size) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'encrypted-upload-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'picture.png');
+    fs.writeFileSync(filePath, Buffer.alloc(size));
+    return filePath;
+}
+
+/**
+ * Fails the test if the upload gets as far as encrypting or picking a publisher.
+ */
+function refusingActions() {
+    const unreachable = () => assert.fail('the file should have been refused before it was read');
+    return new SuiActions(WALLET_KEY, null, null, {
+        encryptor: { threshold: 1, keyServerIds: [ALLOWLIST], encrypt: unreachable },
+        publisherPool: { next: unreachable },
+    });
+}
+
+test('a local file above ENCRYPTED_UPLOAD_MAX_BYTES is refused before it is read', async (t) => {
+    const filePath = tempFile(t, 2048);
+    const actions = refusingActions();
+    const readFile = t.mock.method(fs.promises, 'readFile');
+
+    await assert.rejects(actions.uploadBlob(filePath, 1, ALLOWLIST), /\(2\.00 KB\) is larger than the 1\.00 KB limit/);
+    assert.equal(readFile.mock.callCount(), 0);
+});
+
+test('a content item limit below ENCRYPTED_UPLOAD_MAX_BYTES wins', async (t) => {
+    const filePath = tempFile(t, 600);
+    const actions = refusingActions();
+
+    await assert.rejects(actions.uploadBlob(filePath, 1, ALLOWLIST, { id: 'picture.png', mimeType: 'image/png', maxBytes: 512 }), /larger than the 0\.50 KB limit/);
+});
@@ -0,0 +1,110 @@
+// test/encryption.test.js
+/**
+ * @file ContentEncryptor against a stub SealClient: identity layout, threshold and key server wiring.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { EncryptedObject } = require('@mysten/seal');
+const ContentEncryptor = require('../src/encryption');
+
+const PACKAGE_ID = `0x${'a'.repeat(64)}`;
+const POLICY_ID = `0x${'1'.repeat(64)}`;
+const KEY_SERVER_IDS = [`0x${'b'.repeat(64)}`, `0x${'c'.repeat(64)}`, `0x${'d'.repeat(64)}`];
+
+/**
+ * Records encrypt() calls and answers with an encrypted object whose header lists its key servers.
+ */
+class StubSealClient {
+    constructor(keyServerIds) {
+        this.keyServerIds = keyServerIds;
+        this.calls = [];
+    }
+
+    async encrypt(options) {
+        this.calls.push(options);
+        const encryptedObject = EncryptedObject.serialize({
+            version: 0,
+            packageId: options.packageId,
+            id: options.id,
+            services: this.keyServerIds.map((objectId, index) => [objectId, index]),
+            threshold: options.threshold,
+            encryptedShares: {
+                BonehFranklinBLS12381: {
+                    nonce: new Uint8Array(96),
+                    encryptedShares: this.keyServerIds.map(() => new Uint8Array(32)),
+                    encryptedRandomness: new Uint8Array(32),
+                },
+            },
+            ciphertext: { Aes256Gcm: { blob: Array.from(options.data), aad: [] } },
+        }).toBytes();
+        return { encryptedObject, key: new Uint8Array(32) };
+    }
+}
+
+function encryptorWithStub({ threshold = 2, keyServerIds = KEY_SERVER_IDS } = {}) {
+    const sealClient = new StubSealClient(keyServerIds);
+    const encryptor = new ContentEncryptor({ keyServerIds, threshold, packageId: PACKAGE_ID, sealClient });
+    return { encryptor, sealClient };
+}
+
+test('identity is the policy object ID bytes followed by a 5-byte nonce', () => {
+    const id = ContentEncryptor.identityFor(POLICY_ID);
+    assert.equal(id.length, (32 + 5) * 2);
+    assert.equal(id.slice(0, 64), '1'.repeat(64));
+    assert.notEqual(ContentEncryptor.identityFor(POLICY_ID), id, 'each identity gets a fresh nonce');
+});
+
+test('short object IDs are padded to 32 bytes before the nonce', () => {
+    const id = ContentEncryptor.identityFor('0x6');
+    assert.equal(id.length, (32 + 5) * 2);
+    assert.equal(id.slice(0, 64), `${'0'.repeat(63)}6`);
+});
+
+test('encrypt() passes the threshold, package and a policy-prefixed identity to the SealClient', async () => {
+    const { encryptor, sealClient } = encryptorWithStub({ threshold: 2 });
+    const data = Buffer.from('hello walrus');
+    await encryptor.encrypt(data, POLICY_ID);
+
+    assert.equal(sealClient.calls.length, 1);
+    const [call] = sealClient.calls;
+    assert.equal(call.threshold, 2);
+    assert.equal(call.packageId, PACKAGE_ID);
+    assert.match(call.id, /^1{64}[0-9a-f]{10}$/);
+    assert.deepEqual(Buffer.from(call.data), data);
+});
+
+test('encrypt() records the header of the encrypted object as metadata', async () => {
+    const { encryptor } = encryptorWithStub({ threshold: 3 });
+    const data = Buffer.from('some plaintext');
+    const { data: encrypted, metadata } = await encryptor.encrypt(data, POLICY_ID);
+
+    assert.ok(Buffer.isBuffer(encrypted));
+    assert.equal(metadata.packageId, PACKAGE_ID);
+    assert.equal(metadata.policyObjectId, POLICY_ID);
+    assert.equal(metadata.id.slice(0, 64), '1'.repeat(64));
+    assert.equal(metadata.id.length, (32 + 5) * 2);
+    assert.deepEqual(metadata.keyServers, KEY_SERVER_IDS);
+    assert.equal(metadata.threshold, 3);
+    assert.equal(metadata.plaintextSize, data.length);
+    assert.equal(metadata.plaintextSha256, crypto.createHash('sha256').update(data).digest('hex'));
+    assert.equal('key' in metadata, false, 'the symmetric key must not be kept');
+});
+
+test('key server IDs are normalized', () => {
+    const { encryptor } = encryptorWithStub({ keyServerIds: ['0xb', '0xc'], threshold: 1 });
+    assert.deepEqual(encryptor.keyServerIds, [`0x${'0'.repeat(63)}b`, `0x${'0'.repeat(63)}c`]);
+});
+
+test('an injected SealClient is used instead of creating one', () => {
+    const { encryptor, sealClient } = encryptorWithStub();
+    assert.equal(encryptor.getSealClient(), sealClient);
+});
+
+test('the threshold must be reachable with the configured key servers', () => {
+    const sealClient = new StubSealClient(KEY_SERVER_IDS);
+    assert.throws(() => new ContentEncryptor({ keyServerIds: KEY_SERVER_IDS, threshold: 4, sealClient }), /between 1 and the number of key servers \(3\)/);
+    assert.throws(() => new ContentEncryptor({ keyServerIds: KEY_SERVER_IDS, threshold: 0, sealClient }), /threshold/);
+    assert.throws(() => new ContentEncryptor({ keyServerIds: [], threshold: 1, sealClient }), /No SEAL key servers/);
+});
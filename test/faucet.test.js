@@ -0,0 +1,101 @@
+// test/faucet.test.js
+/**
+ * @file FaucetClient against a mock faucet: request pacing, backoff on failures and Retry-After.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FaucetClient = require('../src/faucet');
+const { startMockServer } = require('./helpers/mock_server');
+
+const { FaucetRateLimitError, topUpWallets } = FaucetClient;
+const ADDRESS = `0x${'1'.repeat(64)}`;
+const SENT = { status: 'Success', coins_sent: [{ amount: 1000000000, id: '0x5', transferTxDigest: 'digest-1' }] };
+
+/**
+ * Starts a faucet that answers from a script, in order; once used up every request is funded.
+ * @param {import('node:test').TestContext} t
+ * @param {{status: number, headers?: object}[]} script
+ */
+async function startFaucet(t, script) {
+    const server = await startMockServer(t, { script, body: (request, status) => (status < 300 ? SENT : { error: `scripted ${status}` }) });
+    return { url: `${server.url}/v2/gas`, requests: server.requests };
+}
+
+function gaps(requests) {
+    return requests.slice(1).map((request, i) => request.at - requests[i].at);
+}
+
+test('requests are paced by requestDelayMs', async (t) => {
+    const faucet = await startFaucet(t, []);
+    const client = new FaucetClient({ url: faucet.url, requestDelayMs: 200, maxRetries: 1, retryDelayMs: 10 });
+
+    const funded = await client.requestFunds(ADDRESS);
+    await client.requestFunds(ADDRESS);
+
+    assert.deepEqual(funded, { amountMist: 1000000000n, coins: 1, digests: ['digest-1'] });
+    assert.equal(JSON.parse(faucet.requests[0].body).FixedAmountRequest.recipient, ADDRESS);
+    // Pacing counts from when a request is sent; the first one also pays for opening the connection
+    assert.ok(gaps(faucet.requests)[0] >= 150, `requests ${gaps(faucet.requests)[0]}ms apart`);
+});
+
+test('server errors are retried with a doubling backoff', async (t) => {
+    const faucet = await startFaucet(t, [{ status: 502 }, { status: 500 }]);
+    const client = new FaucetClient({ url: faucet.url, requestDelayMs: 0, maxRetries: 3, retryDelayMs: 100 });
+
+    await client.requestFunds(ADDRESS);
+
+    assert.equal(faucet.requests.length, 3);
+    const [first, second] = gaps(faucet.requests);
+    assert.ok(first >= 100, `first retry after ${first}ms`);
+    assert.ok(second >= 200, `second retry after ${second}ms`);
+});
+
+test('a 429 waits for Retry-After instead of the backoff', async (t) => {
+    const faucet = await startFaucet(t, [{ status: 429, headers: { 'Retry-After': '1' } }]);
+    const client = new FaucetClient({ url: faucet.url, requestDelayMs: 0, maxRetries: 2, retryDelayMs: 5000 });
+
+    await client.requestFunds(ADDRESS);
+
+    const [waited] = gaps(faucet.requests);
+    assert.ok(waited >= 1000 && waited < 5000, `retried after ${waited}ms`);
+});
+
+test('a 429 on the last attempt ends with a FaucetRateLimitError', async (t) => {
+    const faucet = await startFaucet(t, [{ status: 429, headers: { 'Retry-After': '30' } }]);
+    const client = new FaucetClient({ url: faucet.url, requestDelayMs: 0, maxRetries: 1 });
+
+    await assert.rejects(client.requestFunds(ADDRESS), (error) => {
+        assert.ok(error instanceof FaucetRateLimitError);
+        assert.equal(error.retryAfterMs, 30000);
+        assert.match(error.message, /retry in 30s/);
+        return true;
+    });
+});
+
+test('other 4xx answers are not retried', async (t) => {
+    const faucet = await startFaucet(t, [{ status: 400 }]);
+    const client = new FaucetClient({ url: faucet.url, requestDelayMs: 0, maxRetries: 3, retryDelayMs: 10 });
+
+    await assert.rejects(client.requestFunds(ADDRESS), /Faucet rejected the request \(Status: 400/);
+    assert.equal(faucet.requests.length, 1);
+});
+
+test('topUpWallets skips funded wallets and stops at a rate limit', async (t) => {
+    const faucet = await startFaucet(t, [{ status: 201 }, { status: 429, headers: { 'Retry-After': '30' } }]);
+    const client = new FaucetClient({ url: faucet.url, requestDelayMs: 0, maxRetries: 1 });
+    const wallet = (index, balance) => ({
+        index,
+        suiActions: {
+            getAddress: () => `0x${String(index).repeat(64)}`,
+            client: { getBalance: async () => ({ totalBalance: String(balance) }) },
+            recordToLedger: () => {},
+        },
+    });
+
+    const results = await topUpWallets([wallet(1, 0), wallet(2, 10n ** 9n), wallet(3, 0), wallet(4, 0)], client, 500000000);
+
+    assert.deepEqual(results.map(result => result.status), ['funded', 'sufficient', 'failed', 'not_attempted']);
+    assert.equal(results[0].amountMist, '1000000000');
+    assert.equal(faucet.requests.length, 2);
+});
@@ -0,0 +1,39 @@
+// test/helpers/mock_server.js
+/**
+ * @file Scripted HTTP server standing in for the faucet, publishers and aggregators in tests.
+ */
+
+const http = require('http');
+
+/**
+ * Starts a server on a free local port that answers requests from a script, in order.
+ * The server is closed when the test ends.
+ * @param {import('node:test').TestContext} t - The running test.
+ * @param {object} [options={}]
+ * @param {{status: number, headers?: object}[]} [options.script=[]] - Answers, one per request; once used up every request gets a 200.
+ * @param {(request: {method: string, path: string, body: Buffer, at: number}, status: number) => (Buffer|string|object)} [options.body]
+ *   Response body for a request; objects are sent as JSON. Defaults to an empty body.
+ * @returns {Promise<{url: string, requests: {method: string, path: string, body: Buffer, at: number}[]}>}
+ *   `url` has no trailing slash; `requests` fills up as requests arrive, `at` being when each one was received in full.
+ */
+async function startMockServer(t, { script = [], body = () => '' } = {}) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const request = { method: req.method, path: new URL(req.url, 'http://localhost').pathname, body: Buffer.concat(chunks), at: Date.now() };
+            requests.push(request);
+            const { status, headers = {} } = script.shift() || { status: 200 };
+            const content = body(request, status);
+            const isJson = !Buffer.isBuffer(content) && typeof content === 'object';
+            res.writeHead(status, isJson ? { 'Content-Type': 'application/json', ...headers } : headers);
+            res.end(isJson ? JSON.stringify(content) : content);
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    return { url: `http://127.0.0.1:${server.address().port}`, requests };
+}
+
+module.exports = { startMockServer };
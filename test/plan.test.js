@@ -0,0 +1,119 @@
+// test/plan.test.js
+/**
+ * @file Plan validation, and step execution against a stub SuiActions: replaying addAddresses after a partial add.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { executePlanSteps, validatePlan } = require('../src/plan');
+
+const ALLOWLIST = `0x${'a'.repeat(64)}`;
+const CAP = `0x${'c'.repeat(64)}`;
+const [ADDRESS_1, ADDRESS_2, ADDRESS_3] = ['1', '2', '3'].map(digit => `0x${digit.repeat(64)}`);
+
+/**
+ * Records allowlist adds; like the Move module, adding a member twice fails.
+ */
+function stubActions({ members = [], batch = false, simulated = [] } = {}) {
+    const onChain = new Set(members);
+    const adds = [];
+    const add = (address) => {
+        if (onChain.has(address)) throw new Error(`MoveAbort: ${address} is already a member`);
+        onChain.add(address);
+        adds.push(address);
+    };
+    return {
+        adds,
+        batch,
+        simulatedObjectIds: new Set(simulated),
+        getAddress: () => ADDRESS_1,
+        getAllowlistMembers: async () => [...onChain],
+        addAddressToAllowlist: async (allowlistId, cap, address) => add(address),
+        addAddressesToAllowlistBatched: async (allowlistId, cap, addresses) => {
+            addresses.forEach(add);
+            return addresses;
+        },
+    };
+}
+
+const ADD_STEP = { action: 'addAddresses', id: 'members', allowlist: ALLOWLIST, cap: CAP, addresses: ['${wallet.address}', ADDRESS_2, ADDRESS_3] };
+
+test('a replayed addAddresses step only adds the addresses that are not members yet', async () => {
+    const suiActions = stubActions({ members: [ADDRESS_1, ADDRESS_2] });
+
+    const context = await executePlanSteps(suiActions, [ADD_STEP]);
+
+    assert.deepEqual(suiActions.adds, [ADDRESS_3]);
+    assert.deepEqual(context.members.added, [ADDRESS_3]);
+});
+
+test('batched adds skip existing members too', async () => {
+    const suiActions = stubActions({ members: [ADDRESS_2], batch: true });
+
+    await executePlanSteps(suiActions, [ADD_STEP]);
+
+    assert.deepEqual(suiActions.adds, [ADDRESS_1, ADDRESS_3]);
+});
+
+test('an address listed twice is added once', async () => {
+    const suiActions = stubActions();
+
+    await executePlanSteps(suiActions, [{ ...ADD_STEP, addresses: [ADDRESS_2, ADDRESS_2.toUpperCase().replace('0X', '0x')] }]);
+
+    assert.deepEqual(suiActions.adds, [ADDRESS_2]);
+});
+
+test('allowlists created by a dry run are not read back', async () => {
+    const suiActions = stubActions({ simulated: [ALLOWLIST] });
+    suiActions.getAllowlistMembers = async () => assert.fail('a simulated allowlist does not exist on chain');
+
+    await executePlanSteps(suiActions, [ADD_STEP]);
+
+    assert.deepEqual(suiActions.adds, [ADDRESS_1, ADDRESS_2, ADDRESS_3]);
+});
+
+test('references that resolve to something other than an address fail the step before any add', async () => {
+    const suiActions = stubActions();
+    const steps = [
+        { action: 'createAllowlist', id: 'list' },
+        { ...ADD_STEP, addresses: [ADDRESS_2, '${list.allowlistId}'] },
+    ];
+    suiActions.createAllowlistEntry = async () => ({ allowlistId: 'my-allowlist', entryObjectId: CAP });
+
+    await assert.rejects(executePlanSteps(suiActions, steps), {
+        message: 'addresses[1]: expected a 0x-prefixed 32-byte hex address, got "my-allowlist"',
+    });
+    assert.deepEqual(suiActions.adds, []);
+});
+
+function planWithAddresses(addresses) {
+    return {
+        groups: [{
+            wallets: '1',
+            steps: [
+                { action: 'createAllowlist', id: 'list' },
+                { action: 'addAddresses', allowlist: '${list.allowlistId}', cap: '${list.entryObjectId}', addresses },
+            ],
+        }],
+    };
+}
+
+test('addAddresses takes full 0x-prefixed addresses and references', () => {
+    assert.deepEqual(validatePlan(planWithAddresses(['${wallet.address}', ADDRESS_2, ADDRESS_3.toUpperCase().replace('0X', '0x')])), []);
+});
+
+test('addAddresses entries that are not 32-byte hex addresses are reported', () => {
+    const errors = validatePlan(planWithAddresses([ADDRESS_1, '0x2', ADDRESS_2.slice(2), `${ADDRESS_3}ff`, 'alice', 42]));
+
+    assert.deepEqual(errors, [
+        'groups[0].steps[1].addresses[1]: expected a 0x-prefixed 32-byte hex address, got "0x2"',
+        `groups[0].steps[1].addresses[2]: expected a 0x-prefixed 32-byte hex address, got "${ADDRESS_2.slice(2)}"`,
+        `groups[0].steps[1].addresses[3]: expected a 0x-prefixed 32-byte hex address, got "${ADDRESS_3}ff"`,
+        'groups[0].steps[1].addresses[4]: expected a 0x-prefixed 32-byte hex address, got "alice"',
+        'groups[0].steps[1].addresses[5]: expected a 0x-prefixed 32-byte hex address, got 42',
+    ]);
+});
+
+test('addAddresses needs a list', () => {
+    assert.deepEqual(validatePlan(planWithAddresses(ADDRESS_1)), ['groups[0].steps[1].addresses: expected a list of addresses']);
+});
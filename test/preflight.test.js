@@ -0,0 +1,55 @@
+// test/preflight.test.js
+/**
+ * @file Pre-flight balance check against a stub client: statuses, and the skipped wallets sent to the status pane.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const logger = require('../src/bot_logger');
+const PreflightCheck = require('../src/preflight');
+
+const { PREFLIGHT_STATUS } = PreflightCheck;
+const [ADDRESS_1, ADDRESS_2, ADDRESS_3] = ['1', '2', '3'].map(digit => `0x${digit.repeat(64)}`);
+
+/**
+ * Answers balance queries from a map of address -> {totalBalance, coinObjectCount}.
+ */
+function stubClient(balances) {
+    return { getBalance: async ({ owner }) => balances[owner] };
+}
+
+test('wallets are ready, low or empty depending on their balance and gas coins', async () => {
+    const checker = new PreflightCheck(stubClient({
+        [ADDRESS_1]: { totalBalance: '1000', coinObjectCount: 1 },
+        [ADDRESS_2]: { totalBalance: '10', coinObjectCount: 1 },
+        [ADDRESS_3]: { totalBalance: '500', coinObjectCount: 0 },
+    }), { txCostMist: 100 });
+
+    const results = await Promise.all([ADDRESS_1, ADDRESS_2, ADDRESS_3].map(address => checker.checkWallet(address, 2)));
+
+    assert.deepEqual(results.map(result => result.status), [PREFLIGHT_STATUS.READY, PREFLIGHT_STATUS.LOW, PREFLIGHT_STATUS.EMPTY]);
+    assert.equal(results[2].reason, 'no SUI to pay gas');
+});
+
+test('the status pane gets the skipped wallets with their balances', async (t) => {
+    const checker = new PreflightCheck(stubClient({
+        [ADDRESS_1]: { totalBalance: '1000', coinObjectCount: 1 },
+        [ADDRESS_2]: { totalBalance: '0', coinObjectCount: 0 },
+        [ADDRESS_3]: { totalBalance: '500', coinObjectCount: 0 },
+    }), { txCostMist: 100 });
+    const results = await Promise.all([ADDRESS_1, ADDRESS_2, ADDRESS_3].map(async (address, i) => ({ ...await checker.checkWallet(address, 1), index: i + 1 })));
+    const statuses = [];
+    const onStatus = status => statuses.push(status);
+    logger.on('statusUpdate', onStatus);
+    t.after(() => logger.off('statusUpdate', onStatus));
+
+    PreflightCheck.report(results);
+
+    assert.deepEqual(statuses.at(-1).preflight, {
+        ready: 1, low: 0, empty: 2, error: 0,
+        skipped: [
+            { index: 2, address: ADDRESS_2, balanceMist: '0', gasCoins: 0, reason: 'no SUI to pay gas' },
+            { index: 3, address: ADDRESS_3, balanceMist: '500', gasCoins: 0, reason: 'no SUI to pay gas' },
+        ],
+    });
+});
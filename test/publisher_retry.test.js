@@ -0,0 +1,110 @@
+// test/publisher_retry.test.js
+/**
+ * @file Blob upload retries against mock publishers: scripted status codes and rate-limit headers,
+ * and failover to the next publisher of the pool.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SuiActions = require('../src/sui_actions');
+const PublisherPool = require('../src/publisher_pool');
+const { BLOB_UPLOAD_RETRY_DELAY_MS } = require('../src/config');
+const { startMockServer } = require('./helpers/mock_server');
+
+const WALLET_KEY = `0x${'01'.repeat(32)}`;
+
+/**
+ * Starts a publisher that answers PUTs from a script, in order, whatever publisher path they are for.
+ * @param {import('node:test').TestContext} t
+ * @param {{status: number, headers?: object}[]} script - Answers; once used up every PUT succeeds.
+ */
+async function startPublisher(t, script) {
+    const server = await startMockServer(t, {
+        script,
+        body: (request, status) => (status === 200
+            ? { newlyCreated: { blobObject: { blobId: `blob-${server.requests.length}`, storage: { startEpoch: 5, endEpoch: 6 } } } }
+            : { error: `scripted ${status}` }),
+    });
+    return server;
+}
+
+function uploader(baseUrl, publishers = ['p1']) {
+    const publisherPool = new PublisherPool({ urls: publishers.map(name => `${baseUrl}/${name}/v1/blobs`) });
+    return { actions: new SuiActions(WALLET_KEY, null, null, { publisherPool }), publisherPool };
+}
+
+test('a 429 with Retry-After is retried after exactly the requested wait', async (t) => {
+    const publisher = await startPublisher(t, [{ status: 429, headers: { 'Retry-After': '1' } }]);
+    const { actions } = uploader(publisher.url);
+
+    const blobId = await actions.uploadBlob(Buffer.from('rate limited'), 1);
+
+    assert.equal(blobId, 'blob-2');
+    assert.equal(publisher.requests.length, 2);
+    const waited = publisher.requests[1].at - publisher.requests[0].at;
+    assert.ok(waited >= 1000, `waited ${waited}ms, less than Retry-After`);
+    assert.ok(waited < BLOB_UPLOAD_RETRY_DELAY_MS, `waited ${waited}ms, the backoff instead of Retry-After`);
+});
+
+test('a rate limit window of 0 falls back to the backoff', async (t) => {
+    const publisher = await startPublisher(t, [{ status: 429, headers: { 'Retry-After': '0' } }]);
+    const { actions } = uploader(publisher.url);
+
+    await actions.uploadBlob(Buffer.from('retry now'), 1);
+
+    const waited = publisher.requests[1].at - publisher.requests[0].at;
+    assert.ok(waited >= BLOB_UPLOAD_RETRY_DELAY_MS, `waited ${waited}ms, less than the backoff`);
+});
+
+test('a 503 with RateLimit-Reset is retried after the reset', async (t) => {
+    const publisher = await startPublisher(t, [{ status: 503, headers: { 'RateLimit-Reset': '1' } }]);
+    const { actions, publisherPool } = uploader(publisher.url);
+
+    const blobId = await actions.uploadBlob(Buffer.from('unavailable'), 1);
+
+    assert.equal(blobId, 'blob-2');
+    const waited = publisher.requests[1].at - publisher.requests[0].at;
+    assert.ok(waited >= 1000 && waited < BLOB_UPLOAD_RETRY_DELAY_MS, `waited ${waited}ms`);
+    const [health] = publisherPool.summary();
+    assert.equal(health.attempts, 2);
+    assert.equal(health.throttled, 1);
+});
+
+test('a failed publisher is not retried while the pool has another one', async (t) => {
+    const publisher = await startPublisher(t, [{ status: 500 }]);
+    const { actions, publisherPool } = uploader(publisher.url, ['p1', 'p2']);
+
+    const blobId = await actions.uploadBlob(Buffer.from('fail over'), 1);
+
+    assert.equal(blobId, 'blob-2');
+    const [failed, succeeded] = publisher.requests.map(request => request.path);
+    assert.notEqual(failed, succeeded);
+    const waited = publisher.requests[1].at - publisher.requests[0].at;
+    assert.ok(waited >= BLOB_UPLOAD_RETRY_DELAY_MS, `waited ${waited}ms, less than the backoff`);
+    const health = publisherPool.summary();
+    assert.equal(health.find(entry => entry.url.endsWith(failed)).lastError, 'Status 500');
+    assert.equal(health.find(entry => entry.url.endsWith(succeeded)).successRate, 1);
+});
+
+test('a response without a known blob ID is retried instead of guessed from', async (t) => {
+    const publisher = await startMockServer(t, {
+        body: () => (publisher.requests.length === 1
+            ? { result: { stagedBlobId: 'not-a-stored-blob' } }
+            : { newlyCreated: { blobObject: { blobId: 'stored-blob', storage: { startEpoch: 5, endEpoch: 6 } } } }),
+    });
+    const { actions, publisherPool } = uploader(publisher.url, ['p1', 'p2']);
+
+    const blobId = await actions.uploadBlob(Buffer.from('odd answer'), 1);
+
+    assert.equal(blobId, 'stored-blob');
+    const failed = publisher.requests[0].path;
+    assert.match(publisherPool.summary().find(entry => entry.url.endsWith(failed)).lastError, /^Invalid response structure from publisher /);
+});
+
+test('a 4xx other than 429 is not retried', async (t) => {
+    const publisher = await startPublisher(t, [{ status: 400 }]);
+    const { actions } = uploader(publisher.url, ['p1', 'p2']);
+
+    await assert.rejects(actions.uploadBlob(Buffer.from('bad request'), 1), /status code 400/);
+    assert.equal(publisher.requests.length, 1);
+});